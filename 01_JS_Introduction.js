@@ -63,7 +63,7 @@ JavaScript is:
 // ************ JAVASCRIPT ENVIRONMENTS ************
 
 // 1. Browser Environment
-console.log("Running in browser"); // Outputs to browser console
+// console.log("Running in browser"); // Outputs to browser console
 // window.alert("Browser specific"); // Browser-only API
 
 // 2. Node.js Environment
@@ -73,6 +73,134 @@ console.log("Running in browser"); // Outputs to browser console
 // 3. Cross-Environment Code
 const platform = typeof window !== 'undefined' ? 'browser' : 'node';
 
+// 4. Runtime Capability Report
+// Feature-detect instead of assuming a platform: each check below is safe to
+// run anywhere and never touches a global that may not exist.
+const FEATURE_CHECKS = {
+    dom: g => typeof g.document !== 'undefined' && typeof g.document.createElement === 'function',
+    globalEvents: g => typeof g.addEventListener === 'function',
+    localStorage: g => probeStorage(g, 'localStorage'),
+    sessionStorage: g => probeStorage(g, 'sessionStorage'),
+    indexedDB: g => typeof g.indexedDB !== 'undefined' && g.indexedDB !== null,
+    caches: g => typeof g.caches !== 'undefined' && typeof g.caches.open === 'function',
+    fetch: g => typeof g.fetch === 'function',
+    randomValues: g => typeof g.crypto !== 'undefined' && typeof g.crypto.getRandomValues === 'function',
+    webCrypto: g => typeof g.crypto !== 'undefined' && typeof g.crypto.subtle !== 'undefined',
+    textEncoder: g => typeof g.TextEncoder === 'function',
+    performanceNow: g => typeof g.performance !== 'undefined' && typeof g.performance.now === 'function',
+    performanceMemory: g => typeof g.performance !== 'undefined' && Boolean(g.performance.memory),
+    processEvents: g => typeof g.process !== 'undefined' && typeof g.process.on === 'function',
+    processMemoryUsage: g => typeof g.process !== 'undefined' && typeof g.process.memoryUsage === 'function',
+    worker: g => typeof g.Worker === 'function',
+    sharedWorker: g => typeof g.SharedWorker === 'function',
+    serviceWorker: g => typeof g.navigator !== 'undefined' && 'serviceWorker' in g.navigator,
+    geolocation: g => typeof g.navigator !== 'undefined' && Boolean(g.navigator.geolocation),
+    notifications: g => typeof g.Notification === 'function',
+    mediaDevices: g => typeof g.navigator !== 'undefined' && Boolean(g.navigator.mediaDevices),
+    structuredClone: g => typeof g.structuredClone === 'function'
+};
+
+// Features each numbered module touches (modules with fallbacks list every option)
+const MODULE_FEATURES = {
+    '10_DOM_Manipulation': ['dom'],
+    '11_Events': ['dom', 'globalEvents'],
+    '08_Error_Handling': ['processEvents', 'globalEvents'],
+    '12_Async': ['processEvents', 'globalEvents', 'fetch'],
+    '14_Modules': ['fetch'],
+    '15_Memory_Management': ['performanceMemory', 'processMemoryUsage', 'dom'],
+    '16_Security': ['webCrypto', 'randomValues', 'textEncoder', 'localStorage', 'sessionStorage', 'dom'],
+    '18_Performance': ['dom', 'performanceNow', 'performanceMemory'],
+    '19_Browser_APIs': ['localStorage', 'sessionStorage', 'indexedDB', 'geolocation', 'notifications', 'mediaDevices', 'dom'],
+    '20_Web_Workers': ['worker', 'sharedWorker', 'serviceWorker', 'caches'],
+    '21_PWA': ['serviceWorker', 'caches', 'notifications', 'indexedDB']
+};
+
+// Storage getters throw in sandboxed iframes and opaque origins
+function probeStorage(g, name) {
+    try {
+        return typeof g[name] !== 'undefined' && g[name] !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+function detectRuntime(g) {
+    const isScope = name => typeof g[name] === 'function' && g instanceof g[name];
+
+    if (typeof g.Deno !== 'undefined' && g.Deno.version) {
+        return { name: 'deno', version: g.Deno.version.deno };
+    }
+    if (typeof g.Bun !== 'undefined') {
+        return { name: 'bun', version: g.Bun.version };
+    }
+    if (typeof g.process !== 'undefined' && g.process.versions && g.process.versions.node) {
+        return { name: 'node', version: g.process.versions.node };
+    }
+    if (isScope('ServiceWorkerGlobalScope')) {
+        return { name: 'service-worker', version: null };
+    }
+    if (isScope('SharedWorkerGlobalScope')) {
+        return { name: 'shared-worker', version: null };
+    }
+    if (isScope('DedicatedWorkerGlobalScope')) {
+        return { name: 'dedicated-worker', version: null };
+    }
+    if (typeof g.window !== 'undefined' && typeof g.document !== 'undefined') {
+        return { name: 'browser', version: null };
+    }
+    return { name: 'unknown', version: null };
+}
+
+// Probing touches storage getters and several globals, so each global's
+// report is built once; pass { refresh: true } after polyfilling something
+const capabilityCache = new WeakMap();
+
+function getCapabilities(g = globalThis, { refresh = false } = {}) {
+    if (!refresh && capabilityCache.has(g)) {
+        return capabilityCache.get(g);
+    }
+    const report = probeCapabilities(g);
+    capabilityCache.set(g, report);
+    return report;
+}
+
+function probeCapabilities(g) {
+    const runtime = detectRuntime(g);
+
+    const features = {};
+    for (const [name, check] of Object.entries(FEATURE_CHECKS)) {
+        try {
+            features[name] = check(g);
+        } catch (error) {
+            features[name] = false;
+        }
+    }
+
+    const modules = {};
+    for (const [name, required] of Object.entries(MODULE_FEATURES)) {
+        modules[name] = {
+            features: [...required],
+            available: required.filter(feature => features[feature]),
+            missing: required.filter(feature => !features[feature])
+        };
+    }
+
+    // Frozen because every caller shares the cached report
+    return Object.freeze({
+        runtime: runtime.name,
+        version: runtime.version,
+        isBrowser: runtime.name === 'browser',
+        isWorker: runtime.name.endsWith('-worker'),
+        isServer: ['node', 'deno', 'bun'].includes(runtime.name),
+        features: Object.freeze(features),
+        modules: Object.freeze(Object.fromEntries(Object.entries(modules)
+            .map(([name, report]) => [name, Object.freeze(report)]))),
+        has(feature) {
+            return features[feature] === true;
+        }
+    });
+}
+
 // ************ BASIC SYNTAX AND CONVENTIONS ************
 
 // 1. Comments
@@ -171,25 +299,188 @@ function helloWorld() {
 }
 
 // Exercise 2: Environment Detection
+// Coarse answer kept for older callers; use getCapabilities() for the full report
 function detectEnvironment() {
-    if (typeof window !== 'undefined') {
+    const { runtime, isBrowser, isWorker } = getCapabilities();
+    if (isBrowser || isWorker) {
         return 'browser';
-    } else if (typeof process !== 'undefined') {
+    } else if (runtime !== 'unknown') {
         return 'node';
     }
     return 'unknown';
 }
 
 // Exercise 3: Basic Error Handling
+// Null-on-error contract kept for the exercise; use Result.try(operation)
+// when the caller must tell "returned null" apart from "failed"
 function safeOperation(operation) {
-    try {
-        return operation();
-    } catch (error) {
-        console.error('Operation failed:', error);
-        return null;
+    return Result.try(operation).match({
+        ok: value => value,
+        err: error => {
+            console.error('Operation failed:', error);
+            return null;
+        }
+    });
+}
+
+// ************ RESULT TYPE ************
+
+/*
+A Result is either Ok(value) or Err(error). Errors become values, so a
+failure can't be mistaken for a legitimate null/undefined return:
+
+    const parsed = Result.try(() => JSON.parse(input))
+        .map(data => data.items)
+        .unwrapOr([]);
+*/
+
+class Result {
+    constructor(ok, value, error) {
+        this.ok = ok;
+        this.value = ok ? value : undefined;
+        this.error = ok ? undefined : error;
+        Object.freeze(this);
+    }
+
+    // 1. Constructors
+    static ok(value) {
+        return new Result(true, value);
+    }
+
+    static err(error) {
+        return new Result(false, undefined, error);
+    }
+
+    static isResult(value) {
+        return value instanceof Result;
+    }
+
+    // 2. Adapters for throwing code
+    static try(fn, ...args) {
+        try {
+            return Result.ok(fn(...args));
+        } catch (error) {
+            return Result.err(error);
+        }
+    }
+
+    static async tryAsync(fn, ...args) {
+        try {
+            return Result.ok(await fn(...args));
+        } catch (error) {
+            return Result.err(error);
+        }
+    }
+
+    static fromPromise(promise) {
+        return Promise.resolve(promise).then(Result.ok, Result.err);
+    }
+
+    static fromThrowable(fn) {
+        return function (...args) {
+            return Result.try(() => fn.apply(this, args));
+        };
+    }
+
+    static fromAsync(fn) {
+        return function (...args) {
+            return Result.tryAsync(() => fn.apply(this, args));
+        };
+    }
+
+    // 3. Combinators over many results
+    static all(results) {
+        const values = [];
+        for (const result of results) {
+            if (result.isErr()) return result;
+            values.push(result.value);
+        }
+        return Result.ok(values);
+    }
+
+    static any(results) {
+        const errors = [];
+        for (const result of results) {
+            if (result.isOk()) return result;
+            errors.push(result.error);
+        }
+        return Result.err(errors);
+    }
+
+    // 4. Inspection
+    isOk() {
+        return this.ok;
+    }
+
+    isErr() {
+        return !this.ok;
+    }
+
+    // 5. Transformation (callbacks that throw are not caught; wrap them with Result.try)
+    map(fn) {
+        return this.ok ? Result.ok(fn(this.value)) : this;
+    }
+
+    mapErr(fn) {
+        return this.ok ? this : Result.err(fn(this.error));
+    }
+
+    flatMap(fn) {
+        if (!this.ok) return this;
+        const next = fn(this.value);
+        if (!Result.isResult(next)) {
+            throw new TypeError('flatMap callback must return a Result');
+        }
+        return next;
+    }
+
+    async mapAsync(fn) {
+        return this.ok ? Result.ok(await fn(this.value)) : this;
+    }
+
+    async mapErrAsync(fn) {
+        return this.ok ? this : Result.err(await fn(this.error));
+    }
+
+    async flatMapAsync(fn) {
+        if (!this.ok) return this;
+        const next = await fn(this.value);
+        if (!Result.isResult(next)) {
+            throw new TypeError('flatMapAsync callback must resolve to a Result');
+        }
+        return next;
+    }
+
+    // 6. Extraction
+    unwrap() {
+        if (this.ok) return this.value;
+        throw this.error instanceof Error
+            ? this.error
+            : new Error(`Called unwrap on Err: ${String(this.error)}`);
+    }
+
+    unwrapOr(defaultValue) {
+        return this.ok ? this.value : defaultValue;
+    }
+
+    unwrapOrElse(fn) {
+        return this.ok ? this.value : fn(this.error);
+    }
+
+    match({ ok, err }) {
+        return this.ok ? ok(this.value) : err(this.error);
+    }
+
+    toJSON() {
+        return this.ok
+            ? { ok: true, value: this.value }
+            : { ok: false, error: this.error instanceof Error ? this.error.message : this.error };
     }
 }
 
+const Ok = value => Result.ok(value);
+const Err = error => Result.err(error);
+
 // ************ CONCLUSION ************
 
 /*
@@ -217,6 +508,12 @@ if (typeof module !== 'undefined') {
     module.exports = {
         helloWorld,
         detectEnvironment,
-        safeOperation
+        safeOperation,
+        Result,
+        Ok,
+        Err,
+        getCapabilities,
+        FEATURE_CHECKS,
+        MODULE_FEATURES
     };
 } 
\ No newline at end of file
@@ -9,6 +9,9 @@ Before starting this module, ensure you understand:
 3. Basic programming concepts
 */
 
+// Result type (see 01_JS_Introduction.js)
+const { Result } = require('./01_JS_Introduction.js');
+
 // ************ VARIABLES FUNDAMENTALS ************
 
 // 1. Variable Declaration Keywords
@@ -24,7 +27,7 @@ var oldStyleVariable = "Avoid var in modern JavaScript"; // Legacy
 }
 
 // 3. Hoisting Behavior
-console.log(hoistedVar); // undefined
+// console.log(hoistedVar); // undefined
 var hoistedVar = "Hoisted variable";
 
 // This would throw ReferenceError:
@@ -141,22 +144,32 @@ class InterviewQuestions {
 // ************ PRACTICAL EXERCISES ************
 
 // Exercise 1: Type Identification
+// kind/constructorName/isPlainObject come from TypeClassifier (see below)
 function identifyType(value) {
+    const { kind, constructorName, isPlainObject } = TypeClassifier.classify(value);
     return {
         type: typeof value,
         isNull: value === null,
         isUndefined: value === undefined,
-        isPrimitive: Object(value) !== value
+        isPrimitive: Object(value) !== value,
+        kind,
+        constructorName,
+        isPlainObject
     };
 }
 
 // Exercise 2: Safe Type Conversion
-function safeTypeConversion(value, targetType) {
-    try {
+// convertType reports failures as Err; safeTypeConversion keeps the
+// original null-on-failure contract on top of it
+function convertType(value, targetType) {
+    return Result.try(() => {
         switch(targetType) {
             case 'number':
                 const num = Number(value);
-                return isNaN(num) ? null : num;
+                if (isNaN(num)) {
+                    throw new TypeError(`Cannot convert ${String(value)} to number`);
+                }
+                return num;
             case 'string':
                 return String(value);
             case 'boolean':
@@ -164,20 +177,1416 @@ function safeTypeConversion(value, targetType) {
             default:
                 throw new Error('Unsupported type conversion');
         }
-    } catch (error) {
+    });
+}
+
+function safeTypeConversion(value, targetType) {
+    return convertType(value, targetType).unwrapOrElse(error => {
         console.error('Conversion failed:', error);
         return null;
-    }
+    });
 }
 
 // Exercise 3: Deep Freeze Object
+// Cycle-safe; follows symbol and non-enumerable keys, and locks the mutator
+// methods of Map, Set, Date and typed arrays (see IMMUTABILITY below)
 function deepFreeze(obj) {
-    Object.keys(obj).forEach(prop => {
-        if (typeof obj[prop] === 'object' && obj[prop] !== null) {
-            deepFreeze(obj[prop]);
+    const visited = new Set();
+    Immutable.freezeValue(obj, visited);
+    visited.forEach(value => Immutable.deeplyFrozen.add(value));
+    return obj;
+}
+
+// ************ TYPE CLASSIFICATION ************
+
+/*
+typeof stops at 'object' for arrays, dates, maps, boxed primitives, class
+instances... Object.prototype.toString reads the internal Symbol.toStringTag
+and works across realms (iframes, vm contexts), so it is the base here.
+
+    TypeClassifier.classify(new Map()).kind        // 'map'
+    TypeClassifier.classify(new Dog()).prototypeChain // ['Dog', 'Animal', 'Object']
+
+Domain types plug into a registry and win over the built-in kinds:
+
+    TypeClassifier.default.registerClass(Money);
+    TypeClassifier.default.register('email', v => typeof v === 'string' && v.includes('@'));
+*/
+
+class TypeClassifier {
+    static BOXED_TAGS = new Set(['Number', 'String', 'Boolean', 'BigInt', 'Symbol']);
+
+    constructor() {
+        this.customTypes = [];
+    }
+
+    // 1. Registry
+    register(name, predicate) {
+        if (typeof predicate !== 'function') {
+            throw new TypeError(`Predicate for type "${name}" must be a function`);
+        }
+        this.unregister(name);
+        this.customTypes.unshift({ name, predicate });
+        return this;
+    }
+
+    registerClass(Class, name = Class.name) {
+        return this.register(name, value => value instanceof Class);
+    }
+
+    unregister(name) {
+        this.customTypes = this.customTypes.filter(type => type.name !== name);
+        return this;
+    }
+
+    matchCustomType(value) {
+        for (const { name, predicate } of this.customTypes) {
+            try {
+                if (predicate(value)) return name;
+            } catch (error) {
+                // A predicate that throws simply doesn't match
+            }
+        }
+        return null;
+    }
+
+    // 2. Classification
+    classify(value) {
+        const type = typeof value;
+        const tag = TypeClassifier.getTag(value);
+        const isPrimitive = value === null || (type !== 'object' && type !== 'function');
+        const { prototypes, complete } = isPrimitive
+            ? { prototypes: [], complete: true }
+            : TypeClassifier.getPrototypes(value);
+        const prototypeChain = prototypes.map(TypeClassifier.getPrototypeName);
+        const custom = this.matchCustomType(value);
+
+        // A chain cut short by a throwing Proxy trap proves nothing about plainness
+        const isPlainObject = !isPrimitive && type === 'object' && tag === 'Object' && complete &&
+            (prototypes.length === 0 ||
+             (prototypes.length === 1 && prototypeChain[0] === 'Object'));
+        const constructorName = isPrimitive
+            ? (value === null || value === undefined ? null : tag)
+            : (prototypes.length ? prototypeChain[0] : null);
+        const isClassInstance = !isPrimitive && type === 'object' && !isPlainObject &&
+            constructorName !== null && !TypeClassifier.isBuiltInName(constructorName, tag);
+
+        return {
+            kind: custom || TypeClassifier.getKind(value, type, tag),
+            type,
+            tag,
+            constructorName,
+            prototypeChain,
+            custom,
+            isPrimitive,
+            isBoxed: !isPrimitive && type === 'object' && TypeClassifier.BOXED_TAGS.has(tag),
+            isPlainObject,
+            isClassInstance,
+            isTypedArray: ArrayBuffer.isView(value) && !(value instanceof DataView),
+            isCrossRealm: TypeClassifier.isCrossRealm(prototypes)
+        };
+    }
+
+    static default = new TypeClassifier();
+
+    static classify(value) {
+        return TypeClassifier.default.classify(value);
+    }
+
+    // 3. Helpers
+    // A Proxy can throw from its Symbol.toStringTag lookup
+    static getTag(value) {
+        try {
+            return Object.prototype.toString.call(value).slice(8, -1);
+        } catch (error) {
+            return 'Object';
+        }
+    }
+
+    static getKind(value, type, tag) {
+        if (value === null) return 'null';
+        if (type === 'function') {
+            return TypeClassifier.isClass(value) ? 'class' : tag.toLowerCase();
+        }
+        if (type !== 'object') return type;
+        return tag.toLowerCase();
+    }
+
+    static sourceOf(fn) {
+        try {
+            return Function.prototype.toString.call(fn);
+        } catch (error) {
+            return '';
         }
+    }
+
+    // A proxied class prints as anonymous native code, but its prototype still
+    // points back at the real class
+    static isClass(fn) {
+        const source = TypeClassifier.sourceOf(fn);
+        if (/^class[\s{]/.test(source)) return true;
+        if (!/^function\s*\(\)\s*\{\s*\[native code\]\s*\}$/.test(source)) return false;
+        try {
+            const ctor = fn.prototype && fn.prototype.constructor;
+            return typeof ctor === 'function' && ctor !== fn && /^class[\s{]/.test(TypeClassifier.sourceOf(ctor));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Proxies may trap getPrototypeOf; stop walking rather than throw, and
+    // report that the chain is incomplete
+    static getPrototypes(value) {
+        const prototypes = [];
+        const seen = new Set();
+        try {
+            let proto = Object.getPrototypeOf(value);
+            while (proto !== null && !seen.has(proto)) {
+                seen.add(proto);
+                prototypes.push(proto);
+                proto = Object.getPrototypeOf(proto);
+            }
+        } catch (error) {
+            return { prototypes, complete: false };
+        }
+        return { prototypes, complete: true };
+    }
+
+    static getPrototypeName(proto) {
+        try {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
+            const ctor = descriptor && descriptor.value;
+            return typeof ctor === 'function' && ctor.name ? ctor.name : '(anonymous)';
+        } catch (error) {
+            return '(anonymous)';
+        }
+    }
+
+    static isBuiltInName(name, tag) {
+        return name === tag || typeof globalThis[name] === 'function' &&
+            /\{\s*\[native code\]\s*\}$/.test(Function.prototype.toString.call(globalThis[name]));
+    }
+
+    // Every realm has its own Object.prototype at the end of the chain
+    static isCrossRealm(prototypes) {
+        if (prototypes.length === 0) return false;
+        const root = prototypes[prototypes.length - 1];
+        return root !== Object.prototype && TypeClassifier.getPrototypeName(root) === 'Object';
+    }
+}
+
+// ************ SCHEMA COERCION ************
+
+/*
+Converts whole records (query strings, form posts, CSV rows) against a
+schema, building on convertType/safeTypeConversion for the base cases.
+Every failure is collected with its path instead of stopping at the first:
+
+    const engine = new CoercionEngine();
+    engine.coerce({ age: '42', tags: 'a,b', active: 'off' }, {
+        age: 'integer',
+        tags: { type: 'array', of: 'string' },
+        active: { type: 'boolean', default: true },
+        role: { type: 'enum', values: ['admin', 'user'], default: 'user' }
     });
-    return Object.freeze(obj);
+    // { ok: true, value: { age: 42, tags: ['a', 'b'], active: false, role: 'user' }, errors: [] }
+
+Strict mode accepts only canonical input ('42', 'true', ISO dates) and
+rejects unknown fields; lenient mode trims, accepts yes/no/on/off and any
+parseable date, and drops unknown fields.
+*/
+
+class CoercionEngine {
+    static TRUE_WORDS = new Set(['true', '1', 'yes', 'y', 'on']);
+    static FALSE_WORDS = new Set(['false', '0', 'no', 'n', 'off', '']);
+    static ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2}):?(\d{2}))?)?$/;
+
+    constructor({ strict = false } = {}) {
+        this.strict = strict;
+        this.types = new Map(Object.entries(CoercionEngine.builtInTypes));
+    }
+
+    // 1. Custom types: coercer(value, field, context) returns a Result
+    define(name, coercer) {
+        this.types.set(name, coercer);
+        return this;
+    }
+
+    // 2. Entry point
+    coerce(input, schema, { strict = this.strict } = {}) {
+        const errors = [];
+        const context = { strict, errors, engine: this };
+        const value = this.coerceObject(CoercionEngine.toRecord(input), schema, '', context);
+        return { ok: errors.length === 0, value, errors };
+    }
+
+    coerceObject(input, schema, path, context) {
+        const output = {};
+        if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+            context.errors.push(CoercionEngine.error(path, 'must be an object', input, 'object'));
+            return output;
+        }
+
+        for (const [key, rawField] of Object.entries(schema)) {
+            const field = CoercionEngine.normalizeField(rawField);
+            const fieldPath = path ? `${path}.${key}` : key;
+            const result = this.coerceField(input[key], field, fieldPath, context);
+            if (result !== undefined) {
+                output[key] = result;
+            }
+        }
+
+        for (const key of Object.keys(input)) {
+            if (context.strict && !Object.prototype.hasOwnProperty.call(schema, key)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                context.errors.push(CoercionEngine.error(fieldPath, 'is not a known field', input[key], null));
+            }
+        }
+
+        return output;
+    }
+
+    coerceField(raw, field, path, context) {
+        if (CoercionEngine.isMissing(raw, field, context)) {
+            if (field.default !== undefined) {
+                return typeof field.default === 'function' ? field.default() : field.default;
+            }
+            if (field.required) {
+                context.errors.push(CoercionEngine.error(path, 'is required', raw, field.type));
+            }
+            return raw === null && field.nullable ? null : undefined;
+        }
+
+        if (field.type === 'object') {
+            return this.coerceObject(CoercionEngine.toRecord(raw), field.schema, path, context);
+        }
+        if (field.type === 'array') {
+            return this.coerceArray(raw, field, path, context);
+        }
+
+        const coercer = this.types.get(field.type);
+        if (!coercer) {
+            context.errors.push(CoercionEngine.error(path, `has unknown type "${field.type}"`, raw, field.type));
+            return undefined;
+        }
+
+        const input = !context.strict && typeof raw === 'string' ? raw.trim() : raw;
+        return coercer(input, field, context).unwrapOrElse(error => {
+            context.errors.push(CoercionEngine.error(path, error.message, raw, field.type));
+            return undefined;
+        });
+    }
+
+    coerceArray(raw, field, path, context) {
+        let items = raw;
+        if (typeof raw === 'string') {
+            items = raw === '' ? [] : raw.split(field.delimiter || ',');
+        } else if (!Array.isArray(raw)) {
+            if (context.strict) {
+                context.errors.push(CoercionEngine.error(path, 'must be an array', raw, 'array'));
+                return undefined;
+            }
+            items = [raw];
+        }
+
+        const itemField = CoercionEngine.normalizeField(field.of || 'string');
+        return items.map((item, index) =>
+            this.coerceField(item, { ...itemField, required: true }, `${path}[${index}]`, context));
+    }
+
+    // 3. Built-in types (each returns a Result)
+    static builtInTypes = {
+        string: value => convertType(value, 'string'),
+
+        float: (value, field, { strict }) => Result.try(() => {
+            if (typeof value === 'number') return CoercionEngine.finite(value);
+            // Number([]) is 0 and Number(true) is 1: only text may be parsed
+            if (typeof value !== 'string' || value.trim() === '') {
+                throw new TypeError('must be a number');
+            }
+            if (strict && !/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) {
+                throw new TypeError('must be a number');
+            }
+            return CoercionEngine.finite(convertType(value, 'number').unwrapOrElse(() => {
+                throw new TypeError('must be a number');
+            }));
+        }).flatMap(num => CoercionEngine.checkRange(num, field)),
+
+        integer: (value, field, context) => Result.try(() => {
+            if (context.strict && typeof value !== 'number' && !/^[+-]?\d+$/.test(String(value))) {
+                throw new TypeError('must be an integer');
+            }
+            const num = CoercionEngine.builtInTypes.float(value, {}, context).unwrapOrElse(() => NaN);
+            if (!Number.isSafeInteger(num)) {
+                throw new TypeError('must be an integer');
+            }
+            return num;
+        }).flatMap(num => CoercionEngine.checkRange(num, field)),
+
+        bigint: value => Result.try(() => {
+            if (typeof value === 'bigint') return value;
+            if (typeof value === 'number' ? !Number.isInteger(value) : !/^[+-]?\d+$/.test(String(value))) {
+                throw new TypeError('must be an integer');
+            }
+            return BigInt(value);
+        }),
+
+        boolean: (value, field, { strict }) => Result.try(() => {
+            if (typeof value === 'boolean') return value;
+            const word = String(value).toLowerCase();
+            if (strict ? word === 'true' : CoercionEngine.TRUE_WORDS.has(word)) return true;
+            if (strict ? word === 'false' : CoercionEngine.FALSE_WORDS.has(word)) return false;
+            throw new TypeError('must be a boolean');
+        }),
+
+        date: (value, field, { strict }) => Result.try(() => {
+            if (value instanceof Date) {
+                if (isNaN(value.getTime())) throw new TypeError('must be a valid date');
+                return new Date(value.getTime());
+            }
+            const text = String(value);
+            const iso = text.match(CoercionEngine.ISO_DATE);
+            if (strict && !iso) {
+                throw new TypeError('must be an ISO 8601 date');
+            }
+            // Date rolls 2024-02-30 over to March 1; refuse instead
+            if (iso && !CoercionEngine.isCalendarDate(iso)) {
+                throw new TypeError('must be a valid date');
+            }
+            // Numbers and long digit strings are epoch milliseconds; '2024' is a year
+            const epoch = typeof value === 'number' || /^\d+$/.test(text) && text.length !== 4;
+            const date = new Date(epoch ? Number(value) : text);
+            if (isNaN(date.getTime())) throw new TypeError('must be a valid date');
+            return date;
+        }),
+
+        enum: (value, field, { strict }) => Result.try(() => {
+            const values = field.values || [];
+            const match = values.find(option => option === value) ??
+                (strict ? undefined : values.find(option =>
+                    String(option).toLowerCase() === String(value).toLowerCase()));
+            if (match === undefined) {
+                throw new TypeError(`must be one of ${values.join(', ')}`);
+            }
+            return match;
+        }),
+
+        json: value => Result.try(() => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new TypeError('must be valid JSON');
+            }
+        })
+    };
+
+    // 4. Helpers
+    static normalizeField(field) {
+        if (typeof field === 'string') return { type: field };
+        if (field && typeof field === 'object' && typeof field.type !== 'string') {
+            return { type: 'object', schema: field };
+        }
+        return field;
+    }
+
+    static isMissing(raw, field, { strict }) {
+        if (raw === undefined || raw === null) return true;
+        return raw === '' && !strict && field.type !== 'string';
+    }
+
+    // URLSearchParams / FormData / Map -> plain object (repeated keys become arrays).
+    // No prototype, so keys like "constructor" or "__proto__" are just keys.
+    static toRecord(input) {
+        if (input && typeof input === 'object' && !Array.isArray(input) &&
+            typeof input.entries === 'function' && !TypeClassifier.classify(input).isPlainObject) {
+            const record = Object.create(null);
+            for (const [key, value] of input.entries()) {
+                record[key] = Object.prototype.hasOwnProperty.call(record, key)
+                    ? [].concat(record[key], value)
+                    : value;
+            }
+            return record;
+        }
+        return input;
+    }
+
+    static isCalendarDate([, year, month, day, hour = '0', minute = '0', second = '0', offsetHour = '0', offsetMinute = '0']) {
+        const daysInMonth = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+        return Number(month) >= 1 && Number(month) <= 12 &&
+            Number(day) >= 1 && Number(day) <= daysInMonth &&
+            Number(hour) <= 23 && Number(minute) <= 59 && Number(second) <= 59 &&
+            Number(offsetHour) <= 23 && Number(offsetMinute) <= 59;
+    }
+
+    static finite(num) {
+        if (!Number.isFinite(num)) throw new TypeError('must be a finite number');
+        return num;
+    }
+
+    static checkRange(num, { min, max }) {
+        if (min !== undefined && num < min) return Result.err(new RangeError(`must be at least ${min}`));
+        if (max !== undefined && num > max) return Result.err(new RangeError(`must be at most ${max}`));
+        return Result.ok(num);
+    }
+
+    static error(path, message, value, type) {
+        return { path: path || '(root)', message, value, type };
+    }
+}
+
+// ************ TYPED CONFIGURATION ************
+
+/*
+Loads settings from a defaults object, .env files and process.env (later
+sources win), coerces them with CoercionEngine and returns a deep-frozen
+object. Every missing or malformed key is reported in one ConfigError.
+
+    const config = new ConfigLoader({
+        PORT: { type: 'integer', default: 3000 },
+        DATABASE_URL: { type: 'string', required: true, secret: true },
+        FEATURES: { type: 'array', of: 'string' },
+        debug: { type: 'boolean', env: 'APP_DEBUG', default: false }
+    }, { files: ['.env', '.env.local'] }).load();
+
+Secret fields stay readable in code but are masked in JSON.stringify,
+console.log and error reports, on the whole config and on any object taken
+out of it.
+
+Object fields can also be set one key at a time with double underscores, as
+env vars are flat: with db: { host: 'string', port: 'integer' }, the vars
+db__host and db__port fill in db.host and db.port on top of any db object
+from an earlier source. A field's env name replaces its key in that chain.
+*/
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(({ path, message }) => `  - ${path}: ${message}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+class ConfigLoader {
+    static MASK = '********';
+    static KEY_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+    constructor(schema, {
+        env = typeof process !== 'undefined' ? process.env : {},
+        files = [],
+        defaults = {},
+        strict = false,
+        readFile = ConfigLoader.readFile
+    } = {}) {
+        this.schema = schema;
+        this.env = env;
+        this.files = files;
+        this.defaults = defaults;
+        this.strict = strict;
+        this.readFile = readFile;
+    }
+
+    load() {
+        const errors = [];
+        const sources = [this.defaults, ...this.readFiles(errors), this.env];
+        const secrets = ConfigLoader.secretPaths(this.schema);
+        const input = {};
+        const fields = {};
+
+        for (const [key, rawField] of Object.entries(this.schema)) {
+            const field = CoercionEngine.normalizeField(rawField);
+            const envKey = field.env || key;
+            fields[key] = field;
+
+            for (const source of sources) {
+                const value = ConfigLoader.lookup(source, envKey, field);
+                if (value !== undefined) input[key] = ConfigLoader.overlay(input[key], value);
+            }
+        }
+
+        const result = new CoercionEngine({ strict: this.strict }).coerce(input, fields);
+        for (const error of result.errors) {
+            const key = error.path.split(/[.[]/)[0];
+            const envKey = fields[key].env || key;
+            errors.push({
+                ...error,
+                path: envKey === key ? error.path : `${envKey} (${error.path})`,
+                value: ConfigLoader.isSecret(error.path, secrets) ? ConfigLoader.MASK : error.value
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ConfigError(errors);
+        }
+        return ConfigLoader.seal(result.value, secrets);
+    }
+
+    // Object fields also read KEY__child entries, since env vars are flat strings
+    static lookup(source, envKey, field) {
+        const direct = source[envKey];
+        if (field.type !== 'object' || !field.schema) return direct;
+
+        const nested = {};
+        for (const [key, rawField] of Object.entries(field.schema)) {
+            const child = CoercionEngine.normalizeField(rawField);
+            const value = ConfigLoader.lookup(source, `${envKey}__${child.env || key}`, child);
+            if (value !== undefined) nested[key] = value;
+        }
+        return Object.keys(nested).length ? ConfigLoader.overlay(direct, nested) : direct;
+    }
+
+    // Later sources win key by key inside objects, and outright for anything else
+    static overlay(base, value) {
+        const isRecord = item => item !== null && typeof item === 'object' && TypeClassifier.classify(item).isPlainObject;
+        if (!isRecord(base) || !isRecord(value)) return value;
+        const merged = { ...base };
+        for (const [key, item] of Object.entries(value)) {
+            merged[key] = ConfigLoader.overlay(base[key], item);
+        }
+        return merged;
+    }
+
+    readFiles(errors) {
+        const parsed = [];
+        for (const file of this.files) {
+            const text = this.readFile(file);
+            if (text === null) continue;
+            const { values, errors: fileErrors } = ConfigLoader.parseDotenv(text, file);
+            errors.push(...fileErrors);
+            parsed.push(values);
+        }
+        return parsed;
+    }
+
+    // Missing files are skipped, like dotenv does
+    static readFile(file) {
+        const fs = require('fs');
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // KEY=value, export KEY=value, 'literal', "escaped\n and multi-line", # comments
+    static parseDotenv(text, source = '.env') {
+        const values = {};
+        const errors = [];
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+
+            const match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+            if (!match || !ConfigLoader.KEY_PATTERN.test(match[1])) {
+                // The raw line may hold a secret, so it is not echoed back
+                errors.push({ path: `${source}:${i + 1}`, message: 'is not a KEY=value line', value: null, type: null });
+                continue;
+            }
+
+            const [, key, rest] = match;
+            const quote = rest[0];
+            if (quote === '"' || quote === "'") {
+                let body = rest.slice(1);
+                const startLine = i;
+                while (!ConfigLoader.hasClosingQuote(body, quote) && i + 1 < lines.length) {
+                    body += '\n' + lines[++i];
+                }
+                if (!ConfigLoader.hasClosingQuote(body, quote)) {
+                    errors.push({ path: `${source}:${startLine + 1}`, message: `has an unterminated ${quote} quote`, value: key, type: null });
+                    continue;
+                }
+                const raw = body.slice(0, ConfigLoader.closingQuoteIndex(body, quote));
+                values[key] = quote === '"' ? ConfigLoader.unescape(raw) : raw;
+            } else {
+                values[key] = rest.replace(/\s+#.*$/, '').trim();
+            }
+        }
+
+        return { values, errors };
+    }
+
+    static closingQuoteIndex(body, quote) {
+        for (let i = 0; i < body.length; i++) {
+            if (quote === '"' && body[i] === '\\') {
+                i++;
+            } else if (body[i] === quote) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    static hasClosingQuote(body, quote) {
+        return ConfigLoader.closingQuoteIndex(body, quote) !== -1;
+    }
+
+    static unescape(value) {
+        const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+        return value.replace(/\\(.)/g, (match, char) => escapes[char] ?? match);
+    }
+
+    // Dotted paths of every field marked secret; array items appear as "list[]"
+    static secretPaths(schema, prefix = '', paths = new Set()) {
+        for (const [key, rawField] of Object.entries(schema)) {
+            const field = CoercionEngine.normalizeField(rawField);
+            const path = prefix ? `${prefix}.${key}` : key;
+            const item = field.type === 'array' && field.of ? CoercionEngine.normalizeField(field.of) : null;
+            if (field.secret || (item && item.secret)) {
+                paths.add(path);
+            } else if (field.type === 'object' && field.schema) {
+                ConfigLoader.secretPaths(field.schema, path, paths);
+            } else if (item && item.type === 'object' && item.schema) {
+                ConfigLoader.secretPaths(item.schema, `${path}[]`, paths);
+            }
+        }
+        return paths;
+    }
+
+    // True for a secret field and anything inside it ("db.password", "keys[2]")
+    static isSecret(path, secrets) {
+        const normalized = path.replace(/\[\d+\]/g, '[]');
+        return [...secrets].some(secret => normalized === secret ||
+            normalized.startsWith(`${secret}.`) || normalized.startsWith(`${secret}[`));
+    }
+
+    static mask(value, secrets, path = '') {
+        if (path && ConfigLoader.isSecret(path, secrets)) return ConfigLoader.MASK;
+        if (Array.isArray(value)) {
+            return value.map((item, index) => ConfigLoader.mask(item, secrets, `${path}[${index}]`));
+        }
+        if (value !== null && typeof value === 'object' && TypeClassifier.classify(value).isPlainObject) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+                [key, ConfigLoader.mask(item, secrets, path ? `${path}.${key}` : key)]));
+        }
+        return value;
+    }
+
+    // Freeze the config and mask secrets wherever it, or any object inside it, gets printed
+    static seal(config, secrets) {
+        const install = (value, path) => {
+            if (value === null || typeof value !== 'object') return;
+            const isArray = Array.isArray(value);
+            if (!isArray && !TypeClassifier.classify(value).isPlainObject) return;
+
+            const masked = () => ConfigLoader.mask(value, secrets, path);
+            Object.defineProperty(value, 'toJSON', { value: masked });
+            Object.defineProperty(value, Symbol.for('nodejs.util.inspect.custom'), { value: masked });
+            Object.keys(value).forEach(key => install(value[key], isArray ? `${path}[${key}]` : (path ? `${path}.${key}` : key)));
+        };
+        install(config, '');
+        return deepFreeze(config);
+    }
+}
+
+// ************ IMMUTABILITY ************
+
+/*
+Object.freeze is shallow and says nothing about internal slots: a frozen
+Map still accepts set(), a frozen Date still accepts setFullYear(). deepFreeze
+shadows those mutators with throwing methods on the instance (calling the
+prototype method directly still bypasses this). Typed arrays can't be frozen
+at all, so only their methods are locked; index writes still go through.
+A Map, Set or Date that was Object.freeze'd beforehand can't be locked any
+more, so deepFreeze throws a TypeError for it.
+
+Updates never mutate; they copy the path to the change and share the rest:
+
+    const next = Immutable.setIn(state, ['users', 0, 'name'], 'Ada');
+    next.settings === state.settings; // true
+
+    const draftNext = Immutable.produce(state, draft => {
+        draft.users.push({ name: 'Grace' });
+    });
+
+Results are deep-frozen, including the branches they share with the input.
+*/
+
+class Immutable {
+    static deeplyFrozen = new WeakSet();
+    static lockedCollections = new WeakSet();
+    static FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+    static TYPED_ARRAY_MUTATORS = ['set', 'fill', 'copyWithin', 'reverse', 'sort'];
+    static DRAFT_STATE = Symbol('draftState');
+
+    // 1. Freezing
+    static freezeValue(value, visited) {
+        if (value === null || typeof value !== 'object') return;
+        if (visited.has(value) || Immutable.deeplyFrozen.has(value)) return;
+        visited.add(value);
+
+        if (value instanceof Map) {
+            Immutable.lockMethods(value, ['set', 'delete', 'clear']);
+            value.forEach((item, key) => {
+                Immutable.freezeValue(key, visited);
+                Immutable.freezeValue(item, visited);
+            });
+        } else if (value instanceof Set) {
+            Immutable.lockMethods(value, ['add', 'delete', 'clear']);
+            value.forEach(item => Immutable.freezeValue(item, visited));
+        } else if (value instanceof WeakMap || value instanceof WeakSet) {
+            Immutable.lockMethods(value, value instanceof WeakMap ? ['set', 'delete'] : ['add', 'delete']);
+        } else if (value instanceof Date) {
+            Immutable.lockMethods(value, Object.getOwnPropertyNames(Date.prototype)
+                .filter(name => name.startsWith('set')));
+        }
+
+        // Only data properties: getters are not invoked
+        for (const key of Reflect.ownKeys(value)) {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            if (descriptor && 'value' in descriptor) {
+                Immutable.freezeValue(descriptor.value, visited);
+            }
+        }
+
+        if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+            Immutable.lockMethods(value, Immutable.TYPED_ARRAY_MUTATORS);
+            Object.preventExtensions(value);
+        } else {
+            Object.freeze(value);
+        }
+    }
+
+    static lockMethods(target, methods) {
+        if (Immutable.lockedCollections.has(target)) return;
+        const tag = TypeClassifier.getTag(target);
+        // Object.freeze got there first: the mutators can no longer be shadowed
+        if (!Object.isExtensible(target)) {
+            throw new TypeError(`Cannot deep-freeze a ${tag} that is already frozen; its mutators would stay callable`);
+        }
+        for (const method of methods) {
+            Object.defineProperty(target, method, {
+                value() {
+                    throw new TypeError(`Cannot call ${method}() on a frozen ${tag}`);
+                },
+                enumerable: false,
+                writable: false,
+                configurable: false
+            });
+        }
+        Immutable.lockedCollections.add(target);
+    }
+
+    static isDeepFrozen(value, visited = new Set()) {
+        if (value === null || typeof value !== 'object') return true;
+        if (Immutable.deeplyFrozen.has(value) || visited.has(value)) return true;
+        visited.add(value);
+
+        const isTypedArray = ArrayBuffer.isView(value) && !(value instanceof DataView);
+        const needsLock = isTypedArray || value instanceof Map || value instanceof Set ||
+            value instanceof WeakMap || value instanceof WeakSet || value instanceof Date;
+
+        if (needsLock && !Immutable.lockedCollections.has(value)) return false;
+        if (isTypedArray ? Object.isExtensible(value) : !Object.isFrozen(value)) return false;
+
+        const children = [];
+        if (value instanceof Map) value.forEach((item, key) => children.push(key, item));
+        if (value instanceof Set) value.forEach(item => children.push(item));
+        for (const key of Reflect.ownKeys(value)) {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            if (descriptor && 'value' in descriptor) children.push(descriptor.value);
+        }
+
+        return children.every(child => Immutable.isDeepFrozen(child, visited));
+    }
+
+    // 2. Structural sharing updates
+    static setIn(target, path, value) {
+        return Immutable.updateIn(target, path, () => value);
+    }
+
+    static updateIn(target, path, updater) {
+        const keys = Immutable.toPath(path);
+        const next = Immutable.updateAt(target, keys, 0, updater);
+        return next === target ? target : deepFreeze(next);
+    }
+
+    static removeIn(target, path) {
+        const keys = Immutable.toPath(path);
+        if (keys.length === 0) return undefined;
+        const parentKeys = keys.slice(0, -1);
+        const last = keys[keys.length - 1];
+
+        const parent = parentKeys.reduce((node, key) => Immutable.read(node, key), target);
+        if (parent === null || typeof parent !== 'object' || !Immutable.hasKey(parent, last)) {
+            return target;
+        }
+        const next = Immutable.updateAt(target, parentKeys, 0, node => {
+            const copy = Immutable.shallowCopy(node);
+            if (Array.isArray(copy)) copy.splice(Number(last), 1);
+            else if (copy instanceof Map) copy.delete(last);
+            else delete copy[last];
+            return copy;
+        });
+        return deepFreeze(next);
+    }
+
+    // Deep merge of plain objects; arrays and other values are replaced
+    static merge(target, ...sources) {
+        const next = sources.reduce((acc, source) => Immutable.mergeInto(acc, source), target);
+        return next === target ? target : deepFreeze(next);
+    }
+
+    static mergeInto(target, source) {
+        if (!Immutable.isPlain(target) || !Immutable.isPlain(source)) {
+            return Object.is(target, source) ? target : source;
+        }
+        let copy = null;
+        for (const key of Reflect.ownKeys(source)) {
+            Immutable.assertSafeKey(key);
+            const merged = Immutable.mergeInto(target[key], source[key]);
+            if (!Object.is(merged, target[key]) || !Immutable.hasKey(target, key)) {
+                copy = copy || Immutable.shallowCopy(target);
+                copy[key] = merged;
+            }
+        }
+        return copy || target;
+    }
+
+    static updateAt(node, keys, index, updater) {
+        if (index === keys.length) return updater(node);
+
+        const key = keys[index];
+        Immutable.assertSafeKey(key);
+        const container = node === undefined || node === null
+            ? (Immutable.isIndex(key) ? [] : {})
+            : node;
+        if (typeof container !== 'object') {
+            throw new TypeError(`Cannot set ${keys.slice(0, index + 1).join('.')} on a ${typeof container}`);
+        }
+
+        const current = Immutable.read(container, key);
+        const updated = Immutable.updateAt(current, keys, index + 1, updater);
+        if (container === node && Object.is(updated, current) && Immutable.hasKey(container, key)) {
+            return node;
+        }
+
+        const copy = Immutable.shallowCopy(container);
+        if (copy instanceof Map) copy.set(key, updated);
+        else copy[key] = updated;
+        return copy;
+    }
+
+    // 3. Draft-based updates (copy-on-write proxies over plain objects and arrays)
+    static produce(base, recipe) {
+        const scope = { revokes: [] };
+        const root = Immutable.createDraft(base, null, scope);
+        let result;
+        try {
+            const returned = recipe(root.proxy);
+            result = returned === undefined || returned === root.proxy
+                ? Immutable.finalize(root)
+                : Immutable.finalizeValue(returned);
+        } finally {
+            scope.revokes.forEach(revoke => revoke());
+        }
+        return deepFreeze(result);
+    }
+
+    static createDraft(base, parent, scope) {
+        const state = { base, copy: null, modified: false, parent, children: new Map(), scope };
+        const source = () => state.copy || state.base;
+
+        const { proxy, revoke } = Proxy.revocable(Array.isArray(base) ? [] : {}, {
+            get(target, key) {
+                if (key === Immutable.DRAFT_STATE) return state;
+                const value = Reflect.get(source(), key);
+                if (!Immutable.isDraftable(value) || !Object.prototype.hasOwnProperty.call(source(), key)) {
+                    return value;
+                }
+                if (state.children.has(key) && state.children.get(key).base === value) {
+                    return state.children.get(key).proxy;
+                }
+                if (state.base[key] !== value) return value; // already replaced wholesale
+                const child = Immutable.createDraft(value, state, scope);
+                state.children.set(key, child);
+                return child.proxy;
+            },
+            set(target, key, value) {
+                Immutable.assertSafeKey(key);
+                const current = source()[key];
+                const isOwn = Object.prototype.hasOwnProperty.call(source(), key);
+                if (isOwn && Object.is(current, value) && !(Array.isArray(base) && key === 'length')) {
+                    return true;
+                }
+                Immutable.markModified(state);
+                state.copy[key] = value;
+                return true;
+            },
+            deleteProperty(target, key) {
+                if (!Object.prototype.hasOwnProperty.call(source(), key)) return true;
+                Immutable.markModified(state);
+                delete state.copy[key];
+                state.children.delete(key);
+                return true;
+            },
+            has(target, key) {
+                return key in source();
+            },
+            ownKeys() {
+                return Reflect.ownKeys(source());
+            },
+            getOwnPropertyDescriptor(target, key) {
+                const descriptor = Reflect.getOwnPropertyDescriptor(source(), key);
+                if (!descriptor) return undefined;
+                const targetDescriptor = Reflect.getOwnPropertyDescriptor(target, key);
+                return {
+                    ...descriptor,
+                    writable: true,
+                    configurable: targetDescriptor ? targetDescriptor.configurable : true
+                };
+            },
+            getPrototypeOf() {
+                return Object.getPrototypeOf(base);
+            },
+            defineProperty() {
+                throw new TypeError('defineProperty is not supported on drafts');
+            },
+            setPrototypeOf() {
+                throw new TypeError('setPrototypeOf is not supported on drafts');
+            }
+        });
+
+        scope.revokes.push(revoke);
+        state.proxy = proxy;
+        return state;
+    }
+
+    static markModified(state) {
+        for (let current = state; current && !current.modified; current = current.parent) {
+            current.modified = true;
+            current.copy = Immutable.shallowCopy(current.base);
+        }
+        if (!state.copy) state.copy = Immutable.shallowCopy(state.base);
+    }
+
+    // A draft reached twice (or through a cycle) resolves to the same copy
+    static finalize(state, visited = new WeakSet()) {
+        if (!state.modified) return state.base;
+        const copy = state.copy;
+        if (state.finalized) return copy;
+        state.finalized = true;
+        visited.add(copy);
+
+        for (const [key, child] of state.children) {
+            if (Object.prototype.hasOwnProperty.call(copy, key) && copy[key] === child.base) {
+                copy[key] = Immutable.finalize(child, visited);
+            }
+        }
+        for (const key of Reflect.ownKeys(copy)) {
+            // Values still shared with the base predate the drafts, so they cannot hold one
+            if (Object.prototype.hasOwnProperty.call(state.base, key) && copy[key] === state.base[key]) continue;
+            copy[key] = Immutable.finalizeValue(copy[key], visited);
+        }
+        return copy;
+    }
+
+    // Drafts may have been re-attached anywhere in the new tree
+    static finalizeValue(value, visited = new WeakSet()) {
+        if (value === null || typeof value !== 'object') return value;
+        if (visited.has(value) || Immutable.deeplyFrozen.has(value)) return value;
+        let state;
+        try {
+            state = value[Immutable.DRAFT_STATE];
+        } catch (error) {
+            throw new TypeError('A draft was used after produce() finished');
+        }
+        if (state) return Immutable.finalize(state, visited);
+        visited.add(value);
+        if (Immutable.isDraftable(value)) {
+            for (const key of Reflect.ownKeys(value)) {
+                const finalized = Immutable.finalizeValue(value[key], visited);
+                if (finalized !== value[key] && !Object.isFrozen(value)) value[key] = finalized;
+            }
+        }
+        return value;
+    }
+
+    // 4. Helpers
+    static toPath(path) {
+        if (Array.isArray(path)) return path;
+        if (typeof path === 'string') return path === '' ? [] : path.split('.');
+        return [path];
+    }
+
+    static read(node, key) {
+        if (node === null || node === undefined) return undefined;
+        return node instanceof Map ? node.get(key) : node[key];
+    }
+
+    static hasKey(node, key) {
+        return node instanceof Map ? node.has(key) : Object.prototype.hasOwnProperty.call(node, key);
+    }
+
+    static isIndex(key) {
+        return typeof key === 'number' ? Number.isInteger(key) && key >= 0 : /^\d+$/.test(String(key));
+    }
+
+    static isPlain(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        return proto === null || proto === Object.prototype;
+    }
+
+    static isDraftable(value) {
+        return Array.isArray(value) || Immutable.isPlain(value);
+    }
+
+    static assertSafeKey(key) {
+        if (Immutable.FORBIDDEN_KEYS.has(key)) {
+            throw new TypeError(`Refusing to write through "${String(key)}"`);
+        }
+    }
+
+    static shallowCopy(value) {
+        if (Array.isArray(value)) return [...value];
+        if (value instanceof Map) return new Map(value);
+        if (value instanceof Set) return new Set(value);
+        if (value instanceof Date) return new Date(value.getTime());
+        const copy = Object.create(Object.getPrototypeOf(value));
+        for (const key of Reflect.ownKeys(value)) {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            Object.defineProperty(copy, key, 'value' in descriptor
+                ? { value: descriptor.value, enumerable: descriptor.enumerable, writable: true, configurable: true }
+                : { ...descriptor, configurable: true });
+        }
+        return copy;
+    }
+}
+
+// ************ MONEY ************
+
+/*
+0.1 + 0.2 !== 0.3 because binary floats can't represent most decimal
+fractions. Money never uses floats: amounts are BigInt minor units (cents,
+pence, yen) and every operation that can produce a fraction of a minor unit
+says how to round it.
+
+    const price = Money.of('19.99', 'USD');
+    price.multiply('0.0825').format('en-US');            // '$1.65'
+    Money.of('100', 'USD').allocate([1, 1, 1]);          // 33.34, 33.33, 33.33
+    Money.of('5', 'USD').add(Money.of('5', 'EUR'));      // CurrencyMismatchError
+    Money.parse('($1,234.50)', 'USD', 'en-US');          // -1234.50 USD
+    Money.parse('12-34', 'USD', 'en-US');                // SyntaxError
+*/
+
+class CurrencyMismatchError extends Error {
+    constructor(left, right) {
+        super(`Cannot combine ${left} with ${right}`);
+        this.name = 'CurrencyMismatchError';
+        this.currencies = [left, right];
+    }
+}
+
+class Money {
+    // ISO 4217 minor-unit exponents that differ from 2 (Intl fills in the rest)
+    static EXPONENTS = {
+        BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+        RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+        BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+        CLF: 4, UYW: 4
+    };
+
+    static ROUNDING_MODES = ['HALF_EVEN', 'HALF_UP', 'HALF_DOWN', 'UP', 'DOWN', 'CEILING', 'FLOOR'];
+    static DEFAULT_ROUNDING = 'HALF_EVEN';
+    static MAX_EXPONENT = 400; // past Number.MAX_VALUE; keeps '1e999999999' from allocating
+
+    constructor(minor, currency) {
+        this.minor = BigInt(minor);
+        this.currency = Money.normalizeCurrency(currency);
+        this.exponent = Money.getExponent(this.currency);
+        Object.freeze(this);
+    }
+
+    // 1. Construction
+    static of(amount, currency, { rounding = Money.DEFAULT_ROUNDING } = {}) {
+        const code = Money.normalizeCurrency(currency);
+        const { numerator, denominator } = Money.toFraction(amount);
+        const scale = 10n ** BigInt(Money.getExponent(code));
+        return new Money(Money.divide(numerator * scale, denominator, rounding), code);
+    }
+
+    static fromMinor(minor, currency) {
+        if (typeof minor === 'number' && !Number.isSafeInteger(minor)) {
+            throw new RangeError(`Minor units must be a safe integer, got ${minor}`);
+        }
+        return new Money(minor, currency);
+    }
+
+    static zero(currency) {
+        return new Money(0n, currency);
+    }
+
+    static normalizeCurrency(currency) {
+        const code = String(currency).toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new RangeError(`Invalid currency code: ${currency}`);
+        }
+        return code;
+    }
+
+    static getExponent(currency) {
+        if (currency in Money.EXPONENTS) return Money.EXPONENTS[currency];
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency })
+                .resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            return 2;
+        }
+    }
+
+    // 2. Arithmetic
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor + other.minor, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor - other.minor, this.currency);
+    }
+
+    multiply(factor, { rounding = Money.DEFAULT_ROUNDING } = {}) {
+        const { numerator, denominator } = Money.toFraction(factor);
+        return new Money(Money.divide(this.minor * numerator, denominator, rounding), this.currency);
+    }
+
+    negate() {
+        return new Money(-this.minor, this.currency);
+    }
+
+    abs() {
+        return this.minor < 0n ? this.negate() : this;
+    }
+
+    // Largest-remainder split: parts always sum to the original amount
+    allocate(ratios) {
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new RangeError('allocate() needs at least one ratio');
+        }
+        const fractions = ratios.map(ratio => Money.toFraction(ratio));
+        if (fractions.some(({ numerator }) => numerator < 0n)) {
+            throw new RangeError('Ratios must not be negative');
+        }
+
+        // Bring all ratios to a common denominator so they are integers
+        const common = fractions.reduce((acc, { denominator }) => acc * denominator, 1n);
+        const weights = fractions.map(({ numerator, denominator }) => numerator * (common / denominator));
+        const total = weights.reduce((sum, weight) => sum + weight, 0n);
+        if (total === 0n) {
+            throw new RangeError('Ratios must not all be zero');
+        }
+
+        const sign = this.minor < 0n ? -1n : 1n;
+        const amount = this.minor * sign;
+        const shares = weights.map(weight => (amount * weight) / total);
+        const remainders = weights.map((weight, index) => ({ index, rest: (amount * weight) % total }));
+        let leftover = amount - shares.reduce((sum, share) => sum + share, 0n);
+
+        remainders.sort((a, b) => (b.rest > a.rest ? 1 : b.rest < a.rest ? -1 : a.index - b.index));
+        for (const { index } of remainders) {
+            if (leftover === 0n) break;
+            shares[index] += 1n;
+            leftover -= 1n;
+        }
+
+        return shares.map(share => new Money(share * sign, this.currency));
+    }
+
+    split(parts) {
+        return this.allocate(Array(parts).fill(1));
+    }
+
+    // 3. Comparison
+    compare(other) {
+        this.assertSameCurrency(other);
+        return this.minor === other.minor ? 0 : this.minor < other.minor ? -1 : 1;
+    }
+
+    equals(other) {
+        return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    isZero() {
+        return this.minor === 0n;
+    }
+
+    isNegative() {
+        return this.minor < 0n;
+    }
+
+    isPositive() {
+        return this.minor > 0n;
+    }
+
+    assertSameCurrency(other) {
+        if (!(other instanceof Money)) {
+            throw new TypeError(`Expected Money, got ${typeof other}`);
+        }
+        if (other.currency !== this.currency) {
+            throw new CurrencyMismatchError(this.currency, other.currency);
+        }
+    }
+
+    // 4. Formatting and parsing
+    toDecimalString() {
+        const negative = this.minor < 0n;
+        const digits = (negative ? -this.minor : this.minor).toString().padStart(this.exponent + 1, '0');
+        const whole = digits.slice(0, digits.length - this.exponent);
+        const fraction = this.exponent ? `.${digits.slice(-this.exponent)}` : '';
+        return `${negative ? '-' : ''}${whole}${fraction}`;
+    }
+
+    format(locale, options = {}) {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: this.exponent,
+            maximumFractionDigits: this.exponent,
+            ...options
+        }).format(this.toDecimalString());
+    }
+
+    // Accepts what format() produces: an optional sign or (parentheses), the
+    // currency's symbol or code, digits grouped the locale's way, one decimal separator
+    static parse(text, currency, locale, options = {}) {
+        const code = Money.normalizeCurrency(currency);
+        const { group, decimal, symbols } = Money.separators(locale, code);
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const groupPattern = group === undefined ? null : /\s/.test(group) ? '\\s' : escape(group);
+        const symbol = `(?:${symbols.map(escape).join('|')})`;
+        const sign = '[-−+]';
+        const pattern = new RegExp(`^(?<lead>${sign})?\\s*(?<before>${symbol})?\\s*(?<inner>${sign})?\\s*` +
+            `(?<whole>\\d+${groupPattern ? `(?:${groupPattern}\\d+)*` : ''})(?:${escape(decimal)}(?<fraction>\\d+))?` +
+            `\\s*(?<after>${symbol})?$`);
+
+        const fail = () => { throw new SyntaxError(`Cannot parse "${text}" as ${code}`); };
+        let source = String(text).trim();
+        const parenthesized = /^\(.*\)$/.test(source);
+        if (parenthesized) source = source.slice(1, -1).trim();
+
+        const match = source.match(pattern);
+        if (!match) fail();
+        const { lead, before, inner, whole, fraction, after } = match.groups;
+        const signText = lead || inner;
+        if ((lead && inner) || (before && after) || (parenthesized && signText)) fail();
+
+        const digits = whole.replace(/\D/g, '');
+        if (digits !== whole && Money.groupDigits(digits, locale) !== whole.replace(/\s/g, ' ')) fail();
+
+        const negative = parenthesized || (signText !== undefined && signText !== '+');
+        return Money.of(`${negative ? '-' : ''}${digits}${fraction ? `.${fraction}` : ''}`, code, options);
+    }
+
+    static separators(locale, currency) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+        const symbols = new Set([currency]);
+        for (const currencyDisplay of ['symbol', 'narrowSymbol']) {
+            new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay }).formatToParts(1)
+                .filter(part => part.type === 'currency')
+                .forEach(part => symbols.add(part.value));
+        }
+        return {
+            group: (parts.find(part => part.type === 'group') || {}).value,
+            decimal: (parts.find(part => part.type === 'decimal') || { value: '.' }).value,
+            // Longest first, so 'US$' wins over '$'
+            symbols: [...symbols].sort((a, b) => b.length - a.length)
+        };
+    }
+
+    static groupDigits(digits, locale) {
+        return new Intl.NumberFormat(locale, { numberingSystem: 'latn', maximumFractionDigits: 0 })
+            .format(BigInt(digits))
+            .replace(/\s/g, ' ');
+    }
+
+    toString() {
+        return `${this.toDecimalString()} ${this.currency}`;
+    }
+
+    toJSON() {
+        return { amount: this.toDecimalString(), currency: this.currency };
+    }
+
+    // Block `price + tax` and friends: arithmetic must go through the methods
+    valueOf() {
+        throw new TypeError('Money cannot be converted to a primitive; use add(), compare() or toDecimalString()');
+    }
+
+    [Symbol.toPrimitive](hint) {
+        if (hint === 'string') return this.toString();
+        return this.valueOf();
+    }
+
+    // 5. Exact decimal helpers
+    static toFraction(value) {
+        if (typeof value === 'bigint') return { numerator: value, denominator: 1n };
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new RangeError(`Amount must be finite, got ${value}`);
+        }
+        const text = Money.expandExponent(String(value).trim());
+        const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+        if (!match || (match[2] === '' && !match[3])) {
+            throw new SyntaxError(`Invalid decimal amount: ${value}`);
+        }
+        const [, sign, whole, fraction = ''] = match;
+        const numerator = BigInt(`${whole || '0'}${fraction}`) * (sign === '-' ? -1n : 1n);
+        return { numerator, denominator: 10n ** BigInt(fraction.length) };
+    }
+
+    // '1e21', '-2.5E-3' -> plain decimal text; String(number) switches to this form past 1e21
+    static expandExponent(text) {
+        const match = text.match(/^([+-]?)(\d*)(?:\.(\d*))?e([+-]?\d+)$/i);
+        if (!match || (match[2] === '' && !match[3])) return text;
+        const [, sign, whole, fraction = '', exp] = match;
+        if (Math.abs(Number(exp)) > Money.MAX_EXPONENT) {
+            throw new RangeError(`Exponent out of range: ${text}`);
+        }
+        const digits = whole + fraction;
+        const point = whole.length + Number(exp);
+        if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+        if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+        return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+    }
+
+    static divide(numerator, denominator, mode) {
+        if (!Money.ROUNDING_MODES.includes(mode)) {
+            throw new RangeError(`Unknown rounding mode: ${mode}`);
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const quotient = numerator / denominator; // truncates toward zero
+        const remainder = numerator % denominator;
+        if (remainder === 0n) return quotient;
+
+        const sign = numerator < 0n ? -1n : 1n;
+        const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+        const awayFromZero = quotient + sign;
+
+        switch (mode) {
+            case 'UP': return awayFromZero;
+            case 'DOWN': return quotient;
+            case 'CEILING': return sign > 0n ? awayFromZero : quotient;
+            case 'FLOOR': return sign < 0n ? awayFromZero : quotient;
+            case 'HALF_UP': return twice >= denominator ? awayFromZero : quotient;
+            case 'HALF_DOWN': return twice > denominator ? awayFromZero : quotient;
+            default: // HALF_EVEN
+                if (twice !== denominator) return twice > denominator ? awayFromZero : quotient;
+                return quotient % 2n === 0n ? quotient : awayFromZero;
+        }
+    }
 }
 
 // ************ CONCLUSION ************
@@ -209,6 +1618,14 @@ if (typeof module !== 'undefined') {
         InterviewQuestions,
         identifyType,
         safeTypeConversion,
-        deepFreeze
+        convertType,
+        deepFreeze,
+        Immutable,
+        TypeClassifier,
+        CoercionEngine,
+        ConfigLoader,
+        ConfigError,
+        Money,
+        CurrencyMismatchError
     };
 } 
\ No newline at end of file
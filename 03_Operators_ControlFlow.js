@@ -265,28 +265,2463 @@ class InterviewQuestions {
 // ************ PRACTICAL EXERCISES ************
 
 // Exercise 1: Implement a custom loop control
+// Built on Iteration.forEach, so any iterable, Map, Set or plain object works
 function customForEach(array, callback) {
-    for (let i = 0; i < array.length; i++) {
-        if (callback(array[i], i, array) === false) {
-            break;
-        }
-    }
+    return Iteration.forEach(array, (value, key) => callback(value, key, array));
 }
 
 // Exercise 2: Create a safe navigation function
+// Delegates to PathQuery, so brackets and quoted keys work too: 'items[0]["a.b"]'
 function safeNavigate(obj, path) {
-    return path.split('.')
-        .reduce((acc, part) => acc ? acc[part] : undefined, obj);
+    return PathQuery.get(obj, path);
 }
 
 // Exercise 3: Implement a switch-like pattern matcher
-function patternMatch(value, patterns) {
-    for (const [predicate, handler] of patterns) {
-        if (predicate(value)) {
-            return handler(value);
+// Keys are predicates or structural patterns (see PATTERN MATCHING below).
+// A 'default' entry, or options.otherwise, handles values nothing matched.
+function patternMatch(value, patterns, { strict = false, otherwise } = {}) {
+    const matcher = match(value);
+    let fallback = otherwise;
+    for (const [pattern, handler] of patterns) {
+        if (pattern === 'default') fallback = handler;
+        else matcher.with(pattern, handler);
+    }
+    if (fallback) return matcher.otherwise(fallback);
+    return strict ? matcher.exhaustive() : matcher.run();
+}
+
+// ************ PATH QUERIES ************
+
+/*
+Path syntax (a leading $ is optional):
+
+    user.address.city          dotted keys
+    items[0]  items[-1]        array indices (negative counts from the end)
+    ['key.with.dots']          quoted keys
+    users[*].email  users.*    wildcards
+    $..id                      recursive descent: every "id" at any depth
+    orders[?(@.total > 100 && @.status == 'paid')]   filters
+
+Filters support == != > >= < <= =~ /regex/, && || ! and parentheses; no
+code is evaluated. == and != compare strictly.
+
+    PathQuery.get(payload, 'data.users[0].email')
+    PathQuery.getAll(payload, 'data.users[*].email')
+    PathQuery.set({}, 'a.list[1].name', 'x')   // { a: { list: [ , { name: 'x' }] } }
+    PathQuery.set(payload, '$..id', 0)         // overwrites existing ids, adds none
+
+A definite path (keys and indices only) creates what is missing on the way;
+wildcard, recursive and filter paths only overwrite keys that already exist.
+Reads see own properties and getters inherited from a class (map.size), but
+not inherited methods.
+*/
+
+class PathQuery {
+    static FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+    static cache = new Map(); // parsed paths, least recently used first
+    static CACHE_LIMIT = 500;
+
+    // 1. Operations
+    static get(obj, path, defaultValue) {
+        const [match] = PathQuery.resolve(obj, path);
+        return match === undefined || match.value === undefined ? defaultValue : match.value;
+    }
+
+    static getAll(obj, path) {
+        return PathQuery.resolve(obj, path).map(match => match.value);
+    }
+
+    static has(obj, path) {
+        return PathQuery.resolve(obj, path).length > 0;
+    }
+
+    static paths(obj, path = '$..*') {
+        return PathQuery.resolve(obj, path).map(match => PathQuery.format(match.path));
+    }
+
+    static set(obj, path, value) {
+        const tokens = PathQuery.parse(path);
+        if (tokens.length === 0) {
+            throw new TypeError('Cannot set the root of a path');
+        }
+        if (tokens.every(token => token.type === 'key' || token.type === 'index')) {
+            PathQuery.setDefinite(obj, tokens, value);
+            return obj;
+        }
+        const last = tokens[tokens.length - 1];
+        for (const match of PathQuery.match(obj, tokens.slice(0, -1))) {
+            for (const key of PathQuery.expandLast(match.value, last)) {
+                PathQuery.assertWritable(key);
+                match.value[key] = value;
+            }
+        }
+        return obj;
+    }
+
+    static delete(obj, path) {
+        const tokens = PathQuery.parse(path);
+        if (tokens.length === 0) return 0;
+        const last = tokens[tokens.length - 1];
+        let removed = 0;
+
+        for (const match of PathQuery.match(obj, tokens.slice(0, -1))) {
+            const keys = PathQuery.expandLast(match.value, last);
+            // Remove higher indices first so earlier splices don't shift later ones
+            const ordered = Array.isArray(match.value) ? keys.sort((a, b) => b - a) : keys;
+            for (const key of ordered) {
+                PathQuery.assertWritable(key);
+                if (Array.isArray(match.value)) match.value.splice(key, 1);
+                else delete match.value[key];
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // 2. Matching
+    static resolve(obj, path) {
+        return PathQuery.match(obj, PathQuery.parse(path));
+    }
+
+    static match(root, tokens) {
+        let matches = [{ value: root, path: [] }];
+        for (const token of tokens) {
+            const next = [];
+            for (const match of matches) {
+                if (token.type === 'recursive') {
+                    next.push(...PathQuery.descendants(match));
+                } else {
+                    next.push(...PathQuery.step(match, token));
+                }
+            }
+            matches = next;
+        }
+        return matches;
+    }
+
+    static step({ value, path }, token) {
+        if (value === null || value === undefined) return [];
+        // Primitives expose their own keys only: 'abc'.length, 'abc'[0]
+        if (typeof value !== 'object' && token.type !== 'key' && token.type !== 'index') return [];
+        if (token.type === 'wildcard') {
+            return PathQuery.children(value).map(key => ({ value: value[key], path: [...path, key] }));
+        }
+        if (token.type === 'filter') {
+            return PathQuery.children(value)
+                .filter(key => token.predicate(value[key]))
+                .map(key => ({ value: value[key], path: [...path, key] }));
+        }
+        const key = PathQuery.resolveKey(value, token);
+        if (key === undefined || !PathQuery.isReadable(value, key)) return [];
+        return [{ value: value[key], path: [...path, key] }];
+    }
+
+    static descendants(start) {
+        const results = [start];
+        const seen = new Set([start.value]);
+        for (let i = 0; i < results.length; i++) {
+            const { value, path } = results[i];
+            if (value === null || typeof value !== 'object') continue;
+            for (const key of PathQuery.children(value)) {
+                const child = value[key];
+                if (child !== null && typeof child === 'object') {
+                    if (seen.has(child)) continue;
+                    seen.add(child);
+                }
+                results.push({ value: child, path: [...path, key] });
+            }
+        }
+        return results;
+    }
+
+    // Recursive descent keeps the starting node; a trailing wildcard drops it.
+    // Only own keys come back, so set() never adds a key to every container a
+    // wildcard or filter reached, and delete() only counts what it removed.
+    static expandLast(container, token) {
+        if (container === null || typeof container !== 'object') return [];
+        if (token.type === 'wildcard') return PathQuery.children(container);
+        if (token.type === 'filter') {
+            return PathQuery.children(container).filter(key => token.predicate(container[key]));
+        }
+        if (token.type === 'recursive') {
+            throw new TypeError('A path cannot end with recursive descent');
+        }
+        const key = PathQuery.resolveKey(container, token);
+        return key !== undefined && PathQuery.isOwn(container, key) ? [key] : [];
+    }
+
+    static setDefinite(obj, tokens, value) {
+        let node = obj;
+        tokens.forEach((token, i) => {
+            const isLast = i === tokens.length - 1;
+            if (node === null || typeof node !== 'object') {
+                throw new TypeError(`Cannot set ${PathQuery.format(tokens.slice(0, i).map(t => t.key ?? t.index))} on a ${node === null ? 'null' : typeof node}`);
+            }
+            const key = PathQuery.resolveKey(node, token, true);
+            if (key === undefined) {
+                throw new RangeError(`Index ${token.index} is out of range at ${PathQuery.format(tokens.slice(0, i + 1).map(t => t.key ?? t.index))}`);
+            }
+            PathQuery.assertWritable(key);
+            if (isLast) {
+                node[key] = value;
+                return;
+            }
+            if (node[key] === null || typeof node[key] !== 'object') {
+                node[key] = tokens[i + 1].type === 'index' ? [] : {};
+            }
+            node = node[key];
+        });
+    }
+
+    static resolveKey(container, token, forWrite = false) {
+        if (token.type === 'index') {
+            if (!Array.isArray(container)) {
+                return forWrite || token.index >= 0 ? String(token.index) : undefined;
+            }
+            const index = token.index < 0 ? container.length + token.index : token.index;
+            return index < 0 ? undefined : index;
+        }
+        return token.key;
+    }
+
+    static children(value) {
+        return Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value);
+    }
+
+    static isOwn(container, key) {
+        return !PathQuery.FORBIDDEN_KEYS.has(key) && Object.prototype.hasOwnProperty.call(container, key);
+    }
+
+    // Own keys, plus getters inherited from a class: map.size, url.pathname.
+    // Inherited methods and anything on Object.prototype stay out of reach.
+    static isReadable(container, key) {
+        if (PathQuery.FORBIDDEN_KEYS.has(key)) return false;
+        if (Object.prototype.hasOwnProperty.call(container, key)) return true;
+        for (let proto = Object.getPrototypeOf(Object(container)); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+            if (descriptor) return typeof descriptor.get === 'function';
+        }
+        return false;
+    }
+
+    static assertWritable(key) {
+        if (PathQuery.FORBIDDEN_KEYS.has(String(key))) {
+            throw new TypeError(`Refusing to write through "${key}"`);
+        }
+    }
+
+    static format(path) {
+        return '$' + path.map(key => {
+            if (typeof key === 'number') return `[${key}]`;
+            return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+        }).join('');
+    }
+
+    // 3. Parsing
+    static parse(path) {
+        if (Array.isArray(path)) {
+            return path.map(key => (typeof key === 'number' ? { type: 'index', index: key } : { type: 'key', key: String(key) }));
+        }
+        let tokens = PathQuery.cache.get(path);
+        if (tokens) {
+            PathQuery.cache.delete(path);
+        } else {
+            tokens = new PathParser(String(path)).parsePath();
+            if (PathQuery.cache.size >= PathQuery.CACHE_LIMIT) {
+                PathQuery.cache.delete(PathQuery.cache.keys().next().value);
+            }
+        }
+        PathQuery.cache.set(path, tokens);
+        return tokens;
+    }
+}
+
+class PathParser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+    }
+
+    error(message) {
+        return new SyntaxError(`${message} at position ${this.pos} in path "${this.source}"`);
+    }
+
+    peek(text) {
+        return this.source.startsWith(text, this.pos);
+    }
+
+    parsePath() {
+        const tokens = [];
+        if (this.peek('$')) this.pos++;
+
+        while (this.pos < this.source.length) {
+            if (this.peek('..')) {
+                this.pos += 2;
+                tokens.push({ type: 'recursive' });
+                if (this.peek('[')) continue;
+                tokens.push(this.parseName());
+            } else if (this.peek('.')) {
+                this.pos++;
+                tokens.push(this.parseName());
+            } else if (this.peek('[')) {
+                tokens.push(this.parseBracket());
+            } else if (tokens.length === 0) {
+                tokens.push(this.parseName());
+            } else {
+                throw this.error(`Unexpected "${this.source[this.pos]}"`);
+            }
+        }
+        return tokens;
+    }
+
+    parseName() {
+        if (this.peek('*')) {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
+        const match = this.source.slice(this.pos).match(/^[^.[\]]+/);
+        if (!match) throw this.error('Expected a property name');
+        this.pos += match[0].length;
+        return { type: 'key', key: match[0] };
+    }
+
+    parseBracket() {
+        this.pos++; // [
+        let token;
+        if (this.peek('*')) {
+            this.pos++;
+            token = { type: 'wildcard' };
+        } else if (this.peek('?(')) {
+            this.pos += 2;
+            const start = this.pos;
+            const end = this.findClosingParen();
+            const expression = this.source.slice(start, end);
+            this.pos = end + 1;
+            token = { type: 'filter', expression, predicate: FilterExpression.compile(expression) };
+        } else if (this.peek('"') || this.peek("'")) {
+            token = { type: 'key', key: this.parseQuoted() };
+        } else {
+            const match = this.source.slice(this.pos).match(/^-?\d+/);
+            if (!match) throw this.error('Expected an index, quoted key, * or ?(filter)');
+            this.pos += match[0].length;
+            token = { type: 'index', index: Number(match[0]) };
+        }
+        if (!this.peek(']')) throw this.error('Expected "]"');
+        this.pos++;
+        return token;
+    }
+
+    parseQuoted() {
+        const quote = this.source[this.pos++];
+        let value = '';
+        while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+            if (this.source[this.pos] === '\\') this.pos++;
+            value += this.source[this.pos++];
+        }
+        if (this.source[this.pos] !== quote) throw this.error('Unterminated quoted key');
+        this.pos++;
+        return value;
+    }
+
+    findClosingParen() {
+        let depth = 1;
+        let quote = null;
+        for (let i = this.pos; i < this.source.length; i++) {
+            const char = this.source[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                return i;
+            }
+        }
+        throw this.error('Unterminated filter expression');
+    }
+}
+
+// Tiny recursive-descent evaluator for ?( ... ) filters
+class FilterExpression {
+    static TOKEN = /\s*(?:(-?\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\/(?:[^/\\]|\\.)+\/[gimsuy]*)|(===|!==|==|!=|>=|<=|=~|&&|\|\||[@.!<>()[\]])|([A-Za-z_$][\w$-]*))/y;
+
+    static compile(source) {
+        const parser = new FilterExpression(source);
+        const node = parser.parseOr();
+        if (parser.pos < parser.tokens.length) {
+            throw new SyntaxError(`Unexpected "${parser.tokens[parser.pos].text}" in filter "${source}"`);
+        }
+        return item => {
+            try {
+                return Boolean(node(item));
+            } catch (error) {
+                return false;
+            }
+        };
+    }
+
+    constructor(source) {
+        this.source = source;
+        this.tokens = FilterExpression.tokenize(source);
+        this.pos = 0;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = new RegExp(FilterExpression.TOKEN.source, 'y');
+        while (pattern.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(pattern.lastIndex))) break;
+            const start = pattern.lastIndex;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new SyntaxError(`Unexpected character in filter "${source}" at ${start}`);
+            }
+            const [text, number, string, regex, punct, word] = match;
+            if (number !== undefined) tokens.push({ type: 'literal', value: Number(number), text });
+            else if (string !== undefined) tokens.push({ type: 'literal', value: FilterExpression.unquote(string), text });
+            else if (regex !== undefined) tokens.push({ type: 'regex', value: FilterExpression.toRegExp(regex), text });
+            else if (punct !== undefined) tokens.push({ type: 'punct', value: punct, text });
+            else tokens.push({ type: 'word', value: word, text });
+        }
+        return tokens;
+    }
+
+    static unquote(text) {
+        return text.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    static toRegExp(text) {
+        const end = text.lastIndexOf('/');
+        return new RegExp(text.slice(1, end), text.slice(end + 1));
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    accept(value) {
+        const token = this.tokens[this.pos];
+        if (token && token.type === 'punct' && token.value === value) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) {
+            throw new SyntaxError(`Expected "${value}" in filter "${this.source}"`);
+        }
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('||')) {
+            const lhs = left;
+            const rhs = this.parseAnd();
+            left = item => lhs(item) || rhs(item);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        while (this.accept('&&')) {
+            const lhs = left;
+            const rhs = this.parseUnary();
+            left = item => lhs(item) && rhs(item);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('!')) {
+            const operand = this.parseUnary();
+            return item => !operand(item);
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+        const token = this.tokens[this.pos];
+        const operators = {
+            '==': (a, b) => a === b, '===': (a, b) => a === b,
+            '!=': (a, b) => a !== b, '!==': (a, b) => a !== b,
+            '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+            '<': (a, b) => a < b, '<=': (a, b) => a <= b
+        };
+        if (token && token.type === 'punct' && token.value === '=~') {
+            this.pos++;
+            const regexToken = this.next();
+            if (!regexToken || regexToken.type !== 'regex') {
+                throw new SyntaxError(`Expected /regex/ after =~ in filter "${this.source}"`);
+            }
+            const regex = regexToken.value;
+            return item => {
+                regex.lastIndex = 0;
+                return typeof left(item) === 'string' && regex.test(left(item));
+            };
+        }
+        if (token && token.type === 'punct' && operators[token.value]) {
+            this.pos++;
+            const compare = operators[token.value];
+            const right = this.parseOperand();
+            return item => compare(left(item), right(item));
+        }
+        return left;
+    }
+
+    parseOperand() {
+        const token = this.next();
+        if (!token) throw new SyntaxError(`Unexpected end of filter "${this.source}"`);
+
+        if (token.type === 'literal') return () => token.value;
+        if (token.type === 'word') {
+            const words = { true: true, false: false, null: null, undefined: undefined };
+            if (!(token.value in words)) {
+                throw new SyntaxError(`Unknown identifier "${token.value}" in filter "${this.source}"`);
+            }
+            return () => words[token.value];
+        }
+        if (token.type === 'punct' && token.value === '(') {
+            const inner = this.parseOr();
+            this.expect(')');
+            return inner;
+        }
+        if (token.type === 'punct' && token.value === '@') {
+            return this.parseCurrentPath();
+        }
+        throw new SyntaxError(`Unexpected "${token.text}" in filter "${this.source}"`);
+    }
+
+    parseCurrentPath() {
+        const keys = [];
+        for (;;) {
+            if (this.accept('.')) {
+                const name = this.next();
+                if (!name || name.type !== 'word') {
+                    throw new SyntaxError(`Expected a property name after "@." in filter "${this.source}"`);
+                }
+                keys.push(name.value);
+            } else if (this.accept('[')) {
+                const key = this.next();
+                if (!key || key.type !== 'literal') {
+                    throw new SyntaxError(`Expected an index or quoted key in filter "${this.source}"`);
+                }
+                keys.push(key.value);
+                this.expect(']');
+            } else {
+                break;
+            }
+        }
+        return item => keys.reduce((node, key) =>
+            (node !== null && node !== undefined && !PathQuery.FORBIDDEN_KEYS.has(String(key)) ? node[key] : undefined), item);
+    }
+}
+
+// ************ PATTERN MATCHING ************
+
+/*
+Patterns describe the shape of a value:
+
+    42, 'paid', null           literals (compared with Object.is, so NaN matches NaN)
+    { type: 'circle' }         object shapes; only the listed keys are checked
+    [1, Pattern.rest('tail')]  array shapes; without rest the length must match
+    /^\\d+$/                   regular expressions test strings
+    value => value > 10        plain functions act as predicates
+    Pattern.string, Pattern.number, Pattern.instanceOf(Date), Pattern.range(0, 9)
+    Pattern.select('r')        captures the value under "r" for the handler
+
+Handlers receive (value, bindings):
+
+    match(shape)
+        .with({ type: 'circle', radius: Pattern.select('r') }, (shape, { r }) => Math.PI * r ** 2)
+        .with({ type: 'rect', w: Pattern.select('w'), h: Pattern.select('h') },
+              (shape, { w, h }) => w === h,          // optional guard
+              (shape, { w }) => w ** 2)
+        .with({ type: 'rect' }, (shape) => shape.w * shape.h)
+        .exhaustive();                                // or .otherwise(fn) / .run()
+*/
+
+const PATTERN = Symbol('pattern');
+
+class NonExhaustiveMatchError extends Error {
+    constructor(value) {
+        super(`Non-exhaustive match: no pattern matched ${Pattern.describe(value)}`);
+        this.name = 'NonExhaustiveMatchError';
+        this.value = value;
+    }
+}
+
+class Pattern {
+    // 1. Building blocks
+    static create(kind, test, extra = {}) {
+        return Object.freeze({ [PATTERN]: kind, test, ...extra });
+    }
+
+    static guard(name, predicate) {
+        return Pattern.create(name, value => predicate(value));
+    }
+
+    static any = Pattern.guard('any', () => true);
+    static _ = Pattern.any;
+    static string = Pattern.guard('string', value => typeof value === 'string');
+    static number = Pattern.guard('number', value => typeof value === 'number' && !Number.isNaN(value));
+    static boolean = Pattern.guard('boolean', value => typeof value === 'boolean');
+    static bigint = Pattern.guard('bigint', value => typeof value === 'bigint');
+    static symbol = Pattern.guard('symbol', value => typeof value === 'symbol');
+    static function = Pattern.guard('function', value => typeof value === 'function');
+    static nullish = Pattern.guard('nullish', value => value === null || value === undefined);
+    static defined = Pattern.guard('defined', value => value !== null && value !== undefined);
+
+    static instanceOf(Class) {
+        return Pattern.guard(`instanceOf ${Class.name}`, value => value instanceof Class);
+    }
+
+    static range(min, max, { inclusive = true } = {}) {
+        return Pattern.guard(`range ${min}..${max}`, value => {
+            if (typeof value !== 'number' && typeof value !== 'bigint') return false;
+            return inclusive ? value >= min && value <= max : value > min && value < max;
+        });
+    }
+
+    static when(predicate) {
+        return Pattern.create('when', (value, bindings) => Boolean(predicate(value, bindings)));
+    }
+
+    static not(pattern) {
+        return Pattern.create('not', value => !Pattern.test(pattern, value, {}));
+    }
+
+    static union(...patterns) {
+        return Pattern.create('union', (value, bindings) =>
+            patterns.some(pattern => Pattern.tryBind(pattern, value, bindings)));
+    }
+
+    static intersection(...patterns) {
+        return Pattern.create('intersection', (value, bindings) =>
+            patterns.every(pattern => Pattern.test(pattern, value, bindings)));
+    }
+
+    static optional(pattern = Pattern.any) {
+        return Pattern.create('optional', (value, bindings) =>
+            value === undefined || Pattern.test(pattern, value, bindings), { optional: true });
+    }
+
+    static arrayOf(pattern) {
+        return Pattern.create('arrayOf', (value, bindings) =>
+            Array.isArray(value) && value.every(item => Pattern.test(pattern, item, bindings)));
+    }
+
+    static select(name, pattern = Pattern.any) {
+        return Pattern.create('select', (value, bindings) => {
+            if (!Pattern.test(pattern, value, bindings)) return false;
+            bindings[name] = value;
+            return true;
+        });
+    }
+
+    // Matches the remaining array elements; binds them when given a name
+    static rest(name, pattern = Pattern.any) {
+        return Pattern.create('rest', (items, bindings) => {
+            if (!Array.isArray(items) || !items.every(item => Pattern.test(pattern, item, bindings))) return false;
+            if (name !== undefined) bindings[name] = items;
+            return true;
+        }, { rest: true });
+    }
+
+    // 2. Matching
+    static isPattern(value) {
+        return value !== null && typeof value === 'object' && PATTERN in value;
+    }
+
+    static test(pattern, value, bindings) {
+        if (Pattern.isPattern(pattern)) return pattern.test(value, bindings);
+        if (typeof pattern === 'function') return Boolean(pattern(value));
+        if (pattern instanceof RegExp) {
+            pattern.lastIndex = 0;
+            return typeof value === 'string' && pattern.test(value);
+        }
+        if (Array.isArray(pattern)) return Pattern.testArray(pattern, value, bindings);
+        if (pattern !== null && typeof pattern === 'object') return Pattern.testObject(pattern, value, bindings);
+        return Object.is(pattern, value);
+    }
+
+    // Bindings only stick when the whole pattern matches
+    static tryBind(pattern, value, bindings) {
+        const scratch = { ...bindings };
+        if (!Pattern.test(pattern, value, scratch)) return false;
+        Object.assign(bindings, scratch);
+        return true;
+    }
+
+    static testObject(pattern, value, bindings) {
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return false;
+        return Reflect.ownKeys(pattern).every(key => {
+            const sub = pattern[key];
+            if (!(key in value)) return Pattern.isPattern(sub) && sub.optional === true;
+            return Pattern.test(sub, value[key], bindings);
+        });
+    }
+
+    static testArray(pattern, value, bindings) {
+        if (!Array.isArray(value)) return false;
+        const restIndex = pattern.findIndex(item => Pattern.isPattern(item) && item.rest);
+        if (restIndex === -1) {
+            return value.length === pattern.length &&
+                pattern.every((sub, i) => Pattern.test(sub, value[i], bindings));
+        }
+        if (pattern.findIndex((item, i) => i > restIndex && Pattern.isPattern(item) && item.rest) !== -1) {
+            throw new SyntaxError('An array pattern can only contain one rest element');
+        }
+
+        const head = pattern.slice(0, restIndex);
+        const tail = pattern.slice(restIndex + 1);
+        if (value.length < head.length + tail.length) return false;
+
+        const tailStart = value.length - tail.length;
+        return head.every((sub, i) => Pattern.test(sub, value[i], bindings)) &&
+            tail.every((sub, i) => Pattern.test(sub, value[tailStart + i], bindings)) &&
+            pattern[restIndex].test(value.slice(head.length, tailStart), bindings);
+    }
+
+    // 3. Error messages
+    static describe(value) {
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (value === null || typeof value !== 'object') return String(value);
+
+        const name = value.constructor && value.constructor.name;
+        const prefix = name && name !== 'Object' && name !== 'Array' ? `${name} ` : '';
+        let body;
+        try {
+            body = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? `${item}n` : item));
+        } catch (error) {
+            body = Array.isArray(value) ? '[...]' : '{...}'; // circular
+        }
+        if (body === undefined) body = Object.prototype.toString.call(value);
+        return prefix + (body.length > 80 ? `${body.slice(0, 77)}...` : body);
+    }
+}
+
+class Matcher {
+    constructor(value) {
+        this.value = value;
+        this.cases = [];
+    }
+
+    // with(pattern, handler) or with(pattern, guard, handler)
+    with(pattern, ...rest) {
+        const handler = rest.pop();
+        const [guard] = rest;
+        if (typeof handler !== 'function') {
+            throw new TypeError('with() needs a handler function');
+        }
+        this.cases.push({ pattern, guard, handler });
+        return this;
+    }
+
+    when(predicate, handler) {
+        return this.with(Pattern.when(predicate), handler);
+    }
+
+    otherwise(handler) {
+        return this.resolve(() => handler(this.value, {}));
+    }
+
+    exhaustive() {
+        return this.resolve(() => {
+            throw new NonExhaustiveMatchError(this.value);
+        });
+    }
+
+    run() {
+        return this.resolve(() => undefined);
+    }
+
+    resolve(fallback) {
+        for (const { pattern, guard, handler } of this.cases) {
+            const bindings = {};
+            if (!Pattern.test(pattern, this.value, bindings)) continue;
+            if (guard && !guard(this.value, bindings)) continue;
+            return handler(this.value, bindings);
+        }
+        return fallback();
+    }
+}
+
+function match(value) {
+    return new Matcher(value);
+}
+
+// ************ STATE MACHINES ************
+
+/*
+switchExample() maps one string to one answer. Workflows need more: what a
+value may become next, what runs on the way, and what is remembered. A
+machine declares all of that up front:
+
+    const order = new StateMachine({
+        id: 'order',
+        initial: 'cart',
+        context: { items: 0 },
+        states: {
+            cart: {
+                on: {
+                    ADD: { actions: ctx => ({ items: ctx.items + 1 }) },  // no target: stays put
+                    CHECKOUT: { target: 'payment', guard: 'hasItems' }
+                }
+            },
+            payment: {
+                initial: 'pending',
+                states: {
+                    pending: { on: { PAY: 'authorizing' } },
+                    authorizing: { after: { 30000: 'pending' }, on: { APPROVED: 'paid' } },
+                    paid: { type: 'final' }
+                },
+                onDone: 'shipped',
+                on: { CANCEL: 'cancelled' }
+            },
+            shipped: { type: 'final' },
+            cancelled: { type: 'final' }
+        }
+    }, {
+        guards: { hasItems: ctx => ctx.items > 0 }
+    });
+
+    const service = order.start();
+    service.send('ADD');
+    service.send('CHECKOUT');
+    service.state.value;                    // { payment: 'pending' }
+    order.restore(JSON.parse(JSON.stringify(service.serialize())));
+
+Actions receive (context, event, service); returning an object merges it
+into the context. Guards receive (context, event) and may be named in the
+options. Targets are resolved against siblings, then the siblings of each
+ancestor; '#a.b' is an absolute path from the root. Parallel states
+(type: 'parallel') keep every child region active at once.
+*/
+
+class StateNode {
+    static TYPES = ['atomic', 'compound', 'parallel', 'final'];
+
+    constructor(key, config, parent, machine) {
+        this.key = key;
+        this.parent = parent;
+        this.machine = machine;
+        this.config = config;
+        this.path = parent ? [...parent.path, key] : [];
+        this.id = this.path.join('.');
+        this.depth = this.path.length;
+        this.order = machine.nodes.push(this) - 1;
+
+        const childKeys = Object.keys(config.states || {});
+        this.type = config.type || (childKeys.length ? 'compound' : 'atomic');
+        if (!StateNode.TYPES.includes(this.type)) {
+            throw new Error(`Unknown state type "${this.type}" in ${this.describe()}`);
+        }
+        if ((this.type === 'compound' || this.type === 'parallel') && childKeys.length === 0) {
+            throw new Error(`Expected child states in ${this.describe()} (type "${this.type}")`);
+        }
+
+        this.children = new Map(childKeys.map(childKey =>
+            [childKey, new StateNode(childKey, config.states[childKey], this, machine)]));
+
+        if (this.type === 'compound') {
+            this.initial = this.children.get(config.initial);
+            if (!this.initial) {
+                throw new Error(`Expected an initial state for ${this.describe()}, one of: ${childKeys.join(', ')}`);
+            }
         }
+
+        this.entry = machine.resolveActions(config.entry, this);
+        this.exit = machine.resolveActions(config.exit, this);
+        this.on = new Map();
+        this.delays = [];
+    }
+
+    describe() {
+        return this.id ? `state "${this.id}"` : 'the root state';
+    }
+
+    // Runs after every node exists so targets can point anywhere
+    resolveTransitions() {
+        const { on = {}, after = {}, onDone } = this.config;
+        for (const [event, transitions] of Object.entries(on)) {
+            this.on.set(event, this.machine.resolveTransitions(transitions, this, event));
+        }
+        for (const [delay, transitions] of Object.entries(after)) {
+            const event = `after:${delay}:${this.id}`;
+            this.delays.push({ delay, event });
+            this.on.set(event, this.machine.resolveTransitions(transitions, this, event));
+        }
+        if (onDone !== undefined) {
+            this.on.set(`done:${this.id}`, this.machine.resolveTransitions(onDone, this, `done:${this.id}`));
+        }
+    }
+
+    lookup(segments) {
+        return segments.reduce((node, segment) => node && node.children.get(segment), this);
+    }
+
+    isDescendantOf(ancestor) {
+        for (let node = this.parent; node; node = node.parent) {
+            if (node === ancestor) return true;
+        }
+        return false;
+    }
+
+    get isComposite() {
+        return this.type === 'compound' || this.type === 'parallel';
+    }
+}
+
+class StateMachine {
+    constructor(config, { guards = {}, actions = {}, delays = {} } = {}) {
+        if (!config || typeof config.states !== 'object') {
+            throw new TypeError('A state machine needs a states object');
+        }
+        this.id = config.id || 'machine';
+        this.options = { guards, actions, delays };
+        this.context = config.context || {};
+        this.nodes = [];
+        this.root = new StateNode('', { ...config, type: config.type || 'compound' }, null, this);
+        this.nodes.forEach(node => node.resolveTransitions());
+        Object.freeze(this);
+    }
+
+    // 1. Definition helpers
+    resolveActions(actions, node) {
+        if (actions === undefined) return [];
+        return (Array.isArray(actions) ? actions : [actions]).map(action => {
+            if (typeof action === 'function') return action;
+            const named = this.options.actions[action];
+            if (typeof named !== 'function') {
+                throw new Error(`Unknown action "${action}" in ${node.describe()}`);
+            }
+            return named;
+        });
+    }
+
+    resolveGuard(guard, node) {
+        if (guard === undefined) return null;
+        if (typeof guard === 'function') return { name: guard.name || 'guard', test: guard };
+        const named = this.options.guards[guard];
+        if (typeof named !== 'function') {
+            throw new Error(`Unknown guard "${guard}" in ${node.describe()}`);
+        }
+        return { name: guard, test: named };
+    }
+
+    resolveTransitions(transitions, source, event) {
+        return (Array.isArray(transitions) ? transitions : [transitions]).map(transition => {
+            const config = typeof transition === 'string' ? { target: transition } : transition;
+            const targets = [].concat(config.target ?? []).map(target => this.resolveTarget(target, source));
+            return {
+                source,
+                event,
+                targets,
+                guard: this.resolveGuard(config.guard, source),
+                actions: this.resolveActions(config.actions, source),
+                domain: targets.length ? StateMachine.findDomain(source, targets) : null
+            };
+        });
+    }
+
+    resolveTarget(target, source) {
+        const absolute = target.startsWith('#');
+        const segments = (absolute ? target.slice(1) : target).split('.');
+        if (absolute) {
+            const node = this.root.lookup(segments);
+            if (node) return node;
+        } else {
+            for (let scope = source.parent || source; scope; scope = scope.parent) {
+                const node = scope.lookup(segments);
+                if (node) return node;
+            }
+        }
+        throw new Error(`Unknown target "${target}" in ${source.describe()}`);
+    }
+
+    // Nearest ancestor of the source that strictly contains every target
+    static findDomain(source, targets) {
+        for (let node = source.parent; node; node = node.parent) {
+            if (targets.every(target => target.isDescendantOf(node))) return node;
+        }
+        return source.machine.root;
+    }
+
+    // 2. Running
+    start(options = {}) {
+        return new MachineService(this, options).start();
+    }
+
+    restore(snapshot, options = {}) {
+        return new MachineService(this, options).start(snapshot);
+    }
+
+    node(id) {
+        const node = id === '' ? this.root : this.root.lookup(id.split('.'));
+        if (!node) throw new Error(`Unknown state "${id}"`);
+        return node;
+    }
+
+    // Adds initial children and parallel regions until the set is a full configuration
+    static complete(nodes) {
+        const result = new Set(nodes);
+        const queue = [...result];
+        while (queue.length) {
+            const node = queue.shift();
+            const children = [...node.children.values()];
+            const missing = node.type === 'compound'
+                ? (children.some(child => result.has(child)) ? [] : [node.initial])
+                : node.type === 'parallel' ? children.filter(child => !result.has(child)) : [];
+            for (const child of missing) {
+                result.add(child);
+                queue.push(child);
+            }
+        }
+        return [...result].sort((a, b) => a.order - b.order);
+    }
+
+    // 3. Diagrams
+    toMermaid() {
+        const lines = ['stateDiagram-v2'];
+        const id = node => node.path.join('_');
+
+        const writeChildren = (node, indent) => {
+            const children = [...node.children.values()];
+            if (node.type === 'compound') lines.push(`${indent}[*] --> ${id(node.initial)}`);
+            children.forEach((child, i) => {
+                if (node.type === 'parallel' && i > 0) lines.push(`${indent}--`);
+                if (child.isComposite) {
+                    lines.push(`${indent}state ${id(child)} {`);
+                    writeChildren(child, indent + '    ');
+                    lines.push(`${indent}}`);
+                } else if (child.path.length > 1) {
+                    lines.push(`${indent}state "${child.key}" as ${id(child)}`);
+                }
+                if (child.type === 'final') lines.push(`${indent}${id(child)} --> [*]`);
+            });
+        };
+
+        // Concurrent regions need an enclosing composite state
+        if (this.root.type === 'parallel') {
+            lines.push(`    state ${this.id} {`);
+            writeChildren(this.root, '        ');
+            lines.push('    }');
+        } else {
+            writeChildren(this.root, '    ');
+        }
+        for (const { source, target, label } of this.edges()) {
+            lines.push(`    ${id(source)} --> ${id(target)} : ${label}`);
+        }
+        return lines.join('\n');
+    }
+
+    toDot() {
+        const quote = text => JSON.stringify(text);
+        const leaf = node => (node.type === 'compound' ? leaf(node.initial)
+            : node.type === 'parallel' ? leaf(node.children.values().next().value) : node);
+        const lines = [`digraph ${quote(this.id)} {`, '    compound=true;', '    rankdir=LR;',
+            '    node [shape=box, style=rounded];'];
+
+        const writeChildren = (node, indent) => {
+            for (const child of node.children.values()) {
+                if (child.isComposite) {
+                    lines.push(`${indent}subgraph ${quote(`cluster_${child.id}`)} {`);
+                    lines.push(`${indent}    label=${quote(child.key + (child.type === 'parallel' ? ' (parallel)' : ''))};`);
+                    writeChildren(child, indent + '    ');
+                    lines.push(`${indent}}`);
+                } else {
+                    const shape = child.type === 'final' ? ', shape=doublecircle' : '';
+                    lines.push(`${indent}${quote(child.id)} [label=${quote(child.key)}${shape}];`);
+                }
+            }
+        };
+
+        writeChildren(this.root, '    ');
+        lines.push('    "__start" [shape=point];');
+        lines.push(`    "__start" -> ${quote(leaf(this.root).id)};`);
+        for (const { source, target, label } of this.edges()) {
+            const attributes = [`label=${quote(label)}`];
+            if (source.isComposite) attributes.push(`ltail=${quote(`cluster_${source.id}`)}`);
+            if (target.isComposite) attributes.push(`lhead=${quote(`cluster_${target.id}`)}`);
+            lines.push(`    ${quote(leaf(source).id)} -> ${quote(leaf(target).id)} [${attributes.join(', ')}];`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    edges() {
+        const edges = [];
+        for (const node of this.nodes) {
+            for (const [event, transitions] of node.on) {
+                for (const transition of transitions) {
+                    const label = StateMachine.eventLabel(event) +
+                        (transition.guard ? ` [${transition.guard.name}]` : '');
+                    transition.targets.forEach(target => edges.push({ source: node, target, label }));
+                }
+            }
+        }
+        return edges.filter(edge => edge.source !== edge.source.machine.root);
+    }
+
+    static eventLabel(event) {
+        if (event.startsWith('after:')) return `after ${event.split(':')[1]}ms`;
+        if (event.startsWith('done:')) return 'done';
+        return event;
+    }
+}
+
+class MachineService {
+    constructor(machine, { clock = globalThis, context } = {}) {
+        this.machine = machine;
+        this.clock = clock;
+        this.context = { ...machine.context, ...context };
+        this.active = new Set();
+        this.timers = new Map();
+        this.listeners = new Set();
+        this.internalQueue = [];
+        this.externalQueue = [];
+        this.processing = false;
+        this.status = 'idle';
+        this.state = null;
+    }
+
+    // 1. Lifecycle
+    start(snapshot) {
+        if (this.status !== 'idle') return this;
+        this.status = 'running';
+
+        if (snapshot) {
+            this.context = { ...snapshot.context };
+            const nodes = MachineService.nodesFromValue(this.machine.root, snapshot.value);
+            StateMachine.complete(nodes).forEach(node => {
+                this.active.add(node);
+                this.schedule(node);
+            });
+            // Done events fired before the snapshot was taken; only the root's state matters
+            if (this.isFinished(this.machine.root)) {
+                this.stop();
+                this.status = 'done';
+            }
+        } else {
+            this.enter(StateMachine.complete([this.machine.root]), { type: 'init' });
+        }
+
+        this.processQueues();
+        this.state = this.snapshot({ type: 'init' });
+        return this;
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) this.clock.clearTimeout(timer);
+        this.timers.clear();
+        if (this.status === 'running') this.status = 'stopped';
+        return this;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // 2. Events
+    send(event) {
+        const normalized = typeof event === 'string' ? { type: event } : event;
+        if (!normalized || typeof normalized.type !== 'string') {
+            throw new TypeError('Events must be strings or objects with a string type');
+        }
+        if (this.status !== 'running') return this.state;
+
+        this.externalQueue.push(normalized);
+        if (this.processing) return this.state;
+
+        const changed = this.processQueues();
+        this.state = this.snapshot(normalized, changed);
+        if (changed) this.listeners.forEach(listener => listener(this.state));
+        return this.state;
+    }
+
+    can(event) {
+        const normalized = typeof event === 'string' ? { type: event } : event;
+        return this.select(normalized).length > 0;
+    }
+
+    matches(id) {
+        return [...this.active].some(node => node.id === id);
+    }
+
+    processQueues() {
+        this.processing = true;
+        let changed = false;
+        try {
+            while (this.status === 'running' && (this.internalQueue.length || this.externalQueue.length)) {
+                const event = this.internalQueue.length ? this.internalQueue.shift() : this.externalQueue.shift();
+                changed = this.step(event) || changed;
+            }
+        } finally {
+            this.processing = false;
+        }
+        return changed;
+    }
+
+    select(event) {
+        const leaves = [...this.active]
+            .filter(node => !node.isComposite)
+            .sort((a, b) => a.order - b.order);
+        const selected = [];
+
+        for (const leaf of leaves) {
+            for (let node = leaf; node; node = node.parent) {
+                const transition = (node.on.get(event.type) || []).find(candidate =>
+                    !candidate.guard || candidate.guard.test(this.context, event));
+                if (!transition) continue;
+                const conflicts = selected.some(other => other === transition ||
+                    other.source === node || other.source.isDescendantOf(node) || node.isDescendantOf(other.source));
+                if (!conflicts) selected.push(transition);
+                break;
+            }
+        }
+        return selected;
+    }
+
+    step(event) {
+        const transitions = this.select(event);
+        for (const transition of transitions) {
+            if (!this.active.has(transition.source)) continue;
+            if (transition.targets.length === 0) {
+                this.run(transition.actions, event);
+                continue;
+            }
+
+            const exiting = [...this.active]
+                .filter(node => node.isDescendantOf(transition.domain))
+                .sort((a, b) => b.depth - a.depth || b.order - a.order);
+            for (const node of exiting) {
+                this.run(node.exit, event);
+                this.cancel(node);
+                this.active.delete(node);
+            }
+
+            this.run(transition.actions, event);
+
+            const chain = new Set();
+            for (const target of transition.targets) {
+                for (let node = target; node && node !== transition.domain; node = node.parent) chain.add(node);
+            }
+            this.enter(StateMachine.complete(chain), event);
+        }
+        return transitions.length > 0;
+    }
+
+    enter(nodes, event) {
+        for (const node of nodes) {
+            this.active.add(node);
+            this.run(node.entry, event);
+            this.schedule(node);
+        }
+        this.checkDone(nodes);
+    }
+
+    // Raises done events for compound and parallel parents that have finished;
+    // the root has no parent to notify, so finishing it ends the service
+    checkDone(nodes) {
+        for (const node of nodes) {
+            if (node.type !== 'final') continue;
+            const parent = node.parent;
+            const grandparent = parent.parent;
+            const finished = grandparent && grandparent.type === 'parallel' && this.isFinished(grandparent)
+                ? grandparent
+                : null;
+            if (parent === this.machine.root || finished === this.machine.root) {
+                this.stop();
+                this.status = 'done';
+                return;
+            }
+            this.internalQueue.push({ type: `done:${parent.id}` });
+            if (finished) this.internalQueue.push({ type: `done:${finished.id}` });
+        }
+    }
+
+    // A compound state is finished in a final child; a parallel one when every region is
+    isFinished(node) {
+        const children = [...node.children.values()];
+        if (node.type === 'parallel') return children.every(child => this.isFinished(child));
+        return children.some(child => child.type === 'final' && this.active.has(child));
+    }
+
+    run(actions, event) {
+        for (const action of actions) {
+            const update = action(this.context, event, this);
+            if (update && typeof update === 'object' && !Array.isArray(update)) {
+                this.context = { ...this.context, ...update };
+            }
+        }
+    }
+
+    // 3. Delayed transitions
+    schedule(node) {
+        for (const { delay, event } of node.delays) {
+            const named = this.machine.options.delays[delay];
+            const ms = typeof named === 'function' ? named(this.context) : named ?? Number(delay);
+            if (!Number.isFinite(ms)) {
+                throw new Error(`Unknown delay "${delay}" in ${node.describe()}`);
+            }
+            this.timers.set(event, this.clock.setTimeout(() => {
+                this.timers.delete(event);
+                this.send({ type: event });
+            }, ms));
+        }
+    }
+
+    cancel(node) {
+        for (const { event } of node.delays) {
+            if (this.timers.has(event)) {
+                this.clock.clearTimeout(this.timers.get(event));
+                this.timers.delete(event);
+            }
+        }
+    }
+
+    // 4. Snapshots
+    snapshot(event, changed = true) {
+        return Object.freeze({
+            value: this.valueFor(this.machine.root),
+            context: this.context,
+            event,
+            changed,
+            done: this.status === 'done'
+        });
+    }
+
+    valueFor(node) {
+        const children = [...node.children.values()];
+        if (node.type === 'parallel') {
+            return Object.fromEntries(children.map(child => [child.key, child.isComposite ? this.valueFor(child) : {}]));
+        }
+        const active = children.find(child => this.active.has(child));
+        return active.isComposite ? { [active.key]: this.valueFor(active) } : active.key;
+    }
+
+    serialize() {
+        return { value: this.state.value, context: this.context };
+    }
+
+    toJSON() {
+        return this.serialize();
+    }
+
+    static nodesFromValue(node, value, nodes = []) {
+        nodes.push(node);
+        const lookup = key => {
+            const child = node.children.get(key);
+            if (!child) throw new Error(`Cannot restore unknown state "${key}" under ${node.describe()}`);
+            return child;
+        };
+        if (typeof value === 'string') {
+            nodes.push(lookup(value));
+        } else if (value && typeof value === 'object') {
+            for (const [key, childValue] of Object.entries(value)) {
+                MachineService.nodesFromValue(lookup(key), childValue, nodes);
+            }
+        }
+        return nodes;
+    }
+}
+
+// ************ COERCION EXPLAINER ************
+
+/*
+Traces the ECMAScript abstract operations behind ==, +, relational
+operators and ToPrimitive. Operands are already evaluated, so [] == ![]
+is explained as explain([], '==', false):
+
+    IsLooselyEqual([], false) → true
+      y is a Boolean: convert it with ToNumber
+      ToNumber(false) → 0
+      IsLooselyEqual([], 0) → true
+        x is an Object: convert it with ToPrimitive
+        ToPrimitive([], default) → ""
+          ...
+          call Object.prototype.valueOf() → []
+          call Array.prototype.toString() → ""
+
+Every valueOf, toString and Symbol.toPrimitive call really happens, once,
+in the order the engine would make it. The result carries the steps as
+data ({ type, depth, operation, detail, result }) and as indented text.
+*/
+
+class CoercionExplainer {
+    static OPERATORS = ['==', '!=', '===', '!==', '+', '<', '>', '<=', '>=', 'ToPrimitive'];
+    static HINTS = ['default', 'number', 'string'];
+
+    constructor() {
+        this.steps = [];
+        this.depth = 0;
+    }
+
+    static explain(a, op, b) {
+        if (!CoercionExplainer.OPERATORS.includes(op)) {
+            throw new TypeError(`Unsupported operator "${op}"; expected one of ${CoercionExplainer.OPERATORS.join(' ')}`);
+        }
+        if (op === 'ToPrimitive' && b !== undefined && !CoercionExplainer.HINTS.includes(b)) {
+            throw new TypeError(`Unknown ToPrimitive hint "${b}"`);
+        }
+
+        const tracer = new CoercionExplainer();
+        const show = CoercionExplainer.show;
+        const expression = op === 'ToPrimitive'
+            ? `ToPrimitive(${show(a)}, ${b || 'default'})`
+            : `${show(a)} ${op} ${show(b)}`;
+        let result;
+        let error = null;
+        try {
+            result = tracer.evaluate(a, op, b);
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        const text = [
+            expression,
+            ...tracer.steps.map(CoercionExplainer.render),
+            error ? `Throws ${error.name}: ${error.message}` : `Result: ${show(result)}`
+        ].join('\n');
+
+        return { expression, operator: op, operands: [a, b], result, error, steps: tracer.steps, text };
+    }
+
+    evaluate(a, op, b) {
+        switch (op) {
+            case '==':
+                return this.isLooselyEqual(a, b);
+            case '!=':
+                return this.negate(this.isLooselyEqual(a, b), '!=');
+            case '===':
+                return this.isStrictlyEqual(a, b);
+            case '!==':
+                return this.negate(this.isStrictlyEqual(a, b), '!==');
+            case '+':
+                return this.add(a, b);
+            case 'ToPrimitive':
+                return this.toPrimitive(a, b || 'default');
+            default:
+                return this.relational(a, op, b);
+        }
+    }
+
+    negate(result, op) {
+        this.note(`${op} negates that result`);
+        return !result;
+    }
+
+    // 1. Recording
+    operation(name, detail, fn) {
+        const step = { type: 'operation', depth: this.depth, operation: name, detail };
+        this.steps.push(step);
+        this.depth++;
+        try {
+            step.result = fn();
+            return step.result;
+        } catch (error) {
+            step.error = `${error.name}: ${error.message}`;
+            throw error;
+        } finally {
+            this.depth--;
+        }
+    }
+
+    note(detail) {
+        this.steps.push({ type: 'note', depth: this.depth, operation: null, detail });
+    }
+
+    invoke(target, key, label, args = []) {
+        const step = {
+            type: 'call',
+            depth: this.depth,
+            operation: 'Call',
+            detail: CoercionExplainer.qualify(CoercionExplainer.owner(target, key), label)
+        };
+        this.steps.push(step);
+        try {
+            step.result = Reflect.apply(target[key], target, args);
+            return step.result;
+        } catch (error) {
+            step.error = `${error.name}: ${error.message}`;
+            throw error;
+        }
+    }
+
+    // 2. Abstract operations
+    toPrimitive(input, hint) {
+        const show = CoercionExplainer.show;
+        return this.operation('ToPrimitive', `ToPrimitive(${show(input)}, ${hint})`, () => {
+            if (!CoercionExplainer.isObject(input)) {
+                this.note('not an object: returned unchanged');
+                return input;
+            }
+            const exotic = input[Symbol.toPrimitive];
+            if (exotic !== undefined && exotic !== null) {
+                if (typeof exotic !== 'function') {
+                    throw new TypeError('Symbol.toPrimitive is not a function');
+                }
+                this.note(`has a Symbol.toPrimitive method: call it with hint "${hint}"`);
+                const result = this.invoke(input, Symbol.toPrimitive, `[Symbol.toPrimitive](${JSON.stringify(hint)})`, [hint]);
+                if (CoercionExplainer.isObject(result)) {
+                    throw new TypeError('Cannot convert object to primitive value');
+                }
+                return result;
+            }
+            if (hint === 'default') {
+                this.note('no Symbol.toPrimitive method, so hint "default" becomes "number"');
+            }
+            return this.ordinaryToPrimitive(input, hint === 'string' ? 'string' : 'number');
+        });
+    }
+
+    ordinaryToPrimitive(input, hint) {
+        return this.operation('OrdinaryToPrimitive', `OrdinaryToPrimitive(${CoercionExplainer.show(input)}, ${hint})`, () => {
+            const order = hint === 'string' ? ['toString', 'valueOf'] : ['valueOf', 'toString'];
+            this.note(`hint "${hint}": try ${order[0]}() first, then ${order[1]}()`);
+            for (const name of order) {
+                if (typeof input[name] !== 'function') {
+                    this.note(`${name} is not callable, skip it`);
+                    continue;
+                }
+                const result = this.invoke(input, name, `${name}()`);
+                if (!CoercionExplainer.isObject(result)) return result;
+                this.note(`${name}() returned an object, so its result is ignored`);
+            }
+            throw new TypeError('Cannot convert object to primitive value');
+        });
+    }
+
+    // Objects go through ToPrimitive; primitives pass straight through
+    primitive(value, hint) {
+        return CoercionExplainer.isObject(value) ? this.toPrimitive(value, hint) : value;
+    }
+
+    toNumber(value) {
+        return this.operation('ToNumber', `ToNumber(${CoercionExplainer.show(value)})`, () => {
+            if (typeof value === 'symbol' || typeof value === 'bigint') {
+                throw new TypeError(`Cannot convert a ${typeof value === 'symbol' ? 'Symbol' : 'BigInt'} value to a number`);
+            }
+            if (CoercionExplainer.isObject(value)) {
+                return this.toNumber(this.toPrimitive(value, 'number'));
+            }
+            if (typeof value === 'string' && value.trim() === '') {
+                this.note('an empty or whitespace-only string converts to 0');
+            }
+            return Number(value);
+        });
+    }
+
+    toNumeric(value) {
+        const primitive = this.primitive(value, 'number');
+        return typeof primitive === 'bigint' ? primitive : this.toNumber(primitive);
+    }
+
+    toString(value) {
+        return this.operation('ToString', `ToString(${CoercionExplainer.show(value)})`, () => {
+            if (typeof value === 'symbol') {
+                throw new TypeError('Cannot convert a Symbol value to a string');
+            }
+            if (CoercionExplainer.isObject(value)) {
+                return this.toString(this.toPrimitive(value, 'string'));
+            }
+            return String(value);
+        });
+    }
+
+    stringToBigInt(text) {
+        return this.operation('StringToBigInt', `StringToBigInt(${JSON.stringify(text)})`, () => {
+            try {
+                return BigInt(text);
+            } catch (error) {
+                this.note('not a valid BigInt literal: undefined');
+                return undefined;
+            }
+        });
+    }
+
+    // 3. Operators
+    isStrictlyEqual(x, y) {
+        const show = CoercionExplainer.show;
+        return this.operation('IsStrictlyEqual', `IsStrictlyEqual(${show(x)}, ${show(y)})`, () => {
+            const [typeX, typeY] = [CoercionExplainer.type(x), CoercionExplainer.type(y)];
+            if (typeX !== typeY) {
+                this.note(`types differ (${typeX}, ${typeY}): false without any conversion`);
+                return false;
+            }
+            if (Number.isNaN(x)) this.note('NaN is not equal to anything, itself included');
+            else if (Object.is(x, -0) || Object.is(y, -0)) this.note('+0 and -0 are equal');
+            else if (typeX === 'Object') this.note('objects are equal only when they are the same reference');
+            return x === y;
+        });
+    }
+
+    isLooselyEqual(x, y) {
+        const show = CoercionExplainer.show;
+        return this.operation('IsLooselyEqual', `IsLooselyEqual(${show(x)}, ${show(y)})`, () => {
+            const [typeX, typeY] = [CoercionExplainer.type(x), CoercionExplainer.type(y)];
+            const primitiveTypes = ['String', 'Number', 'BigInt', 'Symbol'];
+
+            if (typeX === typeY) {
+                this.note(`both are ${typeX}: compare strictly`);
+                return this.isStrictlyEqual(x, y);
+            }
+            if ((x === null || x === undefined) && (y === null || y === undefined)) {
+                this.note('null and undefined are loosely equal to each other');
+                return true;
+            }
+            if (typeX === 'Number' && typeY === 'String') {
+                this.note('Number vs String: convert the string with ToNumber');
+                return this.isLooselyEqual(x, this.toNumber(y));
+            }
+            if (typeX === 'String' && typeY === 'Number') {
+                this.note('String vs Number: convert the string with ToNumber');
+                return this.isLooselyEqual(this.toNumber(x), y);
+            }
+            if (typeX === 'BigInt' && typeY === 'String') {
+                this.note('BigInt vs String: convert the string with StringToBigInt');
+                const n = this.stringToBigInt(y);
+                return n === undefined ? false : this.isLooselyEqual(x, n);
+            }
+            if (typeX === 'String' && typeY === 'BigInt') {
+                this.note('String vs BigInt: swap the operands');
+                return this.isLooselyEqual(y, x);
+            }
+            if (typeX === 'Boolean') {
+                this.note('x is a Boolean: convert it with ToNumber');
+                return this.isLooselyEqual(this.toNumber(x), y);
+            }
+            if (typeY === 'Boolean') {
+                this.note('y is a Boolean: convert it with ToNumber');
+                return this.isLooselyEqual(x, this.toNumber(y));
+            }
+            if (primitiveTypes.includes(typeX) && typeY === 'Object') {
+                this.note('y is an Object: convert it with ToPrimitive');
+                return this.isLooselyEqual(x, this.toPrimitive(y, 'default'));
+            }
+            if (typeX === 'Object' && primitiveTypes.includes(typeY)) {
+                this.note('x is an Object: convert it with ToPrimitive');
+                return this.isLooselyEqual(this.toPrimitive(x, 'default'), y);
+            }
+            if ((typeX === 'BigInt' && typeY === 'Number') || (typeX === 'Number' && typeY === 'BigInt')) {
+                if (!Number.isFinite(typeX === 'Number' ? x : y)) {
+                    this.note('NaN and Infinity never equal a BigInt');
+                    return false;
+                }
+                this.note('BigInt vs Number: compare their mathematical values');
+                return x == y; // safe: both are primitives
+            }
+            this.note(`no rule relates ${typeX} and ${typeY}, so they are not equal`);
+            return false;
+        });
+    }
+
+    add(a, b) {
+        const show = CoercionExplainer.show;
+        return this.operation('ApplyStringOrNumericBinaryOperator', `${show(a)} + ${show(b)}`, () => {
+            const left = this.primitive(a, 'default');
+            const right = this.primitive(b, 'default');
+
+            if (typeof left === 'string' || typeof right === 'string') {
+                this.note('one side is a string, so + concatenates');
+                const leftString = typeof left === 'string' ? left : this.toString(left);
+                const rightString = typeof right === 'string' ? right : this.toString(right);
+                return leftString + rightString;
+            }
+
+            this.note('neither side is a string, so + adds numerically');
+            const leftNumber = this.toNumeric(left);
+            const rightNumber = this.toNumeric(right);
+            if (typeof leftNumber !== typeof rightNumber) {
+                throw new TypeError('Cannot mix BigInt and other types, use explicit conversions');
+            }
+            return leftNumber + rightNumber;
+        });
+    }
+
+    // a > b and a <= b call IsLessThan with the operands swapped
+    relational(a, op, b) {
+        const swapped = op === '>' || op === '<=';
+        const comparison = swapped ? this.isLessThan(b, a, false) : this.isLessThan(a, b, true);
+
+        if (op === '<' || op === '>') {
+            if (comparison === undefined) this.note('undefined (a NaN was involved) counts as false');
+            return comparison === true;
+        }
+        this.note(`${op} is true only when IsLessThan returned false`);
+        return comparison === false;
+    }
+
+    isLessThan(x, y, leftFirst) {
+        const show = CoercionExplainer.show;
+        return this.operation('IsLessThan', `IsLessThan(${show(x)}, ${show(y)}, LeftFirst=${leftFirst})`, () => {
+            let px;
+            let py;
+            if (leftFirst) {
+                px = this.primitive(x, 'number');
+                py = this.primitive(y, 'number');
+            } else {
+                this.note('LeftFirst is false, so the right operand is converted first');
+                py = this.primitive(y, 'number');
+                px = this.primitive(x, 'number');
+            }
+
+            if (typeof px === 'string' && typeof py === 'string') {
+                this.note('both are strings: compare UTF-16 code units');
+                return px < py;
+            }
+            if (typeof px === 'bigint' && typeof py === 'string') {
+                const ny = this.stringToBigInt(py);
+                return ny === undefined ? undefined : px < ny;
+            }
+            if (typeof px === 'string' && typeof py === 'bigint') {
+                const nx = this.stringToBigInt(px);
+                return nx === undefined ? undefined : nx < py;
+            }
+
+            const nx = this.toNumeric(px);
+            const ny = this.toNumeric(py);
+            if (Number.isNaN(nx) || Number.isNaN(ny)) {
+                this.note('NaN is involved: undefined');
+                return undefined;
+            }
+            if (typeof nx !== typeof ny) {
+                this.note('BigInt vs Number: compare their mathematical values');
+            }
+            return nx < ny;
+        });
+    }
+
+    // 4. Formatting (never calls user valueOf/toString)
+    static isObject(value) {
+        return (typeof value === 'object' && value !== null) || typeof value === 'function';
+    }
+
+    static type(value) {
+        if (value === null) return 'Null';
+        if (CoercionExplainer.isObject(value)) return 'Object';
+        return { undefined: 'Undefined', boolean: 'Boolean', number: 'Number', string: 'String',
+            symbol: 'Symbol', bigint: 'BigInt' }[typeof value];
+    }
+
+    static owner(target, key) {
+        for (let proto = target; proto; proto = Object.getPrototypeOf(proto)) {
+            if (!Object.prototype.hasOwnProperty.call(proto, key)) continue;
+            if (proto === target) return '';
+            const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+            return typeof ctor === 'function' && ctor.name ? `${ctor.name}.prototype` : '';
+        }
+        return '';
+    }
+
+    static qualify(owner, label) {
+        if (!owner) return label;
+        return label.startsWith('[') ? owner + label : `${owner}.${label}`;
+    }
+
+    static show(value, depth = 0) {
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (Object.is(value, -0)) return '-0';
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (!CoercionExplainer.isObject(value)) return String(value);
+        if (depth > 0) return Array.isArray(value) ? '[…]' : '{…}';
+
+        if (Array.isArray(value)) {
+            const items = value.slice(0, 5).map(item => CoercionExplainer.show(item, depth + 1));
+            return `[${items.join(', ')}${value.length > 5 ? ', …' : ''}]`;
+        }
+        if (value instanceof Date) {
+            return Number.isNaN(Date.prototype.getTime.call(value))
+                ? 'Date(Invalid)'
+                : `Date(${Date.prototype.toISOString.call(value)})`;
+        }
+        const keys = Object.keys(value);
+        const entries = keys.slice(0, 5).map(key => `${key}: ${CoercionExplainer.show(value[key], depth + 1)}`);
+        const body = entries.length ? `{ ${entries.join(', ')}${keys.length > 5 ? ', …' : ''} }` : '{}';
+        const proto = Object.getPrototypeOf(value);
+        const name = proto && proto !== Object.prototype && typeof proto.constructor === 'function' ? proto.constructor.name : '';
+        return name ? `${name} ${body}` : body;
+    }
+
+    static render(step) {
+        const indent = '  '.repeat(step.depth + 1);
+        if (step.type === 'note') return `${indent}${step.detail}`;
+        const outcome = 'error' in step ? `throws ${step.error}` : CoercionExplainer.show(step.result);
+        return `${indent}${step.type === 'call' ? 'call ' : ''}${step.detail} → ${outcome}`;
+    }
+}
+
+function explain(a, op, b) {
+    return CoercionExplainer.explain(a, op, b);
+}
+
+// ************ DECISION TABLES ************
+
+/*
+Business rules as data instead of nested ifs. A table is plain JSON:
+
+    {
+        "name": "shipping",
+        "hitPolicy": "first",
+        "rules": [
+            { "id": "free",    "when": { "order.total": { ">=": 100 } },                      "then": { "rate": 0 } },
+            { "id": "local",   "when": { "country": "US", "weight": { "between": [0, 5] } },  "then": { "rate": 5 } },
+            { "id": "nearby",  "when": { "country": ["CA", "MX"] },                           "then": { "rate": 12 } }
+        ],
+        "default": { "rate": 25 }
+    }
+
+Field names are paths into the input (see PATH QUERIES). A condition is a
+literal (equality), an array (one of) or an object of operators that must
+all hold: == != > >= < <= in notIn between matches exists. Comparisons
+never coerce: { ">": 5 } does not match "10".
+
+Hit policies:
+    first     the first matching rule in table order
+    unique    at most one rule may match; more is a DecisionTableError
+    priority  the matching rule with the highest "priority" (ties: table order)
+    collect   every matching output, in table order
+*/
+
+class DecisionTableError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'DecisionTableError';
+        Object.assign(this, details);
+    }
+}
+
+class RuleCondition {
+    static OPERATORS = {
+        '==': (value, operand) => value === operand || Object.is(value, operand),
+        '!=': (value, operand) => !(value === operand || Object.is(value, operand)),
+        '>': (value, operand) => RuleCondition.comparable(value, operand) && value > operand,
+        '>=': (value, operand) => RuleCondition.comparable(value, operand) && value >= operand,
+        '<': (value, operand) => RuleCondition.comparable(value, operand) && value < operand,
+        '<=': (value, operand) => RuleCondition.comparable(value, operand) && value <= operand,
+        in: (value, operand) => operand.some(item => item === value),
+        notIn: (value, operand) => !operand.some(item => item === value),
+        between: (value, [min, max]) => RuleCondition.comparable(value, min) && value >= min && value <= max,
+        matches: (value, operand) => typeof value === 'string' && operand.test(value),
+        exists: (value, operand) => (value !== undefined && value !== null) === operand
+    };
+
+    constructor(field, spec, ruleId) {
+        this.field = field;
+        this.spec = spec;
+        this.checks = RuleCondition.parse(spec, `rule "${ruleId}", field "${field}"`);
+        this.constraint = RuleCondition.toConstraint(this.checks);
+    }
+
+    static comparable(value, operand) {
+        return (typeof value === 'number' && typeof operand === 'number' && !Number.isNaN(value)) ||
+            (typeof value === 'string' && typeof operand === 'string');
+    }
+
+    static parse(spec, where) {
+        if (Array.isArray(spec)) return RuleCondition.parse({ in: spec }, where);
+        if (spec === null || typeof spec !== 'object') return [{ op: '==', operand: spec }];
+
+        const entries = Object.entries(spec);
+        if (entries.length === 0) {
+            throw new DecisionTableError(`Empty condition in ${where}`);
+        }
+        return entries.map(([op, operand]) => {
+            const fail = expected => {
+                throw new DecisionTableError(`Operator "${op}" in ${where} expects ${expected}`);
+            };
+            if (!(op in RuleCondition.OPERATORS)) {
+                throw new DecisionTableError(`Unknown operator "${op}" in ${where}`);
+            }
+            if ((op === 'in' || op === 'notIn') && !Array.isArray(operand)) fail('an array');
+            if (['>', '>=', '<', '<='].includes(op) && typeof operand !== 'number' && typeof operand !== 'string') {
+                fail('a number or a string');
+            }
+            if (op === 'between') {
+                if (!Array.isArray(operand) || operand.length !== 2 || typeof operand[0] !== typeof operand[1] ||
+                    !RuleCondition.comparable(operand[0], operand[1]) || operand[0] > operand[1]) {
+                    fail('[min, max] of the same type with min <= max');
+                }
+            }
+            if (op === 'exists' && typeof operand !== 'boolean') fail('true or false');
+            if (op === 'matches') {
+                if (typeof operand !== 'string') fail('a regular expression source string');
+                try {
+                    return { op, operand: new RegExp(operand), source: operand };
+                } catch (error) {
+                    fail(`a valid regular expression (${error.message})`);
+                }
+            }
+            return { op, operand };
+        });
+    }
+
+    test(value) {
+        return this.checks.every(({ op, operand }) => RuleCondition.OPERATORS[op](value, operand));
+    }
+
+    describe() {
+        return this.checks.map(({ op, operand, source }) => {
+            const shown = op === 'matches' ? `/${source}/` : JSON.stringify(operand);
+            return `${this.field} ${op} ${shown}`;
+        }).join(' and ');
+    }
+
+    // 1. Static analysis: an interval plus included and excluded values
+    static toConstraint(checks) {
+        const constraint = { lo: undefined, loInclusive: true, hi: undefined, hiInclusive: true, include: null, exclude: [], opaque: false };
+        const raiseLo = (value, inclusive) => {
+            if (constraint.lo === undefined || value > constraint.lo || (value === constraint.lo && !inclusive)) {
+                Object.assign(constraint, { lo: value, loInclusive: inclusive });
+            }
+        };
+        const lowerHi = (value, inclusive) => {
+            if (constraint.hi === undefined || value < constraint.hi || (value === constraint.hi && !inclusive)) {
+                Object.assign(constraint, { hi: value, hiInclusive: inclusive });
+            }
+        };
+        const narrow = values => {
+            constraint.include = constraint.include ? constraint.include.filter(item => values.includes(item)) : [...values];
+        };
+
+        for (const { op, operand } of checks) {
+            if (op === '==') narrow([operand]);
+            else if (op === 'in') narrow(operand);
+            else if (op === '!=') constraint.exclude.push(operand);
+            else if (op === 'notIn') constraint.exclude.push(...operand);
+            else if (op === '>') raiseLo(operand, false);
+            else if (op === '>=') raiseLo(operand, true);
+            else if (op === '<') lowerHi(operand, false);
+            else if (op === '<=') lowerHi(operand, true);
+            else if (op === 'between') {
+                raiseLo(operand[0], true);
+                lowerHi(operand[1], true);
+            } else constraint.opaque = true;
+        }
+        return constraint;
+    }
+
+    // 'yes', 'no' or 'maybe': can one value satisfy every condition given?
+    static satisfiable(conditions) {
+        const withValues = conditions.find(condition => condition.constraint.include);
+        if (withValues) {
+            return withValues.constraint.include.some(value => conditions.every(condition => condition.test(value)))
+                ? 'yes' : 'no';
+        }
+
+        const bounds = { lo: undefined, loInclusive: true, hi: undefined, hiInclusive: true };
+        for (const { constraint } of conditions) {
+            if (constraint.lo !== undefined && (bounds.lo === undefined || constraint.lo > bounds.lo ||
+                (constraint.lo === bounds.lo && !constraint.loInclusive))) {
+                Object.assign(bounds, { lo: constraint.lo, loInclusive: constraint.loInclusive });
+            }
+            if (constraint.hi !== undefined && (bounds.hi === undefined || constraint.hi < bounds.hi ||
+                (constraint.hi === bounds.hi && !constraint.hiInclusive))) {
+                Object.assign(bounds, { hi: constraint.hi, hiInclusive: constraint.hiInclusive });
+            }
+        }
+
+        const typed = [bounds.lo, bounds.hi].filter(bound => bound !== undefined);
+        if (typed.length === 2) {
+            if (typeof typed[0] !== typeof typed[1] || bounds.lo > bounds.hi) return 'no';
+            if (bounds.lo === bounds.hi) {
+                if (!bounds.loInclusive || !bounds.hiInclusive) return 'no';
+                return conditions.every(condition => condition.test(bounds.lo)) ? 'yes' : 'no';
+            }
+        }
+        return conditions.some(condition => condition.constraint.opaque) ? 'maybe' : 'yes';
+    }
+
+    // true only when every value this condition accepts is accepted by the other
+    isSubsetOf(other) {
+        const mine = this.constraint;
+        const theirs = other.constraint;
+        if (mine.include) {
+            return mine.include.filter(value => this.test(value)).every(value => other.test(value));
+        }
+        if (mine.opaque || theirs.opaque) return false;
+        if (theirs.include) {
+            return mine.lo !== undefined && mine.lo === mine.hi && other.test(mine.lo);
+        }
+
+        const loContained = theirs.lo === undefined || (mine.lo !== undefined && typeof mine.lo === typeof theirs.lo &&
+            (mine.lo > theirs.lo || (mine.lo === theirs.lo && (theirs.loInclusive || !mine.loInclusive))));
+        const hiContained = theirs.hi === undefined || (mine.hi !== undefined && typeof mine.hi === typeof theirs.hi &&
+            (mine.hi < theirs.hi || (mine.hi === theirs.hi && (theirs.hiInclusive || !mine.hiInclusive))));
+        return loContained && hiContained && theirs.exclude.every(value => !this.test(value));
+    }
+}
+
+class DecisionTable {
+    static HIT_POLICIES = ['first', 'unique', 'priority', 'collect'];
+
+    constructor(definition) {
+        const { name = 'decision table', hitPolicy = 'first', rules } = definition;
+        if (!DecisionTable.HIT_POLICIES.includes(hitPolicy)) {
+            throw new DecisionTableError(`Unknown hit policy "${hitPolicy}" in ${name}; expected ${DecisionTable.HIT_POLICIES.join(', ')}`);
+        }
+        if (!Array.isArray(rules)) {
+            throw new DecisionTableError(`${name} needs a rules array`);
+        }
+
+        this.name = name;
+        this.hitPolicy = hitPolicy;
+        this.definition = definition;
+        this.hasDefault = 'default' in definition;
+        this.defaultOutput = definition.default;
+
+        const ids = new Set();
+        this.rules = rules.map((rule, index) => {
+            const id = rule.id ?? `rule ${index + 1}`;
+            if (ids.has(id)) throw new DecisionTableError(`Duplicate rule id "${id}" in ${name}`);
+            ids.add(id);
+            if (!('then' in rule)) throw new DecisionTableError(`Rule "${id}" in ${name} has no "then" output`);
+            if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+                throw new DecisionTableError(`Rule "${id}" in ${name} has a non-numeric priority`);
+            }
+            return {
+                id,
+                index,
+                priority: rule.priority ?? 0,
+                output: rule.then,
+                conditions: Object.entries(rule.when || {}).map(([field, spec]) => new RuleCondition(field, spec, id))
+            };
+        });
+    }
+
+    static fromJSON(json) {
+        return new DecisionTable(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    toJSON() {
+        return this.definition;
+    }
+
+    // 1. Evaluation
+    evaluate(input) {
+        const { output, fired } = this.explain(input);
+        return { output, fired };
+    }
+
+    explain(input) {
+        const rules = this.rules.map(rule => {
+            const conditions = rule.conditions.map(condition => {
+                const actual = PathQuery.get(input, condition.field);
+                return { field: condition.field, condition: condition.describe(), actual, passed: condition.test(actual) };
+            });
+            return { id: rule.id, priority: rule.priority, matched: conditions.every(c => c.passed), conditions };
+        });
+
+        const matched = this.rules.filter((rule, i) => rules[i].matched);
+        const fired = this.select(matched);
+        let output;
+        if (fired.length === 0) output = this.hitPolicy === 'collect' && !this.hasDefault ? [] : this.defaultOutput;
+        else if (this.hitPolicy === 'collect') output = fired.map(rule => rule.output);
+        else output = fired[0].output;
+
+        const firedIds = fired.map(rule => rule.id);
+        rules.forEach(rule => { rule.fired = firedIds.includes(rule.id); });
+
+        return {
+            table: this.name,
+            hitPolicy: this.hitPolicy,
+            output,
+            fired: firedIds,
+            usedDefault: fired.length === 0 && this.hasDefault,
+            rules,
+            text: this.formatExplanation(rules, output, fired.length === 0)
+        };
+    }
+
+    select(matched) {
+        switch (this.hitPolicy) {
+            case 'unique':
+                if (matched.length > 1) {
+                    throw new DecisionTableError(
+                        `${this.name} uses the unique hit policy but rules ${matched.map(rule => `"${rule.id}"`).join(', ')} all matched`,
+                        { rules: matched.map(rule => rule.id) });
+                }
+                return matched;
+            case 'priority':
+                return matched.length
+                    ? [matched.reduce((best, rule) => (rule.priority > best.priority ? rule : best))]
+                    : [];
+            case 'collect':
+                return matched;
+            default:
+                return matched.slice(0, 1);
+        }
+    }
+
+    formatExplanation(rules, output, noMatch) {
+        const lines = [`${this.name} (hit policy: ${this.hitPolicy})`];
+        for (const rule of rules) {
+            const conditions = rule.conditions.length
+                ? rule.conditions.map(c => `${c.condition} ${c.passed ? '✓' : '✗'} (got ${JSON.stringify(c.actual)})`).join(', ')
+                : 'no conditions';
+            if (rule.fired) {
+                lines.push(`  ✓ ${rule.id} fired: ${conditions}`);
+            } else if (rule.matched) {
+                lines.push(`  - ${rule.id} matched but was not selected: ${conditions}`);
+            } else {
+                const failed = rule.conditions.find(c => !c.passed);
+                lines.push(`  ✗ ${rule.id}: ${failed.condition} failed (got ${JSON.stringify(failed.actual)})`);
+            }
+        }
+        lines.push(noMatch ? `No rule matched; output: ${JSON.stringify(output)}` : `Output: ${JSON.stringify(output)}`);
+        return lines.join('\n');
+    }
+
+    // 2. Validation
+    validate() {
+        const issues = [];
+        const satisfiable = new Map(this.rules.map(rule => [rule, DecisionTable.ruleSatisfiable(rule)]));
+
+        for (const rule of this.rules) {
+            if (satisfiable.get(rule) === 'no') {
+                issues.push({
+                    severity: 'error',
+                    type: 'unsatisfiable',
+                    rules: [rule.id],
+                    message: `Rule "${rule.id}" can never match: its conditions contradict each other`
+                });
+            }
+        }
+
+        const live = this.rules.filter(rule => satisfiable.get(rule) !== 'no');
+        live.forEach((rule, i) => {
+            for (const other of live.slice(i + 1)) {
+                const overlap = DecisionTable.overlaps(rule, other);
+                if (overlap === 'no' || this.hitPolicy === 'collect') continue;
+                const ambiguous = this.hitPolicy === 'unique' ||
+                    (this.hitPolicy === 'priority' && rule.priority === other.priority);
+                issues.push({
+                    severity: ambiguous ? 'error' : 'warning',
+                    type: 'overlap',
+                    rules: [rule.id, other.id],
+                    certain: overlap === 'yes',
+                    message: `Rules "${rule.id}" and "${other.id}" ${overlap === 'yes' ? 'overlap' : 'may overlap'}` +
+                        (ambiguous ? ` under the ${this.hitPolicy} hit policy${this.hitPolicy === 'priority' ? ' with equal priority' : ''}` : '')
+                });
+            }
+        });
+
+        if (this.hitPolicy === 'first' || this.hitPolicy === 'priority') {
+            for (const rule of live) {
+                const shadow = live.find(other => other !== rule && this.outranks(other, rule) && DecisionTable.covers(other, rule));
+                if (shadow) {
+                    issues.push({
+                        severity: 'error',
+                        type: 'unreachable',
+                        rules: [rule.id, shadow.id],
+                        message: `Rule "${rule.id}" is unreachable: every input it matches is taken by "${shadow.id}" first`
+                    });
+                }
+            }
+        }
+
+        return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+    }
+
+    outranks(rule, other) {
+        if (this.hitPolicy === 'priority' && rule.priority !== other.priority) {
+            return rule.priority > other.priority;
+        }
+        return rule.index < other.index;
+    }
+
+    static groupByField(...rules) {
+        const fields = new Map();
+        for (const rule of rules) {
+            for (const condition of rule.conditions) {
+                if (!fields.has(condition.field)) fields.set(condition.field, []);
+                fields.get(condition.field).push(condition);
+            }
+        }
+        return fields;
+    }
+
+    static combine(results) {
+        if (results.includes('no')) return 'no';
+        return results.includes('maybe') ? 'maybe' : 'yes';
+    }
+
+    static ruleSatisfiable(rule) {
+        return DecisionTable.combine([...DecisionTable.groupByField(rule).values()].map(RuleCondition.satisfiable));
+    }
+
+    static overlaps(rule, other) {
+        return DecisionTable.combine([...DecisionTable.groupByField(rule, other).values()].map(RuleCondition.satisfiable));
+    }
+
+    // Does every input matching `rule` also match `cover`?
+    static covers(cover, rule) {
+        const mine = DecisionTable.groupByField(rule);
+        return [...DecisionTable.groupByField(cover)].every(([field, conditions]) => {
+            const restricting = mine.get(field);
+            return restricting !== undefined && conditions.every(condition =>
+                restricting.some(own => own.isSubsetOf(condition)));
+        });
+    }
+}
+
+class RuleEngine {
+    constructor(tables = []) {
+        this.tables = new Map();
+        tables.forEach(table => this.load(table));
+    }
+
+    load(definition) {
+        const table = definition instanceof DecisionTable ? definition : DecisionTable.fromJSON(definition);
+        this.tables.set(table.name, table);
+        return table;
+    }
+
+    table(name) {
+        const table = this.tables.get(name);
+        if (!table) throw new DecisionTableError(`Unknown decision table "${name}"`);
+        return table;
+    }
+
+    evaluate(name, input) {
+        return this.table(name).evaluate(input);
+    }
+
+    explain(name, input) {
+        return this.table(name).explain(input);
+    }
+
+    validate() {
+        return Object.fromEntries([...this.tables].map(([name, table]) => [name, table.validate()]));
+    }
+}
+
+// ************ ITERATION CONTROL ************
+
+/*
+customForEach's contract (return false to stop) for any source:
+
+    arrays, strings and other iterables   key is the position
+    Map                                   key is the map key
+    Set                                   key is the value, as in Set#forEach
+    plain objects                         key is the property name
+    async iterables                       forEachAsync / mapAsync only
+
+Callbacks receive (value, key, meta) where meta is { index, key, source, signal }
+and may return:
+
+    false or Iteration.BREAK    stop; the source's return() runs its cleanup
+    Iteration.SKIP              leave this item out of map() results
+    Iteration.skip(n, value)    pass over the next n items without calling back;
+                                this item still maps to value
+
+    const controller = new AbortController();
+    await Iteration.forEachAsync(fetchPages(), async (page) => {
+        await save(page.items);
+        if (page.isLast) return Iteration.BREAK;
+    }, { concurrency: 4, signal: controller.signal });
+
+Aborting is a clean stop, not an error: the summary says stopped: 'abort'.
+With concurrency, callbacks already running when a stop arrives still finish.
+*/
+
+class Iteration {
+    static BREAK = Symbol('Iteration.BREAK');
+    static SKIP = Symbol('Iteration.SKIP');
+    static ABORTED = Symbol('aborted');
+
+    static skip(count = 1, value) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new RangeError('Iteration.skip() expects a non-negative integer');
+        }
+        return { [Iteration.SKIP]: count, value };
+    }
+
+    // 1. Sources
+    static isAsyncIterable(source) {
+        return source !== null && source !== undefined && typeof source[Symbol.asyncIterator] === 'function';
+    }
+
+    static *entries(source) {
+        if (source instanceof Map) {
+            yield* source.entries();
+        } else if (source instanceof Set) {
+            for (const value of source) yield [value, value];
+        } else if (Array.isArray(source)) {
+            for (let i = 0; i < source.length; i++) yield [i, source[i]];
+        } else if (source !== null && source !== undefined && typeof source[Symbol.iterator] === 'function') {
+            let index = 0;
+            for (const value of source) yield [index++, value];
+        } else if (source !== null && typeof source === 'object') {
+            for (const key of Object.keys(source)) yield [key, source[key]];
+        } else {
+            throw new TypeError(`Cannot iterate over ${source === null ? 'null' : typeof source}`);
+        }
+    }
+
+    static async *asyncEntries(source) {
+        if (Iteration.isAsyncIterable(source)) {
+            let index = 0;
+            for await (const value of source) yield [index++, value];
+        } else {
+            yield* Iteration.entries(source);
+        }
+    }
+
+    // 2. Synchronous loops
+    static forEach(source, callback, options = {}) {
+        return Iteration.run(source, callback, options, false).summary;
+    }
+
+    static map(source, callback, options = {}) {
+        return Iteration.run(source, callback, options, true).results;
+    }
+
+    static run(source, callback, { signal } = {}, collect) {
+        if (Iteration.isAsyncIterable(source)) {
+            throw new TypeError('Async iterables need forEachAsync() or mapAsync()');
+        }
+        const state = Iteration.createState();
+
+        for (const [key, value] of Iteration.entries(source)) {
+            if (signal && signal.aborted) {
+                state.stopped = 'abort';
+                break;
+            }
+            const index = state.index++;
+            if (Iteration.consumeSkip(state)) continue;
+
+            const outcome = callback(value, key, { index, key, source, signal });
+            if (outcome && typeof outcome.then === 'function') {
+                throw new TypeError('The callback returned a promise; use forEachAsync() or mapAsync()');
+            }
+            Iteration.apply(outcome, state, index, collect);
+            if (state.stopped) break;
+        }
+        return Iteration.finish(state);
+    }
+
+    // 3. Asynchronous loops
+    static async forEachAsync(source, callback, options = {}) {
+        return (await Iteration.runAsync(source, callback, options, false)).summary;
+    }
+
+    static async mapAsync(source, callback, options = {}) {
+        return (await Iteration.runAsync(source, callback, options, true)).results;
+    }
+
+    static async runAsync(source, callback, { signal, concurrency = 1 } = {}, collect) {
+        if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency > 0))) {
+            throw new RangeError('concurrency must be a positive integer or Infinity');
+        }
+
+        const state = Iteration.createState();
+        const iterator = Iteration.asyncEntries(source);
+        const running = new Set();
+        // One listener for the whole loop; it settles whichever next() is pending
+        let interrupt = null;
+        const onAbort = () => interrupt && interrupt(Iteration.ABORTED);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        let pendingNext = false;
+
+        try {
+            while (!state.stopped && !state.error) {
+                if (signal && signal.aborted) {
+                    state.stopped = 'abort';
+                    break;
+                }
+                if (running.size >= concurrency) {
+                    await Promise.race(running);
+                    continue;
+                }
+
+                pendingNext = true;
+                const step = await (signal
+                    ? new Promise((resolve, reject) => {
+                        interrupt = resolve;
+                        iterator.next().then(resolve, reject);
+                    })
+                    : iterator.next());
+                interrupt = null;
+                if (step === Iteration.ABORTED) {
+                    state.stopped = 'abort';
+                    break;
+                }
+                pendingNext = false;
+                if (step.done) break;
+
+                const [key, value] = step.value;
+                const index = state.index++;
+                if (Iteration.consumeSkip(state)) continue;
+
+                const task = (async () => {
+                    const outcome = await callback(value, key, { index, key, source, signal });
+                    Iteration.apply(outcome, state, index, collect);
+                })()
+                    .catch(error => {
+                        if (!state.error) state.error = error;
+                    })
+                    .finally(() => running.delete(task));
+                running.add(task);
+            }
+            await Promise.all(running);
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (state.stopped || state.error) {
+                // A next() still in flight would hold return() until it settles
+                const closing = Promise.resolve(iterator.return()).catch(() => {});
+                if (!pendingNext) await closing;
+            }
+        }
+
+        if (state.error) throw state.error;
+        return Iteration.finish(state);
+    }
+
+    // 4. Shared bookkeeping
+    static createState() {
+        return { index: 0, processed: 0, skipped: 0, pendingSkips: 0, stopped: null, error: null, results: [] };
+    }
+
+    static consumeSkip(state) {
+        if (state.pendingSkips === 0) return false;
+        state.pendingSkips--;
+        state.skipped++;
+        return true;
+    }
+
+    static apply(outcome, state, index, collect) {
+        state.processed++;
+        if (outcome === false || outcome === Iteration.BREAK) {
+            if (!state.stopped) state.stopped = 'break';
+        } else if (outcome === Iteration.SKIP) {
+            state.skipped++;
+        } else if (outcome !== null && typeof outcome === 'object' && Iteration.SKIP in outcome) {
+            state.pendingSkips += outcome[Iteration.SKIP];
+            if (collect) state.results.push([index, outcome.value]);
+        } else if (collect) {
+            state.results.push([index, outcome]);
+        }
+    }
+
+    static finish(state) {
+        return {
+            summary: { processed: state.processed, skipped: state.skipped, stopped: state.stopped },
+            results: state.results.sort((a, b) => a[0] - b[0]).map(([, value]) => value)
+        };
     }
-    return patterns.get('default')?.(value);
 }
 
 // ************ CONCLUSION ************
@@ -320,6 +2755,19 @@ if (typeof module !== 'undefined') {
         InterviewQuestions,
         customForEach,
         safeNavigate,
-        patternMatch
+        patternMatch,
+        PathQuery,
+        match,
+        Matcher,
+        Pattern,
+        NonExhaustiveMatchError,
+        StateMachine,
+        MachineService,
+        CoercionExplainer,
+        explain,
+        DecisionTable,
+        DecisionTableError,
+        RuleEngine,
+        Iteration
     };
 } 
\ No newline at end of file
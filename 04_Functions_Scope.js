@@ -9,6 +9,18 @@ Before starting this module, ensure you understand:
 3. Basic JavaScript syntax
 */
 
+// Type classification, including classes behind a Proxy (see 02_Variables_DataTypes.js)
+const { TypeClassifier } = require('./02_Variables_DataTypes.js');
+
+// Async context for CallTracer; only Node has it
+const { AsyncLocalStorage } = (() => {
+    try {
+        return require('async_hooks');
+    } catch (error) {
+        return {};
+    }
+})();
+
 // ************ FUNCTION FUNDAMENTALS ************
 
 // 1. Function Declaration
@@ -119,26 +131,20 @@ class AdvancedFunctions {
         return array.map(transform);
     }
 
-    // 2. Function Composition
+    // 2. Function Composition (right to left; async steps make the result a promise)
     static compose(...fns) {
-        return x => fns.reduceRight((y, f) => f(y), x);
+        const built = Pipeline.from([...fns].reverse(), 'compose', { wrapErrors: false });
+        return x => built.run(x);
     }
 
-    // 3. Partial Application
+    // 3. Partial Application (accepts the _ placeholder, see CURRYING below)
     static partial(fn, ...args) {
-        return (...moreArgs) => fn(...args, ...moreArgs);
+        return partial(fn, ...args);
     }
 
-    // 4. Memoization
-    static memoize(fn) {
-        const cache = new Map();
-        return (...args) => {
-            const key = JSON.stringify(args);
-            if (!cache.has(key)) {
-                cache.set(key, fn(...args));
-            }
-            return cache.get(key);
-        };
+    // 4. Memoization (see MEMOIZATION below for the options)
+    static memoize(fn, options) {
+        return memoize(fn, options);
     }
 }
 
@@ -147,20 +153,15 @@ class AdvancedFunctions {
 class FunctionPatterns {
     // 1. IIFE (Immediately Invoked Function Expression)
     static iife = (() => {
-        const private = 'I am private';
+        const privateValue = 'I am private';
         return {
-            getPrivate: () => private
+            getPrivate: () => privateValue
         };
     })();
 
-    // 2. Currying
-    static curry(fn) {
-        return function curried(...args) {
-            if (args.length >= fn.length) {
-                return fn(...args);
-            }
-            return (...moreArgs) => curried(...args, ...moreArgs);
-        };
+    // 2. Currying (pass the arity when fn.length can't tell it, e.g. rest or default params)
+    static curry(fn, arity) {
+        return curry(fn, arity);
     }
 
     // 3. Method Chaining
@@ -185,25 +186,14 @@ class FunctionPatterns {
 // ************ COMMON INTERVIEW QUESTIONS ************
 
 class InterviewQuestions {
-    // 1. Implement debounce
-    static debounce(fn, delay) {
-        let timeoutId;
-        return function (...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => fn.apply(this, args), delay);
-        };
+    // 1. Implement debounce (see SCHEDULING below for the options)
+    static debounce(fn, delay, options) {
+        return debounce(fn, delay, options);
     }
 
     // 2. Implement throttle
-    static throttle(fn, limit) {
-        let inThrottle;
-        return function (...args) {
-            if (!inThrottle) {
-                fn.apply(this, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
+    static throttle(fn, limit, options) {
+        return throttle(fn, limit, options);
     }
 
     // 3. Implement once
@@ -223,10 +213,11 @@ class InterviewQuestions {
 // ************ PRACTICAL EXERCISES ************
 
 // Exercise 1: Create a function pipeline
+// Built on Pipeline (see PIPELINES below) for async steps and stop values.
+// A failing step throws its own error, as it always has; use Pipeline directly for PipelineError
 function pipeline(...functions) {
-    return function(input) {
-        return functions.reduce((result, fn) => fn(result), input);
-    };
+    const built = Pipeline.from(functions, undefined, { wrapErrors: false });
+    return input => built.run(input);
 }
 
 // Exercise 2: Implement async retry mechanism
@@ -242,23 +233,1357 @@ async function retry(fn, attempts = 3, delay = 1000) {
 }
 
 // Exercise 3: Create an event emitter
+// Follows Node's events.EventEmitter contract so browser and server code can share it
 class EventEmitter {
+    static defaultMaxListeners = 10;
+
     constructor() {
         this.events = new Map();
+        this.maxListeners = undefined;
+        this.warned = new Set();
+    }
+
+    // 1. Adding listeners
+    on(event, listener) {
+        return this.addListenerEntry(event, listener, false);
+    }
+
+    addListener(event, listener) {
+        return this.on(event, listener);
+    }
+
+    prependListener(event, listener) {
+        return this.addListenerEntry(event, listener, true);
+    }
+
+    once(event, listener) {
+        return this.on(event, this.wrapOnce(event, listener));
+    }
+
+    prependOnceListener(event, listener) {
+        return this.prependListener(event, this.wrapOnce(event, listener));
+    }
+
+    wrapOnce(event, listener) {
+        EventEmitter.checkListener(listener);
+        const emitter = this;
+        let fired = false;
+        function wrapper(...args) {
+            if (fired) return undefined;
+            fired = true;
+            emitter.removeListener(event, wrapper);
+            return listener.apply(this, args);
+        }
+        wrapper.listener = listener;
+        return wrapper;
+    }
+
+    addListenerEntry(event, listener, prepend) {
+        EventEmitter.checkListener(listener);
+        // Announced before adding, as in Node, so a newListener handler never sees itself
+        if (this.events.has('newListener')) {
+            this.emit('newListener', event, listener.listener || listener);
+        }
+        if (!this.events.has(event)) this.events.set(event, []);
+        const listeners = this.events.get(event);
+        if (prepend) listeners.unshift(listener);
+        else listeners.push(listener);
+        this.checkLeak(event, listeners.length);
+        return this;
+    }
+
+    // 2. Removing listeners
+    off(event, listener) {
+        return this.removeListener(event, listener);
+    }
+
+    removeListener(event, listener) {
+        EventEmitter.checkListener(listener);
+        const listeners = this.events.get(event);
+        if (!listeners) return this;
+
+        // The most recently added copy goes first
+        for (let i = listeners.length - 1; i >= 0; i--) {
+            if (listeners[i] === listener || listeners[i].listener === listener) {
+                const [removed] = listeners.splice(i, 1);
+                if (listeners.length === 0) this.events.delete(event);
+                if (this.events.has('removeListener')) {
+                    this.emit('removeListener', event, removed.listener || removed);
+                }
+                break;
+            }
+        }
+        return this;
+    }
+
+    removeAllListeners(event) {
+        const events = event === undefined
+            ? this.eventNames().filter(name => name !== 'removeListener').concat(
+                this.events.has('removeListener') ? ['removeListener'] : [])
+            : [event];
+        for (const name of events) {
+            const listeners = this.events.get(name) || [];
+            for (let i = listeners.length - 1; i >= 0; i--) {
+                this.removeListener(name, listeners[i]);
+            }
+        }
+        return this;
+    }
+
+    // 3. Emitting
+    emit(event, ...args) {
+        const listeners = this.events.get(event);
+        if (!listeners || listeners.length === 0) {
+            if (event === 'error') throw EventEmitter.toUnhandledError(args[0]);
+            return false;
+        }
+        for (const listener of [...listeners]) {
+            listener.apply(this, args);
+        }
+        return true;
+    }
+
+    static toUnhandledError(reason) {
+        if (reason instanceof Error) return reason;
+        let shown;
+        try {
+            shown = typeof reason === 'string' ? `'${reason}'` : JSON.stringify(reason);
+        } catch (error) {
+            shown = String(reason);
+        }
+        const error = new Error(`Unhandled error. (${shown})`);
+        error.code = 'ERR_UNHANDLED_ERROR';
+        error.context = reason;
+        return error;
+    }
+
+    // 4. Introspection
+    listenerCount(event, listener) {
+        const listeners = this.events.get(event) || [];
+        if (listener === undefined) return listeners.length;
+        return listeners.filter(entry => entry === listener || entry.listener === listener).length;
+    }
+
+    listeners(event) {
+        return (this.events.get(event) || []).map(entry => entry.listener || entry);
+    }
+
+    rawListeners(event) {
+        return [...(this.events.get(event) || [])];
+    }
+
+    eventNames() {
+        return [...this.events.keys()];
+    }
+
+    // 5. Leak detection
+    setMaxListeners(count) {
+        if (typeof count !== 'number' || count < 0 || Number.isNaN(count)) {
+            throw new RangeError(`The value of "n" is out of range. It must be a non-negative number. Received ${count}`);
+        }
+        this.maxListeners = count;
+        return this;
+    }
+
+    getMaxListeners() {
+        return this.maxListeners === undefined ? EventEmitter.defaultMaxListeners : this.maxListeners;
+    }
+
+    checkLeak(event, count) {
+        const max = this.getMaxListeners();
+        if (max === 0 || max === Infinity || count <= max || this.warned.has(event)) return;
+        this.warned.add(event);
+
+        const warning = new Error(
+            `Possible EventEmitter memory leak detected. ${count} ${String(event)} listeners added to ` +
+            `[${this.constructor.name}]. MaxListeners is ${max}. Use emitter.setMaxListeners() to increase limit`);
+        warning.name = 'MaxListenersExceededWarning';
+        Object.assign(warning, { emitter: this, type: event, count });
+
+        if (typeof process !== 'undefined' && typeof process.emitWarning === 'function') {
+            process.emitWarning(warning);
+        } else {
+            console.warn(`${warning.name}: ${warning.message}`);
+        }
+    }
+
+    static checkListener(listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`The "listener" argument must be of type function. Received ${listener === null ? 'null' : typeof listener}`);
+        }
+    }
+
+    // 6. Async helpers (they also accept DOM-style EventTargets)
+    static subscribe(emitter, event, listener) {
+        if (typeof emitter.on === 'function' && typeof emitter.removeListener === 'function') {
+            emitter.on(event, listener);
+            return () => emitter.removeListener(event, listener);
+        }
+        if (typeof emitter.addEventListener === 'function') {
+            const handler = domEvent => listener(domEvent);
+            emitter.addEventListener(event, handler);
+            return () => emitter.removeEventListener(event, handler);
+        }
+        throw new TypeError('Expected an EventEmitter or an EventTarget');
+    }
+
+    static abortError(signal) {
+        if (signal.reason instanceof Error) return signal.reason;
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        error.code = 'ABORT_ERR';
+        return error;
+    }
+
+    // Resolves with the listener arguments of the next event; rejects on 'error'
+    static once(emitter, event, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(EventEmitter.abortError(signal));
+                return;
+            }
+            const cleanups = [];
+            const finish = (settle, value) => {
+                cleanups.forEach(cleanup => cleanup());
+                settle(value);
+            };
+
+            cleanups.push(EventEmitter.subscribe(emitter, event, (...args) => finish(resolve, args)));
+            if (event !== 'error' && typeof emitter.removeListener === 'function') {
+                cleanups.push(EventEmitter.subscribe(emitter, 'error', error => finish(reject, error)));
+            }
+            if (signal) {
+                const onAbort = () => finish(reject, EventEmitter.abortError(signal));
+                signal.addEventListener('abort', onAbort, { once: true });
+                cleanups.push(() => signal.removeEventListener('abort', onAbort));
+            }
+        });
+    }
+
+    // Async iterator over argument arrays; events arriving between reads are queued
+    static on(emitter, event, { signal } = {}) {
+        const queue = [];
+        const waiting = [];
+        let failure = null;
+        let finished = false;
+        const cleanups = [];
+
+        const close = () => {
+            if (finished) return;
+            finished = true;
+            cleanups.forEach(cleanup => cleanup());
+            for (const { resolve, reject } of waiting.splice(0)) {
+                if (failure) reject(failure);
+                else resolve({ value: undefined, done: true });
+            }
+        };
+        const fail = error => {
+            if (finished) return;
+            failure = error;
+            if (waiting.length) {
+                waiting.shift().reject(error);
+                failure = null;
+                close();
+            } else {
+                close();
+            }
+        };
+
+        cleanups.push(EventEmitter.subscribe(emitter, event, (...args) => {
+            if (waiting.length) waiting.shift().resolve({ value: args, done: false });
+            else queue.push(args);
+        }));
+        if (event !== 'error' && typeof emitter.removeListener === 'function') {
+            cleanups.push(EventEmitter.subscribe(emitter, 'error', fail));
+        }
+        if (signal) {
+            const onAbort = () => fail(EventEmitter.abortError(signal));
+            if (signal.aborted) onAbort();
+            else {
+                signal.addEventListener('abort', onAbort, { once: true });
+                cleanups.push(() => signal.removeEventListener('abort', onAbort));
+            }
+        }
+
+        return {
+            next() {
+                if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+                if (failure) {
+                    const error = failure;
+                    failure = null;
+                    return Promise.reject(error);
+                }
+                if (finished) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+            },
+            return() {
+                close();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            throw(error) {
+                fail(error);
+                return this.next();
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
+
+// ************ PIPELINES ************
+
+/*
+A pipeline runs named steps in order. It stays synchronous until a step
+returns a promise; from then on run() returns a promise.
+
+    const handle = new Pipeline('request')
+        .pipe('parse', req => JSON.parse(req.body))
+        .tap('log', body => audit.push(body))             // side effect, value passes through
+        .branch('auth', body => body.token,
+            new Pipeline('verified').pipe('lookup', lookupUser),
+            () => Pipeline.stop({ status: 401 }))         // stop: skip the remaining steps
+        .pipe('respond', async user => ({ status: 200, user }));
+
+    await handle.run(request);
+    await handle.trace(request);   // { output, stopped, steps: [{ step, input, output, durationMs, ... }] }
+
+A failing step surfaces as a PipelineError whose path names it
+("auth > lookup"); the original error is on .cause. With
+{ wrapErrors: false } the original error is thrown as is.
+*/
+
+class PipelineError extends Error {
+    constructor(pipelineName, path, index, input, cause) {
+        const reason = cause instanceof Error ? cause.message : String(cause);
+        super(`Pipeline "${pipelineName}" failed at step "${path.join(' > ')}" (#${index + 1}): ${reason}`);
+        this.name = 'PipelineError';
+        this.pipeline = pipelineName;
+        this.path = path;
+        this.step = path[path.length - 1];
+        this.index = index;
+        this.input = input;
+        this.cause = cause;
+    }
+}
+
+class PipelineStop {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+class Pipeline {
+    constructor(name = 'pipeline', { wrapErrors = true } = {}) {
+        this.name = name;
+        this.wrapErrors = wrapErrors;
+        this.steps = [];
+    }
+
+    static from(fns, name, options) {
+        return fns.reduce((built, fn) => built.pipe(fn), new Pipeline(name, options));
+    }
+
+    static stop(value) {
+        return new PipelineStop(value);
+    }
+
+    static isThenable(value) {
+        return value !== null && (typeof value === 'object' || typeof value === 'function') &&
+            typeof value.then === 'function';
+    }
+
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    // 1. Building
+    pipe(name, fn) {
+        return this.addStep('pipe', name, fn, step => input => step.fn(input));
+    }
+
+    tap(name, fn) {
+        return this.addStep('tap', name, fn, step => input => {
+            const result = step.fn(input);
+            return Pipeline.isThenable(result) ? result.then(() => input) : input;
+        });
+    }
+
+    // whenTrue and whenFalse may be functions or Pipelines; a missing whenFalse passes the value through
+    branch(name, predicate, whenTrue, whenFalse) {
+        if (typeof name === 'function') {
+            return this.branch(undefined, name, predicate, whenTrue);
+        }
+        for (const handler of [whenTrue, whenFalse]) {
+            if (handler !== undefined && typeof handler !== 'function' && !(handler instanceof Pipeline)) {
+                throw new TypeError('branch() handlers must be functions or Pipelines');
+            }
+        }
+        return this.addStep('branch', name, predicate, step => (input, record) => {
+            const choose = matched => {
+                const handler = matched ? whenTrue : whenFalse;
+                if (record) record.branch = matched ? 'true' : 'false';
+                if (handler === undefined) return input;
+                if (!(handler instanceof Pipeline)) return handler(input);
+
+                const children = record ? [] : null;
+                if (record) record.children = children;
+                const outcome = handler.drive(0, input, children);
+                const unwrap = ({ value, stopped }) => (stopped ? Pipeline.stop(value) : value);
+                return Pipeline.isThenable(outcome) ? outcome.then(unwrap) : unwrap(outcome);
+            };
+            const matched = step.fn(input);
+            return Pipeline.isThenable(matched) ? matched.then(choose) : choose(matched);
+        });
+    }
+
+    addStep(kind, name, fn, makeRun) {
+        if (typeof name === 'function') {
+            return this.addStep(kind, undefined, name, makeRun);
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`${kind}() expects a function`);
+        }
+        const step = { kind, name: name || fn.name || `step ${this.steps.length + 1}`, fn };
+        step.run = makeRun(step);
+        this.steps.push(step);
+        return this;
+    }
+
+    // 2. Running
+    run(input) {
+        const outcome = this.drive(0, input, null);
+        return Pipeline.isThenable(outcome) ? outcome.then(({ value }) => value) : outcome.value;
+    }
+
+    trace(input) {
+        const steps = [];
+        const report = ({ value, stopped }) => ({ output: value, stopped, steps });
+        const attach = error => {
+            error.trace = steps;
+            throw error;
+        };
+        try {
+            const outcome = this.drive(0, input, steps);
+            return Pipeline.isThenable(outcome) ? outcome.then(report, attach) : report(outcome);
+        } catch (error) {
+            return attach(error);
+        }
+    }
+
+    toFunction() {
+        return input => this.run(input);
+    }
+
+    drive(index, value, trace) {
+        for (let i = index; i < this.steps.length; i++) {
+            const outcome = this.runStep(this.steps[i], i, value, trace);
+            if (Pipeline.isThenable(outcome)) {
+                return outcome.then(result => (result.stopped ? result : this.drive(i + 1, result.value, trace)));
+            }
+            if (outcome.stopped) return outcome;
+            value = outcome.value;
+        }
+        return { value, stopped: false };
+    }
+
+    runStep(step, index, input, trace) {
+        const started = Pipeline.now();
+        const record = trace ? { step: step.name, kind: step.kind, input } : null;
+        if (record) trace.push(record);
+
+        const finish = output => {
+            const stopped = output instanceof PipelineStop;
+            const value = stopped ? output.value : output;
+            if (record) {
+                Object.assign(record, { output: value, status: stopped ? 'stopped' : 'ok', durationMs: Pipeline.now() - started });
+            }
+            return { value, stopped };
+        };
+        const fail = error => {
+            if (record) Object.assign(record, { status: 'error', error, durationMs: Pipeline.now() - started });
+            if (!this.wrapErrors) throw error;
+            throw error instanceof PipelineError
+                ? new PipelineError(this.name, [step.name, ...error.path], index, input, error.cause)
+                : new PipelineError(this.name, [step.name], index, input, error);
+        };
+
+        try {
+            const output = step.run(input, record);
+            return Pipeline.isThenable(output) ? output.then(finish, fail) : finish(output);
+        } catch (error) {
+            return fail(error);
+        }
+    }
+}
+
+// ************ CURRYING ************
+
+/*
+fn.length stops counting at the first default or rest parameter, so pass
+the arity explicitly when it would be wrong:
+
+    const greet = curry((greeting, name = 'you') => `${greeting}, ${name}`, 2);
+    greet('Hi')('Ada');                 // 'Hi, Ada'
+
+_ leaves a slot open for a later call:
+
+    const divide = curry((a, b) => a / b);
+    divide(_, 2)(10);                   // 5
+    partial(divide, _, 4)(8);           // 2
+    curryRight(divide)(2)(10);          // 5: argument groups fill from the right
+    partialRight(divide, 4)(8);         // 2
+
+fp holds data-last, auto-curried helpers for point-free pipelines:
+
+    const topNames = pipeline(
+        fp.filter(user => user.active),
+        fp.sortBy('score'),
+        fp.map(fp.pick(['name', 'score']))
+    );
+*/
+
+const _ = Symbol.for('functions.placeholder');
+
+// Fills earlier placeholders first, then appends what is left
+function mergeArgs(collected, incoming) {
+    const merged = [];
+    let next = 0;
+    for (const arg of collected) {
+        merged.push(arg === _ && next < incoming.length ? incoming[next++] : arg);
+    }
+    return merged.concat(incoming.slice(next));
+}
+
+function countFilled(args, arity) {
+    return args.slice(0, arity).filter(arg => arg !== _).length;
+}
+
+function createCurried(fn, arity, fromRight) {
+    if (typeof fn !== 'function') {
+        throw new TypeError('Expected a function to curry');
+    }
+    if (!Number.isInteger(arity) || arity < 0) {
+        throw new RangeError(`Arity must be a non-negative integer, got ${arity}`);
+    }
+
+    const make = collected => {
+        const curried = function (...incoming) {
+            const args = mergeArgs(collected, fromRight ? incoming.reverse() : incoming);
+            if (countFilled(args, arity) < arity) return make(args);
+            return fn.apply(this, fromRight ? args.reverse() : args);
+        };
+        Object.defineProperty(curried, 'length', { value: arity - countFilled(collected, arity) });
+        return curried;
+    };
+    return make([]);
+}
+
+function curry(fn, arity = fn.length) {
+    return createCurried(fn, arity, false);
+}
+
+function curryRight(fn, arity = fn.length) {
+    return createCurried(fn, arity, true);
+}
+
+function partial(fn, ...preset) {
+    return function (...rest) {
+        return fn.apply(this, mergeArgs(preset, rest));
+    };
+}
+
+// Leading call arguments go first; the last ones fill the placeholders in preset
+function partialRight(fn, ...preset) {
+    const holes = preset.filter(arg => arg === _).length;
+    return function (...rest) {
+        const leading = rest.slice(0, Math.max(0, rest.length - holes));
+        const filling = rest.slice(leading.length);
+        return fn.apply(this, [...leading, ...mergeArgs(preset, filling)]);
+    };
+}
+
+function toList(list) {
+    if (Array.isArray(list)) return list;
+    if (list !== null && list !== undefined && typeof list[Symbol.iterator] === 'function') return Array.from(list);
+    throw new TypeError(`Expected an array or iterable, got ${list === null ? 'null' : typeof list}`);
+}
+
+function compareKeys(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const fp = Object.freeze({
+    map: curry((fn, list) => toList(list).map((item, index) => fn(item, index))),
+    filter: curry((predicate, list) => toList(list).filter((item, index) => predicate(item, index))),
+    reduce: curry((reducer, initial, list) =>
+        toList(list).reduce((acc, item, index) => reducer(acc, item, index), initial)),
+    prop: curry((key, obj) => (obj === null || obj === undefined ? undefined : obj[key])),
+    pick: curry((keys, obj) => Object.fromEntries(keys
+        .filter(key => obj !== null && obj !== undefined && Object.prototype.hasOwnProperty.call(obj, key))
+        .map(key => [key, obj[key]]))),
+    omit: curry((keys, obj) => {
+        const dropped = new Set(keys);
+        return Object.fromEntries(Object.entries(obj || {}).filter(([key]) => !dropped.has(key)));
+    }),
+    // Stable; `by` is a key function or a property name; null and undefined sort last
+    sortBy: curry((by, list) => {
+        const keyOf = typeof by === 'function' ? by : item => (item === null || item === undefined ? undefined : item[by]);
+        return toList(list)
+            .map((item, index) => ({ item, index, key: keyOf(item) }))
+            .sort((a, b) => compareKeys(a.key, b.key) || a.index - b.index)
+            .map(({ item }) => item);
+    })
+});
+
+// ************ SCHEDULING ************
+
+/*
+One debounce/throttle implementation for the whole repo.
+
+    const save = debounce(persist, 300, { maxWait: 2000 });
+    const onScroll = throttle(update, 100);   // leading and trailing by default
+    const onMove = frameThrottle(draw);       // at most once per animation frame
+
+    save.pending();   // a call is waiting
+    save.flush();     // run it now and return the result
+    save.cancel();    // drop it
+
+Options: leading (run on the first call), trailing (run after calls stop,
+with the latest arguments), maxWait (the longest a call may be deferred).
+Throttle is a debounce whose maxWait equals its wait.
+
+Pass a clock to control time. ManualClock makes tests deterministic:
+
+    const clock = new ManualClock();
+    const spy = debounce(fn, 100, { clock });
+    spy(); clock.tick(99);   // not yet
+    clock.tick(1);           // fn runs
+*/
+
+const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: id => clearTimeout(id),
+    requestAnimationFrame: fn => (typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame(fn)
+        : setTimeout(() => fn(Date.now()), 16)),
+    cancelAnimationFrame: id => (typeof cancelAnimationFrame === 'function'
+        ? cancelAnimationFrame(id)
+        : clearTimeout(id))
+});
+
+class ManualClock {
+    constructor(start = 0) {
+        this.time = start;
+        this.timers = new Map();
+        this.frames = new Map();
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, ms = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { fn, at: this.time + Math.max(0, ms) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    requestAnimationFrame(fn) {
+        const id = this.nextId++;
+        this.frames.set(id, fn);
+        return id;
     }
 
-    on(event, callback) {
-        if (!this.events.has(event)) {
-            this.events.set(event, []);
+    cancelAnimationFrame(id) {
+        this.frames.delete(id);
+    }
+
+    // Advances time, running due timers in order (including ones they schedule)
+    tick(ms) {
+        const target = this.time + ms;
+        for (;;) {
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at <= target && (!next || timer.at < next[1].at)) next = [id, timer];
+            }
+            if (!next) break;
+            this.timers.delete(next[0]);
+            this.time = next[1].at;
+            next[1].fn();
         }
-        this.events.get(event).push(callback);
+        this.time = target;
+        return this;
     }
 
-    emit(event, data) {
-        if (this.events.has(event)) {
-            this.events.get(event).forEach(callback => callback(data));
+    // Runs the callbacks queued for the next animation frame
+    frame() {
+        const callbacks = [...this.frames.values()];
+        this.frames.clear();
+        callbacks.forEach(fn => fn(this.time));
+        return this;
+    }
+}
+
+function debounce(fn, wait = 0, { leading = false, trailing = true, maxWait, clock = systemClock } = {}) {
+    if (typeof fn !== 'function') {
+        throw new TypeError('debounce expects a function');
+    }
+    const maxing = maxWait !== undefined;
+    const maxDelay = maxing ? Math.max(maxWait, wait) : undefined;
+
+    let lastArgs;
+    let lastThis;
+    let lastCallTime;
+    let lastInvokeTime = 0;
+    let timerId;
+    let result;
+
+    const invoke = time => {
+        const args = lastArgs;
+        const thisArg = lastThis;
+        lastArgs = lastThis = undefined;
+        lastInvokeTime = time;
+        result = fn.apply(thisArg, args);
+        return result;
+    };
+
+    const remainingWait = time => {
+        const waiting = wait - (time - lastCallTime);
+        return maxing ? Math.min(waiting, maxDelay - (time - lastInvokeTime)) : waiting;
+    };
+
+    const shouldInvoke = time => {
+        if (lastCallTime === undefined) return true;
+        const sinceCall = time - lastCallTime;
+        // A clock that went backwards counts as a fresh start
+        return sinceCall >= wait || sinceCall < 0 || (maxing && time - lastInvokeTime >= maxDelay);
+    };
+
+    const trailingEdge = time => {
+        timerId = undefined;
+        if (trailing && lastArgs) return invoke(time);
+        lastArgs = lastThis = undefined;
+        return result;
+    };
+
+    const timerExpired = () => {
+        const time = clock.now();
+        if (shouldInvoke(time)) {
+            trailingEdge(time);
+            return;
+        }
+        timerId = clock.setTimeout(timerExpired, remainingWait(time));
+    };
+
+    const leadingEdge = time => {
+        lastInvokeTime = time;
+        timerId = clock.setTimeout(timerExpired, wait);
+        return leading ? invoke(time) : result;
+    };
+
+    function debounced(...args) {
+        const time = clock.now();
+        const invoking = shouldInvoke(time);
+        lastArgs = args;
+        lastThis = this;
+        lastCallTime = time;
+
+        if (invoking) {
+            if (timerId === undefined) return leadingEdge(time);
+            if (maxing) {
+                clock.clearTimeout(timerId);
+                timerId = clock.setTimeout(timerExpired, wait);
+                return invoke(time);
+            }
         }
+        if (timerId === undefined) timerId = clock.setTimeout(timerExpired, wait);
+        return result;
     }
+
+    debounced.cancel = () => {
+        if (timerId !== undefined) clock.clearTimeout(timerId);
+        lastInvokeTime = 0;
+        lastArgs = lastCallTime = lastThis = timerId = undefined;
+    };
+    debounced.flush = () => (timerId === undefined ? result : trailingEdge(clock.now()));
+    debounced.pending = () => timerId !== undefined;
+    return debounced;
+}
+
+function throttle(fn, wait = 0, { leading = true, trailing = true, clock = systemClock } = {}) {
+    return debounce(fn, wait, { leading, trailing, maxWait: wait, clock });
+}
+
+// Runs at most once per animation frame with the latest arguments
+function frameThrottle(fn, { clock = systemClock } = {}) {
+    let frameId;
+    let lastArgs;
+    let lastThis;
+    let result;
+
+    const run = () => {
+        frameId = undefined;
+        const args = lastArgs;
+        const thisArg = lastThis;
+        lastArgs = lastThis = undefined;
+        result = fn.apply(thisArg, args);
+        return result;
+    };
+
+    function throttled(...args) {
+        lastArgs = args;
+        lastThis = this;
+        if (frameId === undefined) frameId = clock.requestAnimationFrame(run);
+        return result;
+    }
+
+    throttled.cancel = () => {
+        if (frameId !== undefined) clock.cancelAnimationFrame(frameId);
+        frameId = lastArgs = lastThis = undefined;
+    };
+    throttled.flush = () => {
+        if (frameId === undefined) return result;
+        clock.cancelAnimationFrame(frameId);
+        return run();
+    };
+    throttled.pending = () => frameId !== undefined;
+    return throttled;
+}
+
+// ************ CALL TRACING ************
+
+/*
+ThisContextExamples shows how `this` binds on paper. CallTracer shows it on
+a live call graph:
+
+    const tracer = new CallTracer();
+    const TracedCart = tracer.wrapClass(Cart);      // prototype and static methods
+    tracer.wrapMethods(api, { label: 'api' });      // methods on one object
+    const load = tracer.wrap(loadOrders);           // a single function
+
+    await load(42);
+    console.log(tracer.toText());
+    // loadOrders(42) [this: undefined] → await [Order {…}, Order {…}]  3.20ms async
+    //   api.fetch("/orders/42") [this: Object] → await { items: […] }  2.90ms async
+    //     Cart#add(Order {…}) [this: Cart] → 1  0.02ms
+
+    tracer.restore();                                // put the originals back
+
+In Node, AsyncLocalStorage keeps calls after an await attached to the right
+parent. Elsewhere a plain call stack is used, so a call made after an await
+is recorded at the top level instead of under its caller.
+*/
+
+class CallTracer {
+    constructor({
+        now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now()),
+        maxCalls = 10000,
+        previewLength = 80
+    } = {}) {
+        this.now = now;
+        this.maxCalls = maxCalls;
+        this.previewLength = previewLength;
+        this.roots = [];
+        this.count = 0;
+        this.dropped = 0;
+        this.nextId = 1;
+        this.restorers = [];
+        this.storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+        this.stack = [];
+    }
+
+    // 1. Wrapping
+    wrap(fn, name = fn.name || 'anonymous') {
+        if (typeof fn !== 'function') {
+            throw new TypeError('CallTracer.wrap expects a function');
+        }
+        const tracer = this;
+        return new Proxy(fn, {
+            apply(target, thisArg, args) {
+                return tracer.invoke(name, CallTracer.describeThis(thisArg), args,
+                    () => Reflect.apply(target, thisArg, args));
+            },
+            construct(target, args, newTarget) {
+                return tracer.invoke(`new ${name}`, 'new instance', args,
+                    () => Reflect.construct(target, args, newTarget));
+            }
+        });
+    }
+
+    // Wraps every method reachable from obj (up to Object.prototype) as an own property
+    wrapMethods(obj, { label = CallTracer.labelFor(obj), methods } = {}) {
+        const names = methods || CallTracer.methodNames(obj);
+        for (const name of names) {
+            const original = obj[name];
+            if (typeof original !== 'function') continue;
+            const ownDescriptor = Object.getOwnPropertyDescriptor(obj, name);
+            Object.defineProperty(obj, name, {
+                value: this.wrap(original, `${label}.${String(name)}`),
+                writable: true,
+                configurable: true,
+                enumerable: ownDescriptor ? ownDescriptor.enumerable : false
+            });
+            this.restorers.push(() => {
+                if (ownDescriptor) Object.defineProperty(obj, name, ownDescriptor);
+                else delete obj[name];
+            });
+        }
+        return obj;
+    }
+
+    // Patches prototype and static methods in place; the returned class also traces `new`
+    wrapClass(Class) {
+        const patch = (target, name, label) => {
+            const descriptor = Object.getOwnPropertyDescriptor(target, name);
+            const traced = { ...descriptor };
+            if (typeof descriptor.value === 'function') {
+                traced.value = this.wrap(descriptor.value, label);
+            } else if (descriptor.get || descriptor.set) {
+                if (descriptor.get) traced.get = this.wrap(descriptor.get, `get ${label}`);
+                if (descriptor.set) traced.set = this.wrap(descriptor.set, `set ${label}`);
+            } else {
+                return;
+            }
+            if (!descriptor.configurable) return;
+            Object.defineProperty(target, name, traced);
+            this.restorers.push(() => Object.defineProperty(target, name, descriptor));
+        };
+
+        for (const name of Reflect.ownKeys(Class.prototype)) {
+            if (name !== 'constructor') patch(Class.prototype, name, `${Class.name}#${String(name)}`);
+        }
+        for (const name of Reflect.ownKeys(Class)) {
+            if (!['length', 'name', 'prototype'].includes(name)) patch(Class, name, `${Class.name}.${String(name)}`);
+        }
+        return this.wrap(Class, Class.name);
+    }
+
+    restore() {
+        while (this.restorers.length) this.restorers.pop()();
+        return this;
+    }
+
+    clear() {
+        this.roots = [];
+        this.count = 0;
+        this.dropped = 0;
+        return this;
+    }
+
+    // 2. Recording
+    current() {
+        return this.storage ? this.storage.getStore() : this.stack[this.stack.length - 1];
+    }
+
+    invoke(name, thisType, args, call) {
+        if (this.count >= this.maxCalls) {
+            this.dropped++;
+            return call();
+        }
+        this.count++;
+
+        const parent = this.current();
+        const node = {
+            id: this.nextId++,
+            name,
+            thisType,
+            args: args.map(arg => this.preview(arg)),
+            status: 'running',
+            async: false,
+            start: this.now(),
+            end: null,
+            durationMs: null,
+            children: []
+        };
+        (parent ? parent.children : this.roots).push(node);
+
+        const settle = (status, key, value) => {
+            node.status = status;
+            node[key] = key === 'error' ? CallTracer.describeError(value) : this.preview(value);
+            node.end = this.now();
+            node.durationMs = node.end - node.start;
+        };
+
+        let result;
+        try {
+            if (this.storage) {
+                result = this.storage.run(node, call);
+            } else {
+                this.stack.push(node);
+                try {
+                    result = call();
+                } finally {
+                    this.stack.pop();
+                }
+            }
+        } catch (error) {
+            settle('threw', 'error', error);
+            throw error;
+        }
+
+        if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+            node.async = true;
+            node.status = 'pending';
+            // The caller gets the chained promise, so a rejection nobody handles
+            // still reaches unhandledRejection instead of being swallowed here
+            return result.then(value => {
+                settle('resolved', 'result', value);
+                return value;
+            }, error => {
+                settle('rejected', 'error', error);
+                throw error;
+            });
+        }
+        settle('returned', 'result', result);
+        return result;
+    }
+
+    // 3. Output
+    toJSON() {
+        const strip = ({ children, ...node }) => ({ ...node, children: children.map(strip) });
+        return { calls: this.roots.map(strip), dropped: this.dropped };
+    }
+
+    toText() {
+        const lines = [];
+        const walk = (node, depth) => {
+            lines.push('  '.repeat(depth) + CallTracer.formatNode(node));
+            node.children.forEach(child => walk(child, depth + 1));
+        };
+        this.roots.forEach(root => walk(root, 0));
+        if (this.dropped) lines.push(`… ${this.dropped} more calls not recorded (maxCalls ${this.maxCalls})`);
+        return lines.join('\n');
+    }
+
+    static formatNode(node) {
+        const head = `${node.name}(${node.args.join(', ')}) [this: ${node.thisType}]`;
+        const outcome = {
+            returned: () => ` → ${node.result}`,
+            resolved: () => ` → await ${node.result}`,
+            threw: () => ` ✗ threw ${node.error}`,
+            rejected: () => ` ✗ rejected ${node.error}`,
+            pending: () => ' … pending',
+            running: () => ' … running'
+        }[node.status]();
+        const timing = node.durationMs === null ? '' : `  ${node.durationMs.toFixed(2)}ms`;
+        return `${head}${outcome}${timing}${node.async ? ' async' : ''}`;
+    }
+
+    // 4. Describing values without running user code (getters are not called)
+    static describeThis(thisArg) {
+        if (thisArg === undefined) return 'undefined';
+        if (thisArg === null) return 'null';
+        if (thisArg === globalThis) return 'globalThis';
+        if (typeof thisArg === 'function') {
+            return `${TypeClassifier.isClass(thisArg) ? 'class' : 'function'} ${thisArg.name || 'anonymous'}`;
+        }
+        if (typeof thisArg !== 'object') return typeof thisArg;
+        return CallTracer.labelFor(thisArg);
+    }
+
+    static labelFor(obj) {
+        const proto = Object.getPrototypeOf(obj);
+        if (proto === null) return 'Object (null prototype)';
+        const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') ? proto.constructor : null;
+        return (typeof ctor === 'function' && ctor.name) || 'Object';
+    }
+
+    static methodNames(obj) {
+        const names = new Set();
+        for (let proto = obj; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            for (const name of Reflect.ownKeys(proto)) {
+                const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+                if (name !== 'constructor' && typeof descriptor.value === 'function') names.add(name);
+            }
+        }
+        return [...names];
+    }
+
+    static describeError(error) {
+        return error instanceof Error ? `${error.name}: ${error.message}` : `${typeof error} ${String(error)}`;
+    }
+
+    preview(value, depth = 0) {
+        const text = CallTracer.previewValue(value, depth);
+        return text.length > this.previewLength ? `${text.slice(0, this.previewLength - 1)}…` : text;
+    }
+
+    static previewValue(value, depth = 0) {
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (value === null || typeof value !== 'object') return String(value);
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (typeof value.then === 'function') return 'Promise';
+
+        if (Array.isArray(value)) {
+            if (depth > 0) return value.length ? '[…]' : '[]';
+            return `[${value.slice(0, 5).map(item => CallTracer.previewValue(item, depth + 1)).join(', ')}${value.length > 5 ? ', …' : ''}]`;
+        }
+        const label = CallTracer.labelFor(value);
+        const prefix = label === 'Object' ? '' : `${label} `;
+        const keys = Object.keys(value);
+        if (keys.length === 0) return `${prefix}{}`;
+        if (depth > 0) return `${prefix}{…}`;
+        const entries = keys.slice(0, 5).map(key => {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            const shown = 'value' in descriptor ? CallTracer.previewValue(descriptor.value, depth + 1) : '[Getter]';
+            return `${key}: ${shown}`;
+        });
+        return `${prefix}{ ${entries.join(', ')}${keys.length > 5 ? ', …' : ''} }`;
+    }
+}
+
+// ************ MEMOIZATION ************
+
+/*
+JSON.stringify(args) is a poor cache key: {a: 1} from two different places
+collides, functions and undefined vanish, and the cache never shrinks.
+
+    const getUser = memoize(fetchUser, {
+        maxSize: 500,          // least recently used entries go first
+        ttl: 60000,            // ms until an entry is stale
+        key: id => String(id)  // optional custom key resolver
+    });
+
+    getUser(1); getUser(1);    // one fetch; concurrent calls share the promise
+    getUser.invalidate(1);
+    getUser.stats();           // { hits, misses, evictions, size, hitRate }
+
+By default arguments are looked up in a trie, one level per argument:
+primitives by value, objects and symbols by identity through WeakMaps. A
+result cached for an object argument goes away once that object is
+collected. Rejected promises are evicted, so the next call retries. Pass
+cacheRejections: true to keep them. The key ignores `this`.
+*/
+
+const MINUS_ZERO = Symbol('-0'); // Map keys treat 0 and -0 alike
+const weakSymbols = (() => {
+    try {
+        new WeakMap().set(Symbol('probe'), true);
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+class MemoTrie {
+    constructor() {
+        this.root = MemoTrie.createNode(null, undefined, false);
+        // A collected argument takes its branch along; only the parent's count needs fixing
+        this.registry = typeof FinalizationRegistry === 'function'
+            ? new FinalizationRegistry(parent => {
+                parent.children--;
+                this.prune(parent);
+            })
+            : null;
+    }
+
+    static createNode(parent, key, weak) {
+        return {
+            parent,
+            key: weak ? new WeakRef(key) : key,
+            weak,
+            primitives: new Map(),
+            objects: new WeakMap(),
+            children: 0,
+            entry: null,
+            detached: false
+        };
+    }
+
+    // Registered symbols (Symbol.for) live forever, so they are keyed by value
+    static isWeak(arg) {
+        if (typeof arg === 'symbol') return weakSymbols && Symbol.keyFor(arg) === undefined;
+        return (typeof arg === 'object' && arg !== null) || typeof arg === 'function';
+    }
+
+    // f(1) and f(1, undefined) end on different nodes
+    find(args, create = false) {
+        let node = this.root;
+        for (const arg of args) {
+            const weak = MemoTrie.isWeak(arg);
+            const key = Object.is(arg, -0) ? MINUS_ZERO : arg;
+            const branches = weak ? node.objects : node.primitives;
+            let child = branches.get(key);
+            if (!child) {
+                if (!create) return null;
+                child = MemoTrie.createNode(node, key, weak);
+                branches.set(key, child);
+                node.children++;
+                if (weak && this.registry) this.registry.register(arg, node, child);
+            }
+            node = child;
+        }
+        return node;
+    }
+
+    // Detaches nodes that hold nothing, from the leaf up
+    prune(node) {
+        while (node.parent && !node.detached && node.entry === null && node.children === 0) {
+            const { parent } = node;
+            if (node.weak) {
+                const key = node.key.deref();
+                if (key !== undefined) parent.objects.delete(key);
+                if (this.registry) this.registry.unregister(node);
+            } else {
+                parent.primitives.delete(node.key);
+            }
+            node.detached = true;
+            parent.children--;
+            node = parent;
+        }
+    }
+}
+
+function memoize(fn, {
+    key,
+    maxSize = Infinity,
+    ttl = Infinity,
+    cacheRejections = false,
+    now = Date.now
+} = {}) {
+    if (typeof fn !== 'function') {
+        throw new TypeError('memoize expects a function');
+    }
+    if (!(maxSize === Infinity || (Number.isInteger(maxSize) && maxSize > 0))) {
+        throw new RangeError('maxSize must be a positive integer');
+    }
+    if (!(ttl === Infinity || ttl > 0)) {
+        throw new RangeError('ttl must be a positive number of milliseconds');
+    }
+
+    // Results live on slots: trie nodes by default, or one slot per custom key
+    const trie = key === undefined ? new MemoTrie() : null;
+    const slots = new Map();
+    // Set order doubles as recency order: hits move to the end. Handles reach
+    // trie nodes through a WeakRef, so they never keep an argument's branch alive
+    const recency = new Set();
+    const counters = { hits: 0, misses: 0, evictions: 0 };
+    const registry = trie && typeof FinalizationRegistry === 'function'
+        ? new FinalizationRegistry(handle => recency.delete(handle))
+        : null;
+
+    const find = (args, create) => {
+        if (trie) return trie.find(args, create);
+        const cacheKey = key(...args);
+        if (create && !slots.has(cacheKey)) slots.set(cacheKey, { cacheKey, entry: null, detached: false });
+        return slots.get(cacheKey) || null;
+    };
+
+    const slotOf = handle => (handle.ref ? handle.ref.deref() : handle.slot);
+
+    const release = slot => {
+        if (slot.entry !== null) return;
+        if (trie) {
+            trie.prune(slot);
+        } else if (!slot.detached) {
+            slots.delete(slot.cacheKey);
+            slot.detached = true;
+        }
+    };
+
+    const unlink = slot => {
+        recency.delete(slot.entry.handle);
+        if (registry) registry.unregister(slot.entry.handle);
+        slot.entry = null;
+    };
+
+    const remove = slot => {
+        if (!slot || slot.entry === null) return false;
+        unlink(slot);
+        release(slot);
+        return true;
+    };
+
+    const lookup = (slot, touch = true) => {
+        const entry = slot && slot.entry;
+        if (!entry) return undefined;
+        if (entry.expires <= now()) {
+            remove(slot);
+            return undefined;
+        }
+        if (touch) {
+            recency.delete(entry.handle);
+            recency.add(entry.handle);
+        }
+        return entry;
+    };
+
+    const store = (slot, args, value) => {
+        if (slot.entry) unlink(slot);
+        const weakArgs = trie ? args.filter(MemoTrie.isWeak) : [];
+        const handle = weakArgs.length ? { ref: new WeakRef(slot) } : { slot };
+        const entry = { value, expires: ttl === Infinity ? Infinity : now() + ttl, handle };
+        slot.entry = entry;
+        recency.add(handle);
+        if (registry) weakArgs.forEach(arg => registry.register(arg, handle, handle));
+
+        while (recency.size > maxSize) {
+            const oldest = recency.values().next().value;
+            const victim = slotOf(oldest);
+            if (victim && victim.entry && victim.entry.handle === oldest) {
+                remove(victim);
+                counters.evictions++;
+            } else {
+                recency.delete(oldest); // its argument was already collected
+            }
+        }
+        return entry;
+    };
+
+    function memoized(...args) {
+        let slot = find(args, true);
+        const hit = lookup(slot);
+        if (hit) {
+            counters.hits++;
+            return hit.value;
+        }
+
+        counters.misses++;
+        let value;
+        try {
+            value = fn.apply(this, args);
+        } catch (error) {
+            release(slot);
+            throw error;
+        }
+        // A re-entrant call may have stored and evicted this slot meanwhile
+        if (slot.detached) slot = find(args, true);
+        const entry = store(slot, args, value);
+
+        if (!cacheRejections && value && typeof value.then === 'function') {
+            value.then(undefined, () => {
+                // Only evict our own entry; a newer call may have replaced it
+                const owner = slotOf(entry.handle);
+                if (owner && owner.entry === entry) remove(owner);
+            });
+        }
+        return value;
+    }
+
+    memoized.has = (...args) => lookup(find(args, false), false) !== undefined;
+    memoized.invalidate = (...args) => remove(find(args, false));
+    memoized.clear = () => {
+        [...recency].forEach(handle => remove(slotOf(handle)));
+        recency.clear();
+    };
+    memoized.stats = () => {
+        const lookups = counters.hits + counters.misses;
+        return { ...counters, size: recency.size, hitRate: lookups ? counters.hits / lookups : 0 };
+    };
+    return memoized;
 }
 
 // ************ CONCLUSION ************
@@ -294,6 +1619,21 @@ if (typeof module !== 'undefined') {
         InterviewQuestions,
         pipeline,
         retry,
-        EventEmitter
+        EventEmitter,
+        memoize,
+        Pipeline,
+        PipelineError,
+        curry,
+        curryRight,
+        partial,
+        partialRight,
+        _,
+        fp,
+        debounce,
+        throttle,
+        frameThrottle,
+        ManualClock,
+        systemClock,
+        CallTracer
     };
 } 
\ No newline at end of file
@@ -257,19 +257,9 @@ class DesignPatterns {
 // ************ COMMON INTERVIEW QUESTIONS ************
 
 class InterviewQuestions {
-    // 1. Implement deep clone
-    static deepClone(obj, hash = new WeakMap()) {
-        if (Object(obj) !== obj) return obj; // primitives
-        if (hash.has(obj)) return hash.get(obj); // cyclic reference
-        
-        const result = Array.isArray(obj) ? [] : {};
-        hash.set(obj, result);
-        
-        Object.entries(obj).forEach(([key, value]) => {
-            result[key] = this.deepClone(value, hash);
-        });
-        
-        return result;
+    // 1. Implement deep clone (see DEEP CLONING for the options)
+    static deepClone(obj, options) {
+        return DeepClone.clone(obj, options);
     }
 
     // 2. Implement inheritance
@@ -303,17 +293,23 @@ class InterviewQuestions {
 
 // Exercise 1: Create an object pool
 class ObjectPool {
-    constructor(createFn, initialSize = 5) {
-        this.createFn = createFn;
-        this.pool = Array(initialSize).fill().map(() => createFn());
+    constructor(createFn, initialSize = 5, { max = Infinity, acquireTimeout = Infinity } = {}) {
+        this.pool = new ResourcePool({ create: createFn, min: initialSize, max, acquireTimeout, idleTimeout: Infinity });
+    }
+
+    // Waits for a free object once max are out; rejects with a PoolError on timeout
+    acquire({ timeout, signal } = {}) {
+        return this.pool.acquire({ timeout, signal });
     }
 
-    acquire() {
-        return this.pool.pop() || this.createFn();
+    // Synchronous: null once max objects are out
+    tryAcquire() {
+        return this.pool.tryAcquire();
     }
 
+    // Throws a PoolError for foreign objects and double releases
     release(obj) {
-        this.pool.push(obj);
+        this.pool.release(obj);
     }
 }
 
@@ -349,11 +345,1572 @@ function createValidatedObject(schema) {
                 }
                 throw new Error(`Invalid value for ${prop}`);
             }
-            return false;
+            // Returning false would only surface as a vague TypeError in strict mode
+            throw new TypeError(`Unknown property ${String(prop)}`);
         }
     });
 }
 
+// ************ DEEP CLONING ************
+
+/*
+DeepClone copies everything structuredClone can (primitives' wrapper
+objects, Date, RegExp, Map, Set, ArrayBuffer, typed arrays, DataView,
+Error, arrays with holes, cycles and shared references) and goes further:
+
+    DeepClone.clone(value);                          // keeps prototypes and symbol keys
+    DeepClone.clone(value, { prototypes: false });   // plain data, like structuredClone
+    DeepClone.clone(value, { descriptors: true });   // getters, non-enumerables, frozen state
+    DeepClone.clone(value, { depth: 1 });            // shallow: children are shared
+    DeepClone.clone(user, { filter: (value, key) => key !== 'password' });
+
+Functions are shared, not copied. WeakMap, WeakSet, WeakRef and Promise
+cannot be copied and throw a DataCloneError, as structuredClone does.
+Instances whose state lives in #private fields or closures should define a
+hook that rebuilds them:
+
+    class Account {
+        #balance;
+        [Symbol.for('clone')](clone) {
+            return new Account(clone(this.owner), this.#balance);
+        }
+    }
+
+If the children can lead back to the instance, hand the copy to the
+hook's second argument before cloning them, so the cycle resolves to it:
+
+    [Symbol.for('clone')](clone, adopt) {
+        const copy = adopt(new Account(null, this.#balance));
+        copy.owner = clone(this.owner);
+        return copy;
+    }
+*/
+
+const CLONE = Symbol.for('clone');
+
+class DataCloneError extends Error {
+    constructor(value) {
+        super(`${Object.prototype.toString.call(value)} could not be cloned`);
+        this.name = 'DataCloneError';
+        this.value = value;
+    }
+}
+
+class DeepClone {
+    static clone(value, { prototypes = true, descriptors = false, depth = Infinity, filter = null } = {}) {
+        const state = { prototypes, descriptors, depth, filter, seen: new Map() };
+        return DeepClone.copy(value, state, 0);
+    }
+
+    static copy(value, state, level) {
+        if (Object(value) !== value || typeof value === 'function') return value;
+        if (level >= state.depth) return value;
+        if (state.seen.has(value)) return state.seen.get(value);
+
+        if (typeof value[CLONE] === 'function') {
+            const adopt = copy => {
+                state.seen.set(value, copy);
+                return copy;
+            };
+            const result = value[CLONE](child => DeepClone.copy(child, state, level + 1), adopt);
+            // A cycle that came back here before adopt() ran cloned the value again;
+            // keep that copy so every reference in the graph agrees
+            if (state.seen.has(value)) return state.seen.get(value);
+            return adopt(result);
+        }
+
+        const target = DeepClone.createTarget(value, state, level);
+        // Registered before the contents so cycles resolve to the copy
+        state.seen.set(value, target);
+        if (target === value) return target;
+        DeepClone.copyContents(value, target, state, level);
+        return target;
+    }
+
+    // 1. Creating the empty copy for each kind of value
+    static createTarget(value, state, level) {
+        const uncloneable = ['WeakMap', 'WeakSet', 'WeakRef', 'Promise']
+            .some(name => typeof globalThis[name] === 'function' && value instanceof globalThis[name]);
+        if (uncloneable) throw new DataCloneError(value);
+
+        let target;
+        if (typeof SharedArrayBuffer === 'function' && value instanceof SharedArrayBuffer) {
+            return value; // shared memory is meant to be shared
+        } else if (typeof Blob === 'function' && value instanceof Blob) {
+            return value; // immutable
+        } else if (value instanceof ArrayBuffer) {
+            target = value.slice(0);
+        } else if (ArrayBuffer.isView(value)) {
+            // Views over one buffer keep sharing the (copied) buffer
+            const buffer = DeepClone.copy(value.buffer, { ...state, depth: Infinity }, level + 1);
+            target = value instanceof DataView
+                ? new DataView(buffer, value.byteOffset, value.byteLength)
+                : new globalThis[value[Symbol.toStringTag]](buffer, value.byteOffset, value.length);
+        } else if (value instanceof Date) {
+            target = new Date(value.getTime());
+        } else if (value instanceof RegExp) {
+            target = new RegExp(value.source, value.flags);
+            target.lastIndex = value.lastIndex;
+        } else if (value instanceof Boolean || value instanceof Number || value instanceof String ||
+            (typeof BigInt === 'function' && value instanceof BigInt)) {
+            target = Object(value.valueOf());
+        } else if (value instanceof Map) {
+            target = new Map();
+        } else if (value instanceof Set) {
+            target = new Set();
+        } else if (Array.isArray(value)) {
+            target = new Array(value.length);
+        } else if (value instanceof Error) {
+            target = Object.create(Error.prototype);
+            for (const key of ['message', 'stack', 'cause']) {
+                if (Object.prototype.hasOwnProperty.call(value, key)) {
+                    Object.defineProperty(target, key, {
+                        value: DeepClone.copy(value[key], state, level + 1),
+                        writable: true,
+                        configurable: true,
+                        enumerable: false
+                    });
+                }
+            }
+            if (!state.prototypes && value.name !== 'Error') {
+                Object.defineProperty(target, 'name', { value: value.name, writable: true, configurable: true });
+            }
+        } else {
+            target = {};
+        }
+
+        const proto = Object.getPrototypeOf(value);
+        if (state.prototypes && Object.getPrototypeOf(target) !== proto) {
+            Object.setPrototypeOf(target, proto);
+        }
+        return target;
+    }
+
+    // 2. Copying entries and own properties
+    static copyContents(value, target, state, level) {
+        const include = (item, key) => !state.filter || state.filter(item, key, value) !== false;
+
+        if (value instanceof Map) {
+            value.forEach((item, key) => {
+                if (include(item, key)) {
+                    target.set(DeepClone.copy(key, state, level + 1), DeepClone.copy(item, state, level + 1));
+                }
+            });
+        } else if (value instanceof Set) {
+            value.forEach(item => {
+                if (include(item, item)) target.add(DeepClone.copy(item, state, level + 1));
+            });
+        } else if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+            return; // binary contents were copied with the buffer
+        }
+
+        // These already exist on the target; String's are read-only
+        const skip = Array.isArray(value) ? ['length']
+            : value instanceof Error ? ['message', 'stack', 'cause']
+                : value instanceof String ? ['length', ...Object.keys(value.valueOf().split(''))]
+                    : [];
+        DeepClone.copyProperties(value, target, state, level, skip, include);
+    }
+
+    static copyProperties(source, target, state, level, skip, include) {
+        for (const key of Reflect.ownKeys(source)) {
+            if (skip.includes(key)) continue;
+            const descriptor = Object.getOwnPropertyDescriptor(source, key);
+            if (!state.descriptors && !descriptor.enumerable) continue;
+
+            if (state.descriptors) {
+                if (!include('value' in descriptor ? descriptor.value : undefined, key)) continue;
+                if ('value' in descriptor) descriptor.value = DeepClone.copy(descriptor.value, state, level + 1);
+                Object.defineProperty(target, key, descriptor);
+            } else {
+                const item = source[key];
+                if (!include(item, key)) continue;
+                // defineProperty, not assignment: setters on the prototype must not run
+                Object.defineProperty(target, key, {
+                    value: DeepClone.copy(item, state, level + 1),
+                    writable: true,
+                    enumerable: true,
+                    configurable: true
+                });
+            }
+        }
+
+        if (state.descriptors) {
+            if (Object.isFrozen(source)) Object.freeze(target);
+            else if (Object.isSealed(source)) Object.seal(target);
+            else if (!Object.isExtensible(source)) Object.preventExtensions(target);
+        }
+    }
+}
+
+// ************ JSON PATCH ************
+
+/*
+JsonPatch compares two JSON documents and turns the difference into
+RFC 6902 operations that can be stored (audit trails), sent (form sync) or
+undone:
+
+    const before = { name: 'Ada', tags: ['a', 'b', 'c'] };
+    const after = { name: 'Ada L.', tags: ['c', 'a', 'b'] };
+
+    const patch = JsonPatch.diff(before, after);
+    // [{ op: 'replace', path: '/name', value: 'Ada L.' },
+    //  { op: 'move', from: '/tags/2', path: '/tags/0' }]
+
+    JsonPatch.applyPatch(before, patch);          // deep-equals after; before is untouched
+    JsonPatch.applyPatch(before, [{ op: 'test', path: '/name', value: 'Bob' }]);
+    // throws JsonPatchError (code TEST_FAILED)
+
+    const undo = JsonPatch.inverse(before, patch); // applyPatch(after, undo) gives before back
+
+    JsonPatch.mergeDiff(before, after);            // RFC 7386: { name: 'Ada L.', tags: ['c', 'a', 'b'] }
+    JsonPatch.applyMergePatch(before, { name: null });   // null deletes a key
+
+Array elements are matched by value: the longest common subsequence stays
+put, equal values that changed position become moves (pass
+{ moves: false } to get remove/add pairs instead), and leftover elements in
+the same gap are diffed against each other so an edited item produces
+operations on its fields rather than a whole replacement; leftovers of the
+same kind in different gaps are paired as a move plus an edit. Values are
+compared as JSON.stringify sees them: a Date compares by its toJSON()
+string, and undefined array slots are written as null.
+*/
+
+class JsonPatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'JsonPatchError';
+        Object.assign(this, details);
+    }
+}
+
+class JsonPatch {
+    // Arrays longer than this (after trimming equal ends) are compared by position only
+    static LCS_LIMIT = 250000;
+
+    // 1. Pointers (RFC 6901)
+    static parsePointer(pointer) {
+        if (pointer === '') return [];
+        if (typeof pointer !== 'string' || pointer[0] !== '/') {
+            throw new JsonPatchError(`Invalid JSON pointer: ${JSON.stringify(pointer)}`, { code: 'INVALID_POINTER' });
+        }
+        return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    static formatPointer(tokens) {
+        return tokens.map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    }
+
+    // 2. Comparing
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // What JSON.stringify would see: toJSON() results (Dates become strings)
+    static jsonValue(value) {
+        return value !== null && typeof value === 'object' && typeof value.toJSON === 'function'
+            ? value.toJSON()
+            : value;
+    }
+
+    // Canonical JSON with sorted keys, so equal values get equal keys
+    static keyOf(value) {
+        value = JsonPatch.jsonValue(value);
+        if (Array.isArray(value)) return `[${value.map(JsonPatch.keyOf).join(',')}]`;
+        if (JsonPatch.isObject(value)) {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${JsonPatch.keyOf(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value) ?? 'null';
+    }
+
+    static equal(a, b) {
+        return a === b || JsonPatch.keyOf(a) === JsonPatch.keyOf(b);
+    }
+
+    static clone(value) {
+        return DeepClone.clone(value);
+    }
+
+    // Operation payload; undefined has no JSON form and becomes null, as in an array slot
+    static valueOf(value) {
+        return value === undefined ? null : JsonPatch.clone(value);
+    }
+
+    static kindOf(value) {
+        value = JsonPatch.jsonValue(value);
+        if (Array.isArray(value)) return 'array';
+        return value === null ? 'null' : typeof value;
+    }
+
+    // 3. Diffing
+    static diff(a, b, { moves = true } = {}) {
+        const operations = [];
+        JsonPatch.diffValue(a, b, [], operations, { moves });
+        return operations;
+    }
+
+    static diffValue(a, b, path, operations, options) {
+        if (JsonPatch.equal(a, b)) return;
+        const jsonA = JsonPatch.jsonValue(a);
+        const jsonB = JsonPatch.jsonValue(b);
+        if (Array.isArray(jsonA) && Array.isArray(jsonB)) {
+            JsonPatch.diffArray(jsonA, jsonB, path, operations, options);
+        } else if (JsonPatch.isObject(jsonA) && JsonPatch.isObject(jsonB) && jsonA === a && jsonB === b) {
+            JsonPatch.diffObject(a, b, path, operations, options);
+        } else {
+            operations.push({ op: 'replace', path: JsonPatch.formatPointer(path), value: JsonPatch.valueOf(b) });
+        }
+    }
+
+    static diffObject(a, b, path, operations, options) {
+        const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key) && obj[key] !== undefined;
+        for (const key of Object.keys(a)) {
+            if (has(a, key) && !has(b, key)) {
+                operations.push({ op: 'remove', path: JsonPatch.formatPointer([...path, key]) });
+            }
+        }
+        for (const key of Object.keys(b)) {
+            if (!has(b, key)) continue;
+            if (has(a, key)) {
+                JsonPatch.diffValue(a[key], b[key], [...path, key], operations, options);
+            } else {
+                operations.push({ op: 'add', path: JsonPatch.formatPointer([...path, key]), value: JsonPatch.valueOf(b[key]) });
+            }
+        }
+    }
+
+    static diffArray(a, b, path, operations, { moves }) {
+        const keysA = a.map(JsonPatch.keyOf);
+        const keysB = b.map(JsonPatch.keyOf);
+        const anchors = JsonPatch.commonSubsequence(keysA, keysB);
+
+        // source[j] is the index in a whose element ends up at b[j], or -1 for new elements
+        const source = new Array(b.length).fill(-1);
+        const used = new Set();
+        anchors.forEach(([i, j]) => { source[j] = i; used.add(i); });
+
+        if (moves) {
+            const unmatched = new Map();
+            keysA.forEach((key, i) => {
+                if (used.has(i)) return;
+                if (!unmatched.has(key)) unmatched.set(key, []);
+                unmatched.get(key).push(i);
+            });
+            keysB.forEach((key, j) => {
+                const candidates = source[j] === -1 && unmatched.get(key);
+                if (candidates && candidates.length) {
+                    source[j] = candidates.shift();
+                    used.add(source[j]);
+                }
+            });
+        }
+
+        // Pair what is left in each gap between anchors, in order, as edits
+        const bounds = [[-1, -1], ...anchors, [a.length, b.length]];
+        for (let k = 0; k < bounds.length - 1; k++) {
+            const [startA, startB] = bounds[k];
+            const [endA, endB] = bounds[k + 1];
+            const freeA = [];
+            const freeB = [];
+            for (let i = startA + 1; i < endA; i++) if (!used.has(i)) freeA.push(i);
+            for (let j = startB + 1; j < endB; j++) if (source[j] === -1) freeB.push(j);
+            for (let x = 0; x < Math.min(freeA.length, freeB.length); x++) {
+                source[freeB[x]] = freeA[x];
+                used.add(freeA[x]);
+            }
+        }
+
+        // Then pair leftovers across gaps by kind, as a move plus an edit
+        if (moves) {
+            const freeA = a.map((_, i) => i).filter(i => !used.has(i));
+            for (let j = 0; j < b.length && freeA.length; j++) {
+                if (source[j] !== -1) continue;
+                const kind = JsonPatch.kindOf(b[j]);
+                const x = freeA.findIndex(i => JsonPatch.kindOf(a[i]) === kind);
+                if (x === -1) continue;
+                source[j] = freeA.splice(x, 1)[0];
+                used.add(source[j]);
+            }
+        }
+
+        // Removals from the end so earlier indices stay valid
+        for (let i = a.length - 1; i >= 0; i--) {
+            if (!used.has(i)) operations.push({ op: 'remove', path: JsonPatch.formatPointer([...path, i]) });
+        }
+
+        // Walk the target left to right; everything before j is already in place
+        const working = a.map((_, i) => i).filter(i => used.has(i));
+        for (let j = 0; j < b.length; j++) {
+            if (source[j] === -1) {
+                operations.push({ op: 'add', path: JsonPatch.formatPointer([...path, j]), value: JsonPatch.valueOf(b[j]) });
+                working.splice(j, 0, -1);
+                continue;
+            }
+            const position = working.indexOf(source[j], j);
+            if (position !== j) {
+                operations.push({
+                    op: 'move',
+                    from: JsonPatch.formatPointer([...path, position]),
+                    path: JsonPatch.formatPointer([...path, j])
+                });
+                working.splice(position, 1);
+                working.splice(j, 0, source[j]);
+            }
+            JsonPatch.diffValue(a[source[j]], b[j], [...path, j], operations, { moves });
+        }
+    }
+
+    // Index pairs [i, j] of a longest common subsequence of two key lists
+    static commonSubsequence(keysA, keysB) {
+        let start = 0;
+        while (start < keysA.length && start < keysB.length && keysA[start] === keysB[start]) start++;
+        let endA = keysA.length;
+        let endB = keysB.length;
+        while (endA > start && endB > start && keysA[endA - 1] === keysB[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const pairs = [];
+        for (let i = 0; i < start; i++) pairs.push([i, i]);
+
+        const rows = endA - start;
+        const cols = endB - start;
+        if (rows > 0 && cols > 0 && rows * cols <= JsonPatch.LCS_LIMIT) {
+            const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+            for (let i = rows - 1; i >= 0; i--) {
+                for (let j = cols - 1; j >= 0; j--) {
+                    lengths[i][j] = keysA[start + i] === keysB[start + j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+            for (let i = 0, j = 0; i < rows && j < cols;) {
+                if (keysA[start + i] === keysB[start + j]) {
+                    pairs.push([start + i, start + j]);
+                    i++;
+                    j++;
+                } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                    i++;
+                } else {
+                    j++;
+                }
+            }
+        }
+
+        for (let offset = 0; endA + offset < keysA.length; offset++) {
+            pairs.push([endA + offset, endB + offset]);
+        }
+        return pairs;
+    }
+
+    // 4. Applying
+    static applyPatch(document, patch, { mutate = false } = {}) {
+        if (!Array.isArray(patch)) {
+            throw new JsonPatchError('A JSON Patch must be an array of operations', { code: 'INVALID_PATCH' });
+        }
+        // Working on a copy makes the patch all-or-nothing
+        let root = mutate ? document : JsonPatch.clone(document);
+        patch.forEach((operation, index) => {
+            root = JsonPatch.applyOperation(root, operation, index);
+        });
+        return root;
+    }
+
+    static applyOperation(root, operation, index) {
+        const fail = (message, code, extra = {}) => {
+            throw new JsonPatchError(`Operation ${index} (${operation && operation.op}): ${message}`,
+                { code, index, operation, ...extra });
+        };
+        if (!operation || typeof operation !== 'object' || typeof operation.path !== 'string') {
+            fail('expected an object with a string path', 'INVALID_OPERATION');
+        }
+        const needsValue = ['add', 'replace', 'test'].includes(operation.op);
+        if (needsValue && !('value' in operation)) fail('missing value', 'INVALID_OPERATION');
+        const needsFrom = ['move', 'copy'].includes(operation.op);
+        if (needsFrom && typeof operation.from !== 'string') fail('missing from', 'INVALID_OPERATION');
+
+        const path = JsonPatch.parsePointer(operation.path);
+        switch (operation.op) {
+            case 'add':
+                return JsonPatch.insert(root, path, JsonPatch.clone(operation.value), fail);
+            case 'remove':
+                return JsonPatch.removeAt(root, path, fail).root;
+            case 'replace': {
+                JsonPatch.resolve(root, path, fail);
+                if (path.length === 0) return JsonPatch.clone(operation.value);
+                const parent = JsonPatch.parentOf(root, path, fail);
+                const key = Array.isArray(parent) ? Number(path[path.length - 1]) : path[path.length - 1];
+                Object.defineProperty(parent, key, {
+                    value: JsonPatch.clone(operation.value), writable: true, enumerable: true, configurable: true
+                });
+                return root;
+            }
+            case 'move': {
+                const from = JsonPatch.parsePointer(operation.from);
+                if (operation.path.startsWith(`${operation.from}/`)) {
+                    fail('cannot move a value into one of its own children', 'INVALID_OPERATION');
+                }
+                if (operation.from === operation.path) return root;
+                const removed = JsonPatch.removeAt(root, from, fail);
+                return JsonPatch.insert(removed.root, path, removed.value, fail);
+            }
+            case 'copy': {
+                const value = JsonPatch.resolve(root, JsonPatch.parsePointer(operation.from), fail);
+                return JsonPatch.insert(root, path, JsonPatch.clone(value), fail);
+            }
+            case 'test': {
+                const actual = JsonPatch.resolve(root, path, fail);
+                if (!JsonPatch.equal(actual, operation.value)) {
+                    fail(`test failed at ${operation.path}: expected ${JsonPatch.keyOf(operation.value)}, found ${JsonPatch.keyOf(actual)}`,
+                        'TEST_FAILED', { actual });
+                }
+                return root;
+            }
+            default:
+                return fail(`unknown operation ${JSON.stringify(operation.op)}`, 'INVALID_OPERATION');
+        }
+    }
+
+    static arrayIndex(array, token, fail, { allowEnd = false } = {}) {
+        if (allowEnd && token === '-') return array.length;
+        const max = allowEnd ? array.length : array.length - 1;
+        if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > max) {
+            fail(`array index ${token} is out of range`, 'PATH_NOT_FOUND');
+        }
+        return Number(token);
+    }
+
+    static resolve(root, tokens, fail) {
+        let current = root;
+        for (const token of tokens) {
+            if (Array.isArray(current)) {
+                current = current[JsonPatch.arrayIndex(current, token, fail)];
+            } else if (JsonPatch.isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+                current = current[token];
+            } else {
+                fail(`path ${JsonPatch.formatPointer(tokens)} does not exist`, 'PATH_NOT_FOUND');
+            }
+        }
+        return current;
+    }
+
+    static parentOf(root, tokens, fail) {
+        const parent = JsonPatch.resolve(root, tokens.slice(0, -1), fail);
+        if (parent === null || typeof parent !== 'object') {
+            fail(`path ${JsonPatch.formatPointer(tokens.slice(0, -1))} is not a container`, 'PATH_NOT_FOUND');
+        }
+        return parent;
+    }
+
+    static insert(root, tokens, value, fail) {
+        if (tokens.length === 0) return value;
+        const parent = JsonPatch.parentOf(root, tokens, fail);
+        const key = tokens[tokens.length - 1];
+        if (Array.isArray(parent)) {
+            parent.splice(JsonPatch.arrayIndex(parent, key, fail, { allowEnd: true }), 0, value);
+        } else {
+            // defineProperty so a "__proto__" key stays plain data
+            Object.defineProperty(parent, key, { value, writable: true, enumerable: true, configurable: true });
+        }
+        return root;
+    }
+
+    static removeAt(root, tokens, fail) {
+        if (tokens.length === 0) fail('cannot remove the document root', 'INVALID_OPERATION');
+        const parent = JsonPatch.parentOf(root, tokens, fail);
+        const key = tokens[tokens.length - 1];
+        if (Array.isArray(parent)) {
+            const [value] = parent.splice(JsonPatch.arrayIndex(parent, key, fail), 1);
+            return { root, value };
+        }
+        const value = JsonPatch.resolve(parent, [key], fail);
+        delete parent[key];
+        return { root, value };
+    }
+
+    // 5. Undo
+    static inverse(document, patch) {
+        let root = JsonPatch.clone(document);
+        const undo = [];
+        patch.forEach((operation, index) => {
+            const fail = message => {
+                throw new JsonPatchError(`Operation ${index} (${operation && operation.op}): ${message}`,
+                    { code: 'PATH_NOT_FOUND', index, operation });
+            };
+            const steps = [];
+            if (operation.op === 'move' && operation.from !== operation.path) {
+                const from = JsonPatch.parsePointer(operation.from);
+                const removal = JsonPatch.undoStep(root, { op: 'remove', path: operation.from }, fail);
+                const value = JsonPatch.resolve(root, from, fail);
+                const middle = JsonPatch.applyOperation(root, { op: 'remove', path: operation.from }, index);
+                const addition = JsonPatch.undoStep(middle, { op: 'add', path: operation.path, value }, fail);
+                steps.push(...(addition.length === 1 && addition[0].op === 'remove'
+                    ? [{ op: 'move', from: addition[0].path, path: operation.from }]
+                    : [...addition, ...removal]));
+                root = JsonPatch.insert(middle, JsonPatch.parsePointer(operation.path), value, fail);
+            } else {
+                if (operation.op === 'copy') {
+                    const value = JsonPatch.resolve(root, JsonPatch.parsePointer(operation.from), fail);
+                    steps.push(...JsonPatch.undoStep(root, { op: 'add', path: operation.path, value }, fail));
+                } else {
+                    steps.push(...JsonPatch.undoStep(root, operation, fail));
+                }
+                root = JsonPatch.applyOperation(root, operation, index);
+            }
+            undo.push(steps);
+        });
+        return undo.reverse().flat();
+    }
+
+    // Operations that undo one add, remove or replace, computed before it runs
+    static undoStep(root, operation, fail) {
+        const tokens = JsonPatch.parsePointer(operation.path);
+        if (operation.op === 'test') return [];
+        if (tokens.length === 0) return [{ op: 'replace', path: '', value: JsonPatch.clone(root) }];
+
+        const parent = JsonPatch.parentOf(root, tokens, fail);
+        const key = tokens[tokens.length - 1];
+        if (operation.op === 'add') {
+            if (Array.isArray(parent)) {
+                const index = JsonPatch.arrayIndex(parent, key, fail, { allowEnd: true });
+                return [{ op: 'remove', path: JsonPatch.formatPointer([...tokens.slice(0, -1), index]) }];
+            }
+            return Object.prototype.hasOwnProperty.call(parent, key)
+                ? [{ op: 'replace', path: operation.path, value: JsonPatch.clone(parent[key]) }]
+                : [{ op: 'remove', path: operation.path }];
+        }
+        const previous = JsonPatch.clone(JsonPatch.resolve(root, tokens, fail));
+        return operation.op === 'remove'
+            ? [{ op: 'add', path: operation.path, value: previous }]
+            : [{ op: 'replace', path: operation.path, value: previous }];
+    }
+
+    // 6. Merge patches (RFC 7386): nested objects merge, null deletes, anything else replaces
+    static mergeDiff(a, b) {
+        if (!JsonPatch.isObject(a) || !JsonPatch.isObject(b)) {
+            return JsonPatch.clone(b);
+        }
+        const patch = {};
+        for (const key of Object.keys(a)) {
+            if (!Object.prototype.hasOwnProperty.call(b, key)) patch[key] = null;
+        }
+        for (const key of Object.keys(b)) {
+            if (Object.prototype.hasOwnProperty.call(a, key) && JsonPatch.equal(a[key], b[key])) continue;
+            const value = Object.prototype.hasOwnProperty.call(a, key) ? JsonPatch.mergeDiff(a[key], b[key]) : JsonPatch.clone(b[key]);
+            Object.defineProperty(patch, key, { value, writable: true, enumerable: true, configurable: true });
+        }
+        return patch;
+    }
+
+    static applyMergePatch(target, patch) {
+        if (!JsonPatch.isObject(patch)) return JsonPatch.clone(patch);
+        const result = JsonPatch.isObject(target) ? JsonPatch.clone(target) : {};
+        for (const [key, value] of Object.entries(patch)) {
+            if (value === null) {
+                delete result[key];
+            } else {
+                Object.defineProperty(result, key, {
+                    value: JsonPatch.applyMergePatch(
+                        Object.prototype.hasOwnProperty.call(result, key) ? result[key] : undefined, value),
+                    writable: true,
+                    enumerable: true,
+                    configurable: true
+                });
+            }
+        }
+        return result;
+    }
+}
+
+// ************ RESOURCE POOLS ************
+
+/*
+ResourcePool hands out expensive resources (connections, workers, parsers)
+and takes them back:
+
+    const pool = new ResourcePool({
+        create: () => db.connect(),
+        validate: conn => conn.isAlive(),       // checked before reuse
+        reset: conn => conn.rollback(),         // run on release
+        destroy: conn => conn.close(),
+        min: 2, max: 10,
+        acquireTimeout: 5000,                   // ms a caller may wait in the queue
+        idleTimeout: 30000,                     // idle resources above min are closed
+        retryDelay: 1000                        // ms before a failed create is retried to refill min
+    });
+
+    const rows = await pool.use(conn => conn.query('SELECT 1'));
+    const conn = await pool.acquire({ signal });
+    try { ... } finally { await pool.release(conn); }   // or pool.destroy(conn) if broken
+
+    pool.stats();        // { size, available, borrowed, pending, ... }
+    await pool.drain();  // waits for borrowed resources, then destroys everything
+
+Waiting callers are served first come, first served. Idle resources are
+reused most recently released first, so the coldest ones are the ones that
+time out. tryAcquire() is the synchronous form: it returns null rather than
+waiting when nothing is free. A pool with max: 0 never has anything to give:
+tryAcquire() returns null and acquire() rejects with POOL_EMPTY.
+*/
+
+class PoolError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PoolError';
+        this.code = code;
+    }
+}
+
+class ResourcePool {
+    static defaultClock = {
+        now: () => Date.now(),
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: id => clearTimeout(id)
+    };
+
+    constructor({
+        create,
+        destroy = () => {},
+        validate = null,
+        reset = null,
+        min = 0,
+        max = 10,
+        acquireTimeout = Infinity,
+        idleTimeout = 30000,
+        retryDelay = 1000,
+        clock = ResourcePool.defaultClock
+    } = {}) {
+        if (typeof create !== 'function') {
+            throw new TypeError('ResourcePool needs a create function');
+        }
+        if (!(min >= 0 && max >= 0 && min <= max)) {
+            throw new RangeError(`Invalid pool bounds: min ${min}, max ${max}`);
+        }
+        this.hooks = { create, destroy, validate, reset };
+        this.min = min;
+        this.max = max;
+        this.acquireTimeout = acquireTimeout;
+        this.idleTimeout = idleTimeout;
+        this.retryDelay = retryDelay;
+        this.clock = clock;
+
+        // Records are the identity: create may hand back primitives or the same object twice
+        this.records = new Set();
+        this.byResource = new Map();
+        this.idle = [];
+        this.waiters = [];
+        this.creating = 0;
+        this.validating = 0;
+        this.destroying = new Set();
+        this.evictionTimer = null;
+        this.refillTimer = null;
+        this.draining = false;
+        this.drained = null;
+        this.counters = {
+            created: 0, destroyed: 0, acquired: 0, released: 0,
+            timedOut: 0, evicted: 0, createErrors: 0
+        };
+
+        this.ensureMin();
+    }
+
+    get size() {
+        return this.records.size + this.creating;
+    }
+
+    // 1. Borrowing
+    acquire({ timeout = this.acquireTimeout, signal } = {}) {
+        if (this.draining) {
+            return Promise.reject(new PoolError('Pool is draining', 'POOL_DRAINING'));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if (this.max === 0) {
+            return Promise.reject(new PoolError('Pool has no capacity', 'POOL_EMPTY'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null, cleanup: () => {} };
+            const leave = error => {
+                const index = this.waiters.indexOf(waiter);
+                if (index === -1) return;
+                this.waiters.splice(index, 1);
+                waiter.cleanup();
+                reject(error);
+                this.checkDrained();
+            };
+
+            if (Number.isFinite(timeout)) {
+                waiter.timer = this.clock.setTimeout(() => {
+                    this.counters.timedOut++;
+                    leave(new PoolError(`Timed out after ${timeout}ms waiting for a resource`, 'POOL_TIMEOUT'));
+                }, timeout);
+            }
+            if (signal) {
+                const onAbort = () => leave(signal.reason);
+                signal.addEventListener('abort', onAbort, { once: true });
+                waiter.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.waiters.push(waiter);
+            this.dispense();
+        });
+    }
+
+    tryAcquire() {
+        if (this.draining || this.waiters.length > 0) return null;
+
+        while (this.idle.length) {
+            const record = this.idle.pop();
+            if (this.hooks.validate) {
+                const valid = this.hooks.validate(record.resource);
+                if (valid && typeof valid.then === 'function') {
+                    this.idle.push(record);
+                    throw new TypeError('tryAcquire needs a synchronous validate hook');
+                }
+                if (!valid) {
+                    this.discard(record);
+                    continue;
+                }
+            }
+            return this.borrow(record);
+        }
+
+        if (this.size < this.max) {
+            this.grow();
+            // A synchronous create lands in idle straight away
+            if (this.idle.length) return this.borrow(this.idle.pop());
+        }
+        return null;
+    }
+
+    async use(fn, options) {
+        const resource = await this.acquire(options);
+        try {
+            return await fn(resource);
+        } finally {
+            await this.release(resource);
+        }
+    }
+
+    // 2. Returning
+    release(resource) {
+        const record = this.checkedOut(resource);
+        record.state = 'returning';
+        this.counters.released++;
+
+        if (!this.hooks.reset) {
+            this.makeIdle(record);
+            return Promise.resolve();
+        }
+        try {
+            const result = this.hooks.reset(resource);
+            if (result && typeof result.then === 'function') {
+                return Promise.resolve(result).then(() => this.makeIdle(record), () => this.discard(record));
+            }
+            this.makeIdle(record);
+        } catch (error) {
+            this.discard(record);
+        }
+        return Promise.resolve();
+    }
+
+    // For resources that broke while borrowed: they leave the pool instead of being reused
+    destroy(resource) {
+        const record = this.checkedOut(resource);
+        return this.discard(record);
+    }
+
+    checkedOut(resource) {
+        const matches = this.byResource.get(resource);
+        if (!matches) {
+            throw new PoolError('Resource does not belong to this pool', 'POOL_FOREIGN_RESOURCE');
+        }
+        const record = matches.find(candidate => candidate.state === 'borrowed');
+        if (!record) {
+            throw new PoolError('Resource was already released', 'POOL_DOUBLE_RELEASE');
+        }
+        return record;
+    }
+
+    // 3. Internal bookkeeping
+    dispense() {
+        while (this.waiters.length > this.validating && this.idle.length) {
+            const record = this.idle.pop();
+            record.state = 'validating';
+            this.validating++;
+            Promise.resolve()
+                .then(() => (this.hooks.validate ? this.hooks.validate(record.resource) : true))
+                .then(Boolean, () => false)
+                .then(valid => {
+                    this.validating--;
+                    if (valid) this.handOff(record);
+                    else this.discard(record);
+                    this.dispense();
+                });
+        }
+        while (this.waiters.length > this.validating + this.creating && this.size < this.max) {
+            this.grow();
+        }
+    }
+
+    grow() {
+        this.creating++;
+        const settled = resource => {
+            this.creating--;
+            this.counters.created++;
+            const record = { resource, state: 'idle', createdAt: this.clock.now(), lastUsed: this.clock.now() };
+            this.records.add(record);
+            if (!this.byResource.has(resource)) this.byResource.set(resource, []);
+            this.byResource.get(resource).push(record);
+            if (this.waiters.length > this.validating) this.handOff(record);
+            else this.makeIdle(record);
+        };
+        const failed = error => {
+            this.creating--;
+            this.counters.createErrors++;
+            this.lastError = error;
+            // Each failure answers one waiter, so a broken factory cannot spin forever
+            const waiter = this.waiters.shift();
+            if (waiter) {
+                this.settleWaiter(waiter);
+                waiter.reject(error);
+            }
+            this.scheduleRefill();
+            this.checkDrained();
+        };
+
+        let result;
+        try {
+            result = this.hooks.create();
+        } catch (error) {
+            failed(error);
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            Promise.resolve(result).then(settled, failed);
+        } else {
+            settled(result);
+        }
+    }
+
+    handOff(record) {
+        const waiter = this.waiters.shift();
+        if (!waiter) {
+            this.makeIdle(record);
+            return;
+        }
+        this.settleWaiter(waiter);
+        waiter.resolve(this.borrow(record));
+    }
+
+    settleWaiter(waiter) {
+        if (waiter.timer !== null) this.clock.clearTimeout(waiter.timer);
+        waiter.cleanup();
+    }
+
+    borrow(record) {
+        record.state = 'borrowed';
+        this.counters.acquired++;
+        return record.resource;
+    }
+
+    makeIdle(record) {
+        if (this.draining && this.waiters.length === 0) {
+            this.discard(record);
+            return;
+        }
+        record.state = 'idle';
+        record.lastUsed = this.clock.now();
+        this.idle.push(record);
+        this.dispense();
+        this.scheduleEviction();
+    }
+
+    discard(record) {
+        if (!this.records.delete(record)) return Promise.resolve();
+        const matches = this.byResource.get(record.resource);
+        matches.splice(matches.indexOf(record), 1);
+        if (matches.length === 0) this.byResource.delete(record.resource);
+        const index = this.idle.indexOf(record);
+        if (index !== -1) this.idle.splice(index, 1);
+        record.state = 'destroyed';
+        this.counters.destroyed++;
+
+        const pending = Promise.resolve()
+            .then(() => this.hooks.destroy(record.resource))
+            .catch(error => { this.lastError = error; })
+            .finally(() => this.destroying.delete(pending));
+        this.destroying.add(pending);
+
+        this.ensureMin();
+        this.dispense();
+        this.checkDrained();
+        return pending;
+    }
+
+    ensureMin() {
+        if (this.draining) return;
+        while (this.size < this.min) {
+            const before = this.counters.createErrors;
+            this.grow();
+            if (this.counters.createErrors > before) break;
+        }
+    }
+
+    // A failed create must not leave the pool below min for good
+    scheduleRefill() {
+        if (this.refillTimer !== null || this.draining || this.size >= this.min) return;
+        this.refillTimer = this.clock.setTimeout(() => {
+            this.refillTimer = null;
+            this.ensureMin();
+        }, this.retryDelay);
+        if (this.refillTimer && typeof this.refillTimer.unref === 'function') this.refillTimer.unref();
+    }
+
+    // 4. Idle eviction
+    scheduleEviction() {
+        if (this.evictionTimer !== null || !Number.isFinite(this.idleTimeout)) return;
+        if (this.idle.length === 0 || this.records.size <= this.min) return;
+
+        const oldest = Math.min(...this.idle.map(record => record.lastUsed));
+        const delay = Math.max(0, oldest + this.idleTimeout - this.clock.now());
+        this.evictionTimer = this.clock.setTimeout(() => {
+            this.evictionTimer = null;
+            this.evictIdle();
+            this.scheduleEviction();
+        }, delay);
+        // Never keep a Node process alive just to close idle resources
+        if (this.evictionTimer && typeof this.evictionTimer.unref === 'function') this.evictionTimer.unref();
+    }
+
+    evictIdle() {
+        const cutoff = this.clock.now() - this.idleTimeout;
+        const expired = this.idle.filter(record => record.lastUsed <= cutoff);
+        let evicted = 0;
+        for (const record of expired) {
+            if (this.records.size <= this.min) break;
+            this.counters.evicted++;
+            this.discard(record);
+            evicted++;
+        }
+        return evicted;
+    }
+
+    // 5. Shutdown and reporting
+    drain() {
+        if (!this.drained) {
+            this.draining = true;
+            this.drained = new Promise(resolve => { this.onDrained = resolve; });
+            this.checkDrained();
+        }
+        return this.drained;
+    }
+
+    checkDrained() {
+        if (!this.draining || !this.onDrained) return;
+        const busy = this.waiters.length || this.creating || this.validating ||
+            [...this.records].some(record => record.state !== 'idle');
+        if (busy) return;
+
+        const resolve = this.onDrained;
+        this.onDrained = null;
+        [...this.idle].forEach(record => this.discard(record));
+        if (this.evictionTimer !== null) {
+            this.clock.clearTimeout(this.evictionTimer);
+            this.evictionTimer = null;
+        }
+        if (this.refillTimer !== null) {
+            this.clock.clearTimeout(this.refillTimer);
+            this.refillTimer = null;
+        }
+        Promise.all([...this.destroying]).then(() => resolve());
+    }
+
+    stats() {
+        const borrowed = [...this.records].filter(record => record.state === 'borrowed').length;
+        return {
+            size: this.size,
+            min: this.min,
+            max: this.max,
+            available: this.idle.length,
+            borrowed,
+            pending: this.waiters.length,
+            creating: this.creating,
+            utilization: this.max ? borrowed / this.max : 0,
+            draining: this.draining,
+            ...this.counters
+        };
+    }
+}
+
+// ************ REACTIVE MODELS ************
+
+/*
+Model grows createValidatedObject's predicate schema into a form/settings
+model. Field specs can be:
+
+    value => boolean           a predicate, as in createValidatedObject
+    'string'                   a type: string, number, integer, boolean, date, any
+    { type, required, default, validate, message }
+    OtherModel                 a nested model (plain objects are converted)
+    ['string'] / { arrayOf }   an array whose items are checked too
+    { computed: m => ... }     read-only, recalculated on every read
+
+    const Address = Model.define({ city: { type: 'string', required: true } });
+    const User = Model.define({
+        name: { type: 'string', required: true },
+        age: value => Number.isInteger(value) && value >= 0,
+        address: Address,
+        tags: ['string'],
+        label: { computed: user => `${user.name} (${user.age})` }
+    });
+
+    const user = User.create({ name: 'Ada', age: 36, address: { city: 'London' } });
+    user.$subscribe(changes => save(changes));   // once per tick: [{ path, value, previous }]
+    user.age = -1;
+    user.address.city = '';
+    user.$errors;     // { age: 'Invalid value for age', 'address.city': 'city is required' }
+    user.$changes();  // JSON Patch against the last commit (see JSON PATCH)
+    user.$reset();    // back to the last commit; nested models and arrays keep their identity
+    user.$commit();   // current values become the new baseline
+
+Subscribers get `previous` as a plain copy (nested models become plain
+objects), so it does not change under them.
+
+Invalid values are stored and reported per field so a form can show them;
+Model.define(schema, { strict: true }) throws a ModelValidationError
+instead. Unknown fields always throw. Field names may not start with "$".
+*/
+
+class ModelValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid model:\n${Object.entries(errors).map(([path, message]) => `  - ${path}: ${message}`).join('\n')}`);
+        this.name = 'ModelValidationError';
+        this.errors = errors;
+    }
+}
+
+class Model {
+    static TYPES = {
+        string: value => typeof value === 'string',
+        number: value => typeof value === 'number' && !Number.isNaN(value),
+        integer: value => Number.isInteger(value),
+        boolean: value => typeof value === 'boolean',
+        date: value => value instanceof Date && !Number.isNaN(value.getTime()),
+        any: () => true
+    };
+
+    static define(schema, options) {
+        return new Model(schema, options);
+    }
+
+    constructor(schema, { strict = false } = {}) {
+        this.strict = strict;
+        this.fields = Object.create(null);
+        for (const [name, spec] of Object.entries(schema)) {
+            if (name.startsWith('$') || name === 'toJSON') {
+                throw new TypeError(`Field name "${name}" is reserved`);
+            }
+            this.fields[name] = Model.field(name, spec);
+        }
+    }
+
+    create(data = {}) {
+        return new ModelState(this, data).proxy;
+    }
+
+    static isInstance(value) {
+        return ModelState.states.has(value);
+    }
+
+    // 1. Schema
+    static field(name, spec) {
+        if (spec instanceof Model) return { kind: 'model', model: spec };
+        if (typeof spec === 'function') return { kind: 'value', validate: spec };
+        if (typeof spec === 'string') return { kind: 'value', type: Model.knownType(name, spec) };
+        if (Array.isArray(spec)) return { kind: 'array', item: Model.field(name, spec.length ? spec[0] : 'any') };
+        if (spec && typeof spec === 'object') {
+            if (typeof spec.computed === 'function') return { kind: 'computed', get: spec.computed };
+            const base = {
+                required: Boolean(spec.required),
+                default: spec.default,
+                validate: spec.validate,
+                message: spec.message,
+                type: spec.type === undefined ? undefined : Model.knownType(name, spec.type)
+            };
+            if (spec.arrayOf !== undefined) return { ...base, kind: 'array', item: Model.field(name, spec.arrayOf) };
+            if (spec.model instanceof Model) return { ...base, kind: 'model', model: spec.model };
+            return { ...base, kind: 'value' };
+        }
+        throw new TypeError(`Invalid schema for field "${name}"`);
+    }
+
+    static knownType(name, type) {
+        if (!(type in Model.TYPES)) {
+            throw new TypeError(`Unknown type "${type}" for field "${name}"`);
+        }
+        return type;
+    }
+
+    static defaultFor(spec) {
+        if (typeof spec.default === 'function') return spec.default();
+        return DeepClone.clone(spec.default);
+    }
+
+    // Returns an error message, or null when the value is acceptable
+    static check(spec, value, label) {
+        // Forms clear inputs to '', so an empty string counts as missing
+        if (value === undefined || value === null || value === '') {
+            return spec.required ? `${label} is required` : null;
+        }
+        if (spec.kind === 'array' && !Array.isArray(value)) return `${label} must be an array`;
+        if (spec.kind === 'model' && !Model.isInstance(value)) return `${label} must be an object`;
+        if (spec.type && !Model.TYPES[spec.type](value)) return spec.message || `${label} must be of type ${spec.type}`;
+        if (spec.validate) {
+            const result = spec.validate(value);
+            if (typeof result === 'string') return result;
+            if (!result) return spec.message || `Invalid value for ${label}`;
+        }
+        return null;
+    }
+}
+
+// Per-instance state behind each model proxy; not exported
+class ModelState {
+    static states = new WeakMap();
+
+    constructor(model, data, parent = null) {
+        this.model = model;
+        this.parent = parent;
+        this.values = Object.create(null);
+        this.errors = new Map();
+        this.listeners = new Set();
+        this.pending = new Map();
+        this.scheduled = false;
+
+        const target = {};
+        // Node's console.log shows the proxy target, so give it something useful to show
+        Object.defineProperty(target, Symbol.for('nodejs.util.inspect.custom'), {
+            value: () => this.snapshot(),
+            configurable: true
+        });
+        this.proxy = new Proxy(target, this.handler());
+        ModelState.states.set(this.proxy, this);
+
+        const source = Model.isInstance(data) ? ModelState.states.get(data).snapshot() : data;
+        const unknown = Object.keys(source).filter(key => !(key in model.fields));
+        if (unknown.length) {
+            throw new TypeError(`Unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(key => `"${key}"`).join(', ')}`);
+        }
+
+        const failures = {};
+        for (const [name, spec] of Object.entries(model.fields)) {
+            if (spec.kind === 'computed') continue;
+            const value = Object.prototype.hasOwnProperty.call(source, name) ? source[name] : Model.defaultFor(spec);
+            this.values[name] = this.coerce(name, spec, value);
+            this.checkField(name).forEach((message, path) => {
+                this.errors.set(path, message);
+                failures[path] = message;
+            });
+        }
+        if (model.strict && Object.keys(failures).length) {
+            throw new ModelValidationError(failures);
+        }
+        this.commit();
+    }
+
+    // 1. Proxy traps
+    handler() {
+        const getters = {
+            $errors: () => this.allErrors(),
+            $valid: () => Object.keys(this.allErrors()).length === 0,
+            $dirty: () => this.isDirty()
+        };
+        const methods = {
+            $isDirty: path => this.isDirty(path),
+            $changes: () => this.changes(),
+            $commit: () => this.commit(),
+            $reset: () => this.reset(),
+            $validate: () => this.validate(),
+            $subscribe: listener => this.subscribe(listener),
+            $snapshot: () => this.snapshot(),
+            $set: data => this.update(data),
+            toJSON: () => this.toJSON()
+        };
+        const fields = this.model.fields;
+        const isData = prop => typeof prop === 'string' && prop in fields && fields[prop].kind !== 'computed';
+
+        return {
+            get: (target, prop) => {
+                if (typeof prop === 'symbol') return Reflect.get(target, prop);
+                if (prop in getters) return getters[prop]();
+                if (prop in methods) return methods[prop];
+                if (!(prop in fields)) return undefined;
+                return fields[prop].kind === 'computed' ? fields[prop].get(this.proxy) : this.values[prop];
+            },
+            set: (target, prop, value) => {
+                this.assign(prop, value);
+                return true;
+            },
+            deleteProperty: (target, prop) => {
+                throw new TypeError(`Cannot delete model field "${String(prop)}"; assign undefined instead`);
+            },
+            defineProperty: (target, prop) => {
+                throw new TypeError(`Cannot define "${String(prop)}" on a model`);
+            },
+            has: (target, prop) => (typeof prop === 'string' && (prop in fields || prop in getters || prop in methods)),
+            ownKeys: () => Object.keys(fields).filter(isData),
+            getOwnPropertyDescriptor: (target, prop) => (isData(prop)
+                ? { value: this.values[prop], writable: true, enumerable: true, configurable: true }
+                : undefined)
+        };
+    }
+
+    // 2. Writing
+    assign(name, value) {
+        const spec = typeof name === 'string' ? this.model.fields[name] : undefined;
+        if (!spec) throw new TypeError(`Unknown field "${String(name)}"`);
+        if (spec.kind === 'computed') throw new TypeError(`Field "${name}" is computed and read-only`);
+
+        if (this.model.strict) {
+            const message = spec.kind === 'model' || spec.kind === 'array'
+                ? (value == null || typeof value === 'object' ? null : Model.check(spec, value, name))
+                : Model.check(spec, value, name);
+            if (message) throw new ModelValidationError({ [name]: message });
+        }
+
+        const previous = ModelState.plain(this.values[name]);
+        this.values[name] = this.coerce(name, spec, value);
+        this.refreshErrors(name);
+        this.queue({ path: name, value: this.values[name], previous });
+    }
+
+    update(data) {
+        Object.entries(data).forEach(([name, value]) => this.assign(name, value));
+        return this.proxy;
+    }
+
+    coerce(name, spec, value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (spec.kind === 'model') {
+            return this.adopt(spec.model, value, child => (this.values[name] === child ? name : null));
+        }
+        if (spec.kind === 'array' && Array.isArray(value)) return this.createArray(name, spec, value);
+        return value;
+    }
+
+    adopt(model, value, path) {
+        return new ModelState(model, value, { state: this, path }).proxy;
+    }
+
+    createArray(name, spec, items) {
+        const state = this;
+        const array = [];
+        const isIndex = prop => typeof prop === 'string' && /^(0|[1-9]\d*)$/.test(prop);
+        const coerceItem = value => {
+            if (spec.item.kind !== 'model' || value === null || typeof value !== 'object') return value;
+            return state.adopt(spec.item.model, value, child => {
+                const current = state.values[name];
+                const index = Array.isArray(current) ? current.indexOf(child) : -1;
+                return index === -1 ? null : `${name}.${index}`;
+            });
+        };
+        const changed = previous => {
+            if (state.values[name] !== proxy) return; // a replaced array no longer reports
+            state.refreshErrors(name);
+            state.queue({ path: name, value: proxy, previous });
+        };
+
+        const proxy = new Proxy(array, {
+            set(target, prop, value) {
+                if (isIndex(prop)) {
+                    // Objects bound for a model item are checked by the child model itself
+                    const adoptable = spec.item.kind === 'model' && value !== null && typeof value === 'object';
+                    if (state.model.strict && !adoptable) {
+                        const message = Model.check(spec.item, value, `${name}.${prop}`);
+                        if (message) throw new ModelValidationError({ [`${name}.${prop}`]: message });
+                    }
+                    value = coerceItem(value);
+                }
+                const previous = ModelState.plain(target);
+                const ok = Reflect.set(target, prop, value);
+                changed(previous);
+                return ok;
+            },
+            deleteProperty(target, prop) {
+                const previous = ModelState.plain(target);
+                const ok = Reflect.deleteProperty(target, prop);
+                changed(previous);
+                return ok;
+            }
+        });
+        items.forEach(item => array.push(coerceItem(item)));
+        return proxy;
+    }
+
+    // 3. Validation
+    checkField(name) {
+        const spec = this.model.fields[name];
+        const value = this.values[name];
+        const errors = new Map();
+        const message = Model.check(spec, value, name);
+        if (message) errors.set(name, message);
+        if (spec.kind === 'array' && Array.isArray(value)) {
+            value.forEach((item, index) => {
+                const itemMessage = Model.check(spec.item, item, `${name}.${index}`);
+                if (itemMessage) errors.set(`${name}.${index}`, itemMessage);
+            });
+        }
+        return errors;
+    }
+
+    refreshErrors(name) {
+        for (const path of [...this.errors.keys()]) {
+            if (path === name || path.startsWith(`${name}.`)) this.errors.delete(path);
+        }
+        this.checkField(name).forEach((message, path) => this.errors.set(path, message));
+    }
+
+    children() {
+        const children = [];
+        for (const [name, spec] of Object.entries(this.model.fields)) {
+            const value = this.values[name];
+            if (spec.kind === 'model' && Model.isInstance(value)) {
+                children.push([name, ModelState.states.get(value)]);
+            } else if (spec.kind === 'array' && spec.item.kind === 'model' && Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    if (Model.isInstance(item)) children.push([`${name}.${index}`, ModelState.states.get(item)]);
+                });
+            }
+        }
+        return children;
+    }
+
+    allErrors(prefix = '') {
+        const errors = {};
+        this.errors.forEach((message, path) => { errors[`${prefix}${path}`] = message; });
+        for (const [path, child] of this.children()) {
+            Object.assign(errors, child.allErrors(`${prefix}${path}.`));
+        }
+        return errors;
+    }
+
+    // Re-runs every check, for validators that read other fields
+    validate() {
+        Object.keys(this.model.fields)
+            .filter(name => this.model.fields[name].kind !== 'computed')
+            .forEach(name => this.refreshErrors(name));
+        this.children().forEach(([, child]) => child.validate());
+        const errors = this.allErrors();
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    // 4. Snapshots, dirty tracking and undo
+    // A detached copy of a field value: nested models become plain objects
+    static plain(value) {
+        if (Model.isInstance(value)) return ModelState.states.get(value).snapshot();
+        if (Array.isArray(value)) return value.map(ModelState.plain);
+        return DeepClone.clone(value);
+    }
+
+    snapshot() {
+        const data = {};
+        for (const [name, spec] of Object.entries(this.model.fields)) {
+            if (spec.kind !== 'computed') data[name] = ModelState.plain(this.values[name]);
+        }
+        return data;
+    }
+
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.snapshot()));
+    }
+
+    changes() {
+        return JsonPatch.diff(this.baselineJSON, this.toJSON());
+    }
+
+    isDirty(path) {
+        const changes = this.changes();
+        if (path === undefined) return changes.length > 0;
+        const pointer = JsonPatch.formatPointer(String(path).split('.'));
+        return changes.some(change => [change.path, change.from].some(target =>
+            target !== undefined && (target === pointer || target.startsWith(`${pointer}/`))));
+    }
+
+    commit() {
+        const changes = this.baselineJSON ? this.changes() : [];
+        this.children().forEach(([, child]) => child.commit());
+        this.baseline = this.snapshot();
+        this.baselineJSON = this.toJSON();
+        return changes;
+    }
+
+    reset() {
+        this.restore(this.baseline);
+        return this.proxy;
+    }
+
+    // Writes data back into the existing nested models and arrays, so references
+    // held by the caller stay live, and leaves equal fields alone
+    restore(data) {
+        for (const [name, spec] of Object.entries(this.model.fields)) {
+            if (spec.kind === 'computed') continue;
+            const current = this.values[name];
+            const target = data[name];
+            if (JsonPatch.equal(ModelState.plain(current), target)) continue;
+            if (spec.kind === 'model' && Model.isInstance(current) && JsonPatch.isObject(target)) {
+                ModelState.states.get(current).restore(target);
+            } else if (spec.kind === 'array' && Array.isArray(current) && Array.isArray(target)) {
+                target.forEach((item, index) => {
+                    if (Model.isInstance(current[index]) && JsonPatch.isObject(item)) {
+                        ModelState.states.get(current[index]).restore(item);
+                    } else if (index >= current.length || !JsonPatch.equal(ModelState.plain(current[index]), item)) {
+                        current[index] = DeepClone.clone(item);
+                    }
+                });
+                if (current.length !== target.length) current.length = target.length;
+            } else {
+                this.assign(name, DeepClone.clone(target));
+            }
+        }
+    }
+
+    // 5. Batched change notifications
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    queue(change) {
+        if (this.parent) {
+            const prefix = this.parent.path(this.proxy);
+            if (prefix !== null) this.parent.state.queue({ ...change, path: `${prefix}.${change.path}` });
+        }
+        if (this.listeners.size === 0) return;
+
+        // Several writes to one path in a tick report the first previous and the last value
+        const earlier = this.pending.get(change.path);
+        this.pending.set(change.path, earlier ? { ...change, previous: earlier.previous } : change);
+        if (!this.scheduled) {
+            this.scheduled = true;
+            queueMicrotask(() => this.flush());
+        }
+    }
+
+    flush() {
+        this.scheduled = false;
+        const changes = [...this.pending.values()];
+        this.pending.clear();
+        if (changes.length === 0) return;
+        this.listeners.forEach(listener => listener(changes, this.proxy));
+    }
+}
+
 // ************ CONCLUSION ************
 
 /*
@@ -385,6 +1942,14 @@ if (typeof module !== 'undefined') {
         InterviewQuestions,
         ObjectPool,
         Calculator,
-        createValidatedObject
+        createValidatedObject,
+        ResourcePool,
+        PoolError,
+        DeepClone,
+        DataCloneError,
+        JsonPatch,
+        JsonPatchError,
+        Model,
+        ModelValidationError
     };
 } 
\ No newline at end of file
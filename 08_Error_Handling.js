@@ -10,6 +10,9 @@ Before starting this module, ensure you understand:
 4. Basic JavaScript syntax
 */
 
+// Runtime capability report and Result type (see 01_JS_Introduction.js)
+const { getCapabilities, Result } = require('./01_JS_Introduction.js');
+
 // ************ ERROR FUNDAMENTALS ************
 
 class ErrorBasics {
@@ -186,15 +189,27 @@ class ErrorPatterns {
 class AdvancedErrorHandling {
     // 1. Global Error Handler
     static setupGlobalHandlers() {
-        process.on('uncaughtException', (error) => {
-            console.error('Uncaught Exception:', error);
-            // Graceful shutdown
-            process.exit(1);
-        });
+        const capabilities = getCapabilities();
 
-        process.on('unhandledRejection', (reason, promise) => {
-            console.error('Unhandled Rejection:', reason);
-        });
+        if (capabilities.has('processEvents')) {
+            process.on('uncaughtException', (error) => {
+                console.error('Uncaught Exception:', error);
+                // Graceful shutdown
+                process.exit(1);
+            });
+
+            process.on('unhandledRejection', (reason, promise) => {
+                console.error('Unhandled Rejection:', reason);
+            });
+        } else if (capabilities.has('globalEvents')) {
+            globalThis.addEventListener('error', event => {
+                console.error('Uncaught Exception:', event.error);
+            });
+
+            globalThis.addEventListener('unhandledrejection', event => {
+                console.error('Unhandled Rejection:', event.reason);
+            });
+        }
     }
 
     // 2. Error Recovery Strategies
@@ -303,12 +318,11 @@ class ApiCaller {
 // Exercise 2: Implement error boundary HOF
 function withErrorBoundary(fn, fallback) {
     return async (...args) => {
-        try {
-            return await fn(...args);
-        } catch (error) {
+        const outcome = await Result.tryAsync(fn, ...args);
+        return outcome.unwrapOrElse(error => {
             console.error('Error in boundary:', error);
             return typeof fallback === 'function' ? fallback(error) : fallback;
-        }
+        });
     };
 }
 
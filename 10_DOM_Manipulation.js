@@ -10,6 +10,9 @@ Before starting this module, ensure you understand:
 4. Error handling basics
 */
 
+// Shared debounce/throttle scheduling (see 04_Functions_Scope.js)
+const { debounce, throttle, frameThrottle } = require('./04_Functions_Scope.js');
+
 // ************ DOM FUNDAMENTALS ************
 
 class DOMBasics {
@@ -245,23 +248,17 @@ class DOMPerformance {
         return { debounced, throttled };
     }
 
-    static debounce(fn, delay) {
-        let timeoutId;
-        return (...args) => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => fn(...args), delay);
-        };
+    static debounce(fn, delay, options) {
+        return debounce(fn, delay, options);
     }
 
-    static throttle(fn, limit) {
-        let inThrottle;
-        return (...args) => {
-            if (!inThrottle) {
-                fn(...args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
+    static throttle(fn, limit, options) {
+        return throttle(fn, limit, options);
+    }
+
+    // Layout work belongs in animation frames
+    static frameThrottle(fn, options) {
+        return frameThrottle(fn, options);
     }
 }
 
@@ -10,6 +10,9 @@ Before starting this module, ensure you understand:
 4. Object-oriented concepts
 */
 
+// Shared debounce/throttle scheduling (see 04_Functions_Scope.js)
+const { debounce, throttle } = require('./04_Functions_Scope.js');
+
 // ************ EVENT FUNDAMENTALS ************
 
 class EventBasics {
@@ -155,28 +158,13 @@ class EventPatterns {
     }
 
     // 2. Event Throttling
-    static throttle(callback, limit) {
-        let waiting = false;
-        return function(...args) {
-            if (!waiting) {
-                callback.apply(this, args);
-                waiting = true;
-                setTimeout(() => {
-                    waiting = false;
-                }, limit);
-            }
-        };
+    static throttle(callback, limit, options) {
+        return throttle(callback, limit, options);
     }
 
     // 3. Event Debouncing
-    static debounce(callback, delay) {
-        let timeoutId;
-        return function(...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => {
-                callback.apply(this, args);
-            }, delay);
-        };
+    static debounce(callback, delay, options) {
+        return debounce(callback, delay, options);
     }
 }
 
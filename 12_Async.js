@@ -10,6 +10,9 @@ Before starting this module, ensure you understand:
 4. ES6+ features
 */
 
+// Runtime capability report (see 01_JS_Introduction.js)
+const { getCapabilities } = require('./01_JS_Introduction.js');
+
 // ************ CALLBACK FUNDAMENTALS ************
 
 class CallbackBasics {
@@ -224,13 +227,20 @@ class AsyncErrorHandling {
 
     // 3. Global Error Handling
     static setupGlobalHandlers() {
-        process.on('unhandledRejection', (reason, promise) => {
-            console.error('Unhandled Rejection:', reason);
-        });
+        const capabilities = getCapabilities();
 
-        window.addEventListener('unhandledrejection', event => {
-            console.error('Unhandled Rejection:', event.reason);
-        });
+        if (capabilities.has('processEvents')) {
+            process.on('unhandledRejection', (reason, promise) => {
+                console.error('Unhandled Rejection:', reason);
+            });
+        }
+
+        // Browsers, workers and Deno all dispatch this on the global scope
+        if (capabilities.has('globalEvents')) {
+            globalThis.addEventListener('unhandledrejection', event => {
+                console.error('Unhandled Rejection:', event.reason);
+            });
+        }
     }
 }
 
@@ -13,13 +13,16 @@ Before starting this module, ensure you understand:
 // ************ MODULE FUNDAMENTALS ************
 
 // Named exports
-export const constant = 42;
-export function namedFunction() {
+// export const constant = 42;
+// export function namedFunction() { ... }
+const constant = 42;
+function namedFunction() {
     return 'Named export';
 }
 
 // Default export
-export default class DefaultExport {
+// export default class DefaultExport { ... }
+class DefaultExport {
     constructor() {
         this.name = 'Default export';
     }
@@ -194,7 +197,7 @@ class Sandbox {
 // ************ PRACTICAL IMPLEMENTATIONS ************
 
 // 1. Feature Module
-export const FeatureModule = {
+const FeatureModule = {
     name: 'feature',
     init(sandbox) {
         return {
@@ -209,7 +212,7 @@ export const FeatureModule = {
 };
 
 // 2. Service Module
-export class ServiceModule {
+class ServiceModule {
     #api;
     
     constructor(config) {
@@ -228,7 +231,7 @@ export class ServiceModule {
 }
 
 // 3. State Module
-export const createStateModule = (initialState = {}) => {
+const createStateModule = (initialState = {}) => {
     let state = { ...initialState };
     const listeners = new Set();
 
@@ -300,13 +303,22 @@ INTERVIEW PREPARATION:
 */
 
 // Export for testing
-export {
-    IIFEModule,
-    RevealingModule,
-    ModuleExample,
-    ModuleLoader,
-    DependencyManager,
-    ModuleWithSubmodules,
-    AugmentedModule,
-    Sandbox
-}; 
\ No newline at end of file
+// (CommonJS like the other modules, see index.mjs for the ESM entry point)
+if (typeof module !== 'undefined') {
+    module.exports = {
+        constant,
+        namedFunction,
+        DefaultExport,
+        IIFEModule,
+        RevealingModule,
+        ModuleExample,
+        ModuleLoader,
+        DependencyManager,
+        ModuleWithSubmodules,
+        AugmentedModule,
+        Sandbox,
+        FeatureModule,
+        ServiceModule,
+        createStateModule
+    };
+} 
\ No newline at end of file
@@ -10,6 +10,12 @@ Before starting this module, ensure you understand:
 4. Garbage collection basics
 */
 
+// Runtime capability report (see 01_JS_Introduction.js)
+const { getCapabilities } = require('./01_JS_Introduction.js');
+
+// Bounded resource pooling (see 05_Objects_OOP.js)
+const { ResourcePool } = require('./05_Objects_OOP.js');
+
 // ************ MEMORY LIFECYCLE ************
 
 class MemoryLifecycle {
@@ -92,22 +98,36 @@ class MemoryLeaks {
 
 class MemoryOptimization {
     // 1. Object Pooling
-    static createObjectPool(size) {
-        const pool = new Array(size).fill(null).map(() => ({ inUse: false }));
-        
+    static createObjectPool(size, { acquireTimeout = Infinity } = {}) {
+        const pool = new ResourcePool({
+            create: () => ({ inUse: false }),
+            reset: object => { object.inUse = false; },
+            min: size,
+            max: size,
+            acquireTimeout,
+            idleTimeout: Infinity
+        });
+        const markUsed = object => {
+            if (object) object.inUse = true;
+            return object;
+        };
+
         return {
-            acquire() {
-                const object = pool.find(obj => !obj.inUse);
-                if (object) {
-                    object.inUse = true;
-                    return object;
-                }
-                return null;
+            // Waits for a released object; rejects with a PoolError on timeout
+            async acquire(options) {
+                return markUsed(await pool.acquire(options));
             },
-            
+
+            // null when all objects are in use
+            tryAcquire() {
+                return markUsed(pool.tryAcquire());
+            },
+
             release(object) {
-                object.inUse = false;
-            }
+                pool.release(object);
+            },
+
+            stats: () => pool.stats()
         };
     }
 
@@ -211,10 +231,11 @@ class MemoryMonitoring {
     static takeMemorySnapshot() {
         // Note: This is a pseudo-implementation
         // Real snapshots would use Chrome DevTools or similar
+        const capabilities = getCapabilities();
         return {
             timestamp: Date.now(),
-            memoryUsage: process.memoryUsage(),
-            performance: performance.memory || {}
+            memoryUsage: capabilities.has('processMemoryUsage') ? process.memoryUsage() : {},
+            performance: capabilities.has('performanceMemory') ? performance.memory : {}
         };
     }
 }
@@ -286,13 +307,42 @@ class MemoryMonitor {
     constructor(threshold) {
         this.threshold = threshold;
         this.warnings = [];
+        this.readUsage = MemoryMonitor.selectReader(getCapabilities());
+    }
+
+    // Pick the heap source this runtime offers, or null when there is none
+    static selectReader(capabilities) {
+        if (capabilities.has('performanceMemory')) {
+            return () => ({
+                used: performance.memory.usedJSHeapSize,
+                total: performance.memory.jsHeapSizeLimit
+            });
+        }
+        // heapTotal is only what V8 has allocated so far, so heapUsed/heapTotal
+        // sits near 1; compare against the heap size limit instead
+        const limit = capabilities.has('processMemoryUsage') ? MemoryMonitor.heapLimit() : null;
+        if (limit) {
+            return () => ({ used: process.memoryUsage().heapUsed, total: limit });
+        }
+        return null;
+    }
+
+    static heapLimit() {
+        try {
+            return require('v8').getHeapStatistics().heap_size_limit || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isSupported() {
+        return this.readUsage !== null;
     }
 
     monitor() {
-        if (!performance.memory) return;
+        if (!this.readUsage) return;
         
-        const used = performance.memory.usedJSHeapSize;
-        const total = performance.memory.jsHeapSizeLimit;
+        const { used, total } = this.readUsage();
         
         if (used / total > this.threshold) {
             const warning = {
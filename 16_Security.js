@@ -10,6 +10,9 @@ Before starting this module, ensure you understand:
 4. Data handling
 */
 
+// Runtime capability report and Result type (see 01_JS_Introduction.js)
+const { getCapabilities, Result } = require('./01_JS_Introduction.js');
+
 // ************ INPUT VALIDATION ************
 
 class InputValidation {
@@ -87,7 +90,7 @@ class XSSPrevention {
 class CSRFProtection {
     // 1. Token Generation
     static generateToken() {
-        return crypto.getRandomValues(new Uint8Array(32))
+        return SecureStorage.getRandomBytes(32)
             .reduce((acc, val) => acc + val.toString(16).padStart(2, '0'), '');
     }
 
@@ -114,12 +117,54 @@ class CSRFProtection {
 // ************ SECURE DATA STORAGE ************
 
 class SecureStorage {
+    // In-memory stand-ins for runtimes without Web Storage (Node, workers)
+    static memoryStores = new Map();
+
+    // 0. Storage Selection
+    static getStorage(type = 'localStorage') {
+        if (getCapabilities().has(type)) {
+            return globalThis[type];
+        }
+        if (!this.memoryStores.has(type)) {
+            const items = new Map();
+            this.memoryStores.set(type, {
+                getItem: key => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => { items.set(key, String(value)); },
+                removeItem: key => { items.delete(key); },
+                clear: () => { items.clear(); }
+            });
+        }
+        return this.memoryStores.get(type);
+    }
+
+    static getSubtleCrypto() {
+        if (getCapabilities().has('webCrypto')) {
+            return globalThis.crypto.subtle;
+        }
+        throw new Error('Web Crypto API (crypto.subtle) is not available in this runtime');
+    }
+
+    static getRandomBytes(length) {
+        if (getCapabilities().has('randomValues')) {
+            return globalThis.crypto.getRandomValues(new Uint8Array(length));
+        }
+        throw new Error('crypto.getRandomValues is not available in this runtime');
+    }
+
+    static getTextEncoder() {
+        if (getCapabilities().has('textEncoder')) {
+            return new globalThis.TextEncoder();
+        }
+        throw new Error('TextEncoder is not available in this runtime');
+    }
+
     // 1. Encryption Helper
     static async encrypt(data, key) {
-        const encoder = new TextEncoder();
+        const subtle = this.getSubtleCrypto();
+        const encoder = this.getTextEncoder();
         const dataBuffer = encoder.encode(JSON.stringify(data));
         
-        const cryptoKey = await crypto.subtle.importKey(
+        const cryptoKey = await subtle.importKey(
             'raw',
             encoder.encode(key),
             { name: 'AES-GCM' },
@@ -127,8 +172,8 @@ class SecureStorage {
             ['encrypt']
         );
 
-        const iv = crypto.getRandomValues(new Uint8Array(12));
-        const encrypted = await crypto.subtle.encrypt(
+        const iv = this.getRandomBytes(12);
+        const encrypted = await subtle.encrypt(
             { name: 'AES-GCM', iv },
             cryptoKey,
             dataBuffer
@@ -144,7 +189,7 @@ class SecureStorage {
     static secureSet(key, value, secret) {
         return this.encrypt(value, secret)
             .then(encrypted => {
-                localStorage.setItem(key, JSON.stringify(encrypted));
+                this.getStorage('localStorage').setItem(key, JSON.stringify(encrypted));
                 return true;
             });
     }
@@ -157,7 +202,7 @@ class SecureStorage {
             lastAccess: Date.now()
         };
 
-        sessionStorage.setItem('session', JSON.stringify(session));
+        this.getStorage('sessionStorage').setItem('session', JSON.stringify(session));
         return session;
     }
 }
@@ -227,17 +272,10 @@ class SecureCoding {
 
     // 2. Safe Function Execution
     static safeExecute(fn, context = null, ...args) {
-        try {
-            return {
-                result: fn.apply(context, args),
-                error: null
-            };
-        } catch (error) {
-            return {
-                result: null,
-                error: error.message
-            };
-        }
+        return Result.try(() => fn.apply(context, args)).match({
+            ok: result => ({ result, error: null }),
+            err: error => ({ result: null, error: error.message })
+        });
     }
 
     // 3. Secure Eval Alternative
@@ -355,7 +393,7 @@ class SecureStorageManager {
 
     async get(key) {
         try {
-            const encrypted = JSON.parse(localStorage.getItem(key));
+            const encrypted = JSON.parse(SecureStorage.getStorage('localStorage').getItem(key));
             if (!encrypted) return null;
             
             // Implement decryption logic here
@@ -367,7 +405,7 @@ class SecureStorageManager {
     }
 
     clear() {
-        localStorage.clear();
+        SecureStorage.getStorage('localStorage').clear();
     }
 }
 
@@ -93,19 +93,19 @@ class Assertions {
     static assertThrows(fn) {
         try {
             fn();
-            throw new Error('Expected function to throw');
         } catch (error) {
             return error;
         }
+        throw new Error('Expected function to throw');
     }
 
     static async assertRejects(promise) {
         try {
             await promise;
-            throw new Error('Expected promise to reject');
         } catch (error) {
             return error;
         }
+        throw new Error('Expected promise to reject');
     }
 }
 
@@ -10,6 +10,12 @@ Before starting this module, ensure you understand:
 4. Browser rendering
 */
 
+// Shared memoization and scheduling (see 04_Functions_Scope.js)
+const { memoize, debounce, throttle, frameThrottle } = require('./04_Functions_Scope.js');
+
+// Bounded resource pooling (see 05_Objects_OOP.js)
+const { ResourcePool } = require('./05_Objects_OOP.js');
+
 // ************ CODE OPTIMIZATION ************
 
 class CodeOptimization {
@@ -21,18 +27,9 @@ class CodeOptimization {
         }
     }
 
-    // 2. Function Optimization
-    static memoize(fn) {
-        const cache = new Map();
-        
-        return (...args) => {
-            const key = JSON.stringify(args);
-            if (cache.has(key)) return cache.get(key);
-            
-            const result = fn.apply(this, args);
-            cache.set(key, result);
-            return result;
-        };
+    // 2. Function Optimization (memoize lives in 04_Functions_Scope.js)
+    static memoize(fn, options) {
+        return memoize(fn, options);
     }
 
     // 3. String Concatenation
@@ -167,23 +164,16 @@ class RenderingOptimization {
     }
 
     // 2. Debounce and Throttle
-    static debounce(fn, delay) {
-        let timeoutId;
-        return function(...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => fn.apply(this, args), delay);
-        };
+    static debounce(fn, delay, options) {
+        return debounce(fn, delay, options);
     }
 
-    static throttle(fn, limit) {
-        let inThrottle;
-        return function(...args) {
-            if (!inThrottle) {
-                fn.apply(this, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
+    static throttle(fn, limit, options) {
+        return throttle(fn, limit, options);
+    }
+
+    static frameThrottle(fn, options) {
+        return frameThrottle(fn, options);
     }
 
     // 3. Layout Optimization
@@ -206,28 +196,16 @@ class RenderingOptimization {
 
 class MemoryOptimization {
     // 1. Object Pooling
-    static createObjectPool(factory, size) {
-        const pool = Array(size).fill(null).map(() => ({
-            object: factory(),
-            inUse: false
-        }));
+    static createObjectPool(factory, size, { acquireTimeout = Infinity } = {}) {
+        const pool = new ResourcePool({ create: factory, min: size, max: size, acquireTimeout, idleTimeout: Infinity });
 
         return {
-            acquire() {
-                const available = pool.find(item => !item.inUse);
-                if (available) {
-                    available.inUse = true;
-                    return available.object;
-                }
-                return null;
-            },
-            
-            release(object) {
-                const poolItem = pool.find(item => item.object === object);
-                if (poolItem) {
-                    poolItem.inUse = false;
-                }
-            }
+            // Waits for a released object; rejects with a PoolError on timeout
+            acquire: options => pool.acquire(options),
+            // null when all objects are in use
+            tryAcquire: () => pool.tryAcquire(),
+            release: object => pool.release(object),
+            stats: () => pool.stats()
         };
     }
 
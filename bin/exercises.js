@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// ******************** EXERCISE RUNNER CLI ********************
+
+/*
+Usage:
+    exercises list [module]
+    exercises run <module|all> [--exercise <name>] [--solution <file>] [--timeout <ms>]
+
+Examples:
+    exercises list
+    exercises run 06
+    exercises run 01 --exercise safeOperation --solution ./my-answers.js
+*/
+
+const {
+    DEFAULT_TEST_TIMEOUT,
+    listModules,
+    resolveModule,
+    describeModule,
+    gradeModule,
+    formatModuleList,
+    formatReport
+} = require('../exercises/runner.js');
+
+const USAGE = `Usage:
+  exercises list [module]
+  exercises run <module|all> [--exercise <name>] [--solution <file>] [--timeout <ms>]`;
+
+function parseArgs(argv) {
+    const args = { positional: [], exercise: null, solution: null, timeout: DEFAULT_TEST_TIMEOUT };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--timeout') {
+            const timeout = Number(argv[++i]);
+            if (!(timeout > 0)) throw new Error('--timeout needs a positive number of milliseconds');
+            args.timeout = timeout;
+        } else if (arg === '--exercise' || arg === '--solution') {
+            if (!argv[i + 1]) throw new Error(`Missing value for ${arg}`);
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+async function main(argv) {
+    const { positional: [command, target], exercise, solution, timeout } = parseArgs(argv);
+
+    switch (command) {
+        case 'list': {
+            const modules = target ? [resolveModule(target)] : listModules();
+            console.log(formatModuleList(modules.map(describeModule)));
+            return 0;
+        }
+        case 'run': {
+            if (!target) throw new Error('Missing module to run');
+            if (target === 'all' && (exercise || solution)) {
+                throw new Error('--exercise and --solution need a single module');
+            }
+            const modules = target === 'all' ? listModules().map(mod => mod.name) : [target];
+            let passed = 0;
+            let failed = 0;
+            for (const mod of modules) {
+                const report = await gradeModule(mod, { exercise, solution, timeout });
+                console.log(formatReport(report));
+                passed += report.passed;
+                failed += report.failed;
+            }
+            if (modules.length > 1) {
+                console.log(`\nTotal: ${passed} passed, ${failed} failed`);
+            }
+            return failed > 0 ? 1 : 0;
+        }
+        default:
+            console.log(USAGE);
+            return command ? 1 : 0;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,324 @@
+// ******************** EXERCISE RUNNER ********************
+
+/*
+Discovers the exercises at the end of each numbered module and grades them
+against the reference suites in ./suites. Suites run against the shipped
+implementation by default, or against a learner's replacement file that
+exports the same names.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { TestRunner } = require('../17_Testing.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SUITES_DIR = path.join(__dirname, 'suites');
+
+const MODULE_FILE = /^(\d{2})_\w+\.js$/;
+const SECTION_HEADER = /^\/\/ \*+ (.+?) \*+\s*$/;
+const EXERCISE_SECTION = /^PRACTICAL (EXERCISES|APPLICATIONS|EXAMPLES|IMPLEMENTATIONS)$/;
+const EXERCISE_HEADING = /^\/\/ (?:(?:Exercise|Example) \d+: |\d+\. )(.+?)\s*$/;
+const DECLARATION = /^(?:async\s+)?(?:function\s*\*?\s*|class\s+|const\s+|let\s+)([A-Za-z_$][\w$]*)/;
+
+// A test that has not settled after this long is failed and its worker stopped
+const DEFAULT_TEST_TIMEOUT = 2000;
+
+// ************ DISCOVERY ************
+
+function listModules() {
+    return fs.readdirSync(ROOT)
+        .filter(file => MODULE_FILE.test(file))
+        .sort()
+        .map(file => ({
+            id: file.slice(0, 2),
+            name: path.basename(file, '.js'),
+            file: path.join(ROOT, file)
+        }));
+}
+
+// Accepts '1', '01', '01_JS_Introduction' or '01_JS_Introduction.js'
+function resolveModule(query) {
+    const normalized = String(query).replace(/\.js$/, '');
+    const id = /^\d+$/.test(normalized) ? normalized.padStart(2, '0') : null;
+    const match = listModules().find(mod => mod.name === normalized || mod.id === id);
+    if (!match) {
+        throw new Error(`Unknown module: ${query}`);
+    }
+    return match;
+}
+
+// An exercise is the exported declaration under an "Exercise N:" heading.
+// When a heading covers several (a helper plus the exercise), the one with a
+// reference suite wins, then the first one.
+function discoverExercises(mod, suite = loadSuite(mod)) {
+    const lines = fs.readFileSync(mod.file, 'utf8').split(/\r?\n/);
+    const exported = Object.keys(require(mod.file));
+    const groups = [];
+    let inSection = false;
+    let current = null;
+
+    for (const line of lines) {
+        const header = line.match(SECTION_HEADER);
+        if (header) {
+            inSection = EXERCISE_SECTION.test(header[1]);
+            current = null;
+            continue;
+        }
+        if (!inSection) continue;
+
+        const heading = line.match(EXERCISE_HEADING);
+        if (heading) {
+            current = { title: heading[1], names: [] };
+            groups.push(current);
+            continue;
+        }
+
+        const declaration = line.match(DECLARATION);
+        if (declaration && current && exported.includes(declaration[1])) {
+            current.names.push(declaration[1]);
+        }
+    }
+
+    return groups
+        .filter(group => group.names.length > 0)
+        .map(({ title, names }) => ({ name: names.find(name => name in suite) || names[0], title }));
+}
+
+// Suite entries that are not exercises check the module's library code; they
+// only run against the shipped implementation
+function discoverChecks(mod, suite, exercises) {
+    const exported = Object.keys(require(mod.file));
+    return Object.keys(suite)
+        .filter(name => exported.includes(name) && !exercises.some(exercise => exercise.name === name))
+        .map(name => ({ name, title: 'library check' }));
+}
+
+function loadSuite(mod) {
+    const suiteFile = path.join(SUITES_DIR, `${mod.name}.js`);
+    return fs.existsSync(suiteFile) ? require(suiteFile) : {};
+}
+
+function describeModule(mod) {
+    const suite = loadSuite(mod);
+    const exercises = discoverExercises(mod, suite);
+    const count = item => ({ ...item, tests: Object.keys(suite[item.name] || {}).length });
+    return {
+        ...mod,
+        exercises: exercises.map(count),
+        checks: discoverChecks(mod, suite, exercises).map(count)
+    };
+}
+
+// ************ GRADING ************
+
+function loadImplementation(mod, solution) {
+    if (!solution) return require(mod.file);
+    const solutionFile = path.resolve(solution);
+    if (!fs.existsSync(solutionFile)) {
+        throw new Error(`Solution file not found: ${solution}`);
+    }
+    return require(solutionFile);
+}
+
+// Exercises print as they go; keep their output out of the report
+async function withSilencedConsole(fn) {
+    const original = {};
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+        original[method] = console[method];
+        console[method] = () => {};
+    }
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+// Runs inside a worker: grades the named tests one by one and reports each
+// start and result, so the main thread knows which test to blame for a hang
+async function runTestsInWorker({ moduleFile, solution, exerciseName, testNames }) {
+    const mod = listModules().find(item => item.file === moduleFile);
+    const tests = loadSuite(mod)[exerciseName];
+    const implementation = loadImplementation(mod, solution);
+
+    for (const name of testNames) {
+        parentPort.postMessage({ type: 'start', name });
+        const runner = new TestRunner();
+        runner.test(name, () => {
+            if (!(exerciseName in implementation)) {
+                throw new Error(`Solution does not export ${exerciseName}`);
+            }
+            return tests[name](implementation);
+        });
+        const results = await withSilencedConsole(() => runner.runTests());
+        const failure = results.failures[0];
+        parentPort.postMessage({ type: 'result', name, error: failure ? failure.error.message : null });
+    }
+    parentPort.postMessage({ type: 'done' });
+}
+
+// Resolves with the results it got; a test that stalls past the timeout is
+// failed, the worker is terminated and the remaining tests run in a new one
+function runTestBatch(task, timeout) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { gradeTask: task } });
+        const results = [];
+        let current = null;
+        let timer = null;
+
+        const finish = (stalled, reason) => {
+            clearTimeout(timer);
+            resolve({ results, stalled, reason });
+        };
+        const watch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                worker.terminate();
+                finish(current, `Timed out after ${timeout}ms`);
+            }, timeout);
+        };
+
+        worker.on('message', message => {
+            if (message.type === 'start') {
+                current = message.name;
+                watch();
+            } else if (message.type === 'result') {
+                current = null;
+                results.push({ name: message.name, error: message.error });
+                clearTimeout(timer);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                finish(null);
+            } else if (message.type === 'fatal') {
+                clearTimeout(timer);
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        });
+        worker.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        // Nothing left to wait on: the test's promise can never settle
+        worker.on('exit', () => finish(current, 'Never settled: the test was waiting on a promise nothing resolves'));
+    });
+}
+
+async function gradeExercise(exercise, testNames, { moduleFile, solution, timeout }) {
+    const outcomes = new Map();
+    let remaining = testNames;
+
+    while (remaining.length > 0) {
+        const { results, stalled, reason } = await runTestBatch(
+            { moduleFile, solution, exerciseName: exercise.name, testNames: remaining }, timeout);
+        results.forEach(({ name, error }) => outcomes.set(name, error));
+        if (stalled) {
+            outcomes.set(stalled, reason);
+        }
+        remaining = remaining.filter(name => !outcomes.has(name));
+        if (!stalled && remaining.length > 0) {
+            // The worker exited without finishing (process.exit in a solution)
+            remaining.forEach(name => outcomes.set(name, 'Worker exited before the test finished'));
+            remaining = [];
+        }
+    }
+
+    const tests = testNames.map(name => ({
+        name,
+        passed: outcomes.get(name) === null,
+        error: outcomes.get(name)
+    }));
+    return {
+        ...exercise,
+        passed: tests.filter(test => test.passed).length,
+        failed: tests.filter(test => !test.passed).length,
+        tests
+    };
+}
+
+async function gradeModule(query, { solution = null, exercise = null, timeout = DEFAULT_TEST_TIMEOUT } = {}) {
+    const mod = resolveModule(query);
+    const suite = loadSuite(mod);
+    // Fail fast on a missing solution file, before any worker starts
+    loadImplementation(mod, solution);
+
+    const discovered = discoverExercises(mod, suite);
+    let exercises = solution ? discovered : [...discovered, ...discoverChecks(mod, suite, discovered)];
+    if (exercise) {
+        exercises = exercises.filter(({ name }) => name === exercise);
+        if (exercises.length === 0) {
+            throw new Error(`Unknown exercise ${exercise} in ${mod.name}`);
+        }
+    }
+
+    const graded = [];
+    for (const item of exercises) {
+        const tests = suite[item.name];
+        graded.push(tests
+            ? await gradeExercise(item, Object.keys(tests), { moduleFile: mod.file, solution, timeout })
+            : { ...item, passed: 0, failed: 0, tests: [], skipped: 'no reference suite' });
+    }
+
+    return {
+        module: mod.name,
+        solution: solution ? path.resolve(solution) : null,
+        exercises: graded,
+        passed: graded.reduce((sum, item) => sum + item.passed, 0),
+        failed: graded.reduce((sum, item) => sum + item.failed, 0)
+    };
+}
+
+// ************ REPORTING ************
+
+function formatModuleList(modules) {
+    const row = ({ name, title, tests }) =>
+        `  ${name.padEnd(24)} ${title}${tests ? ` [${tests} test${tests === 1 ? '' : 's'}]` : ' [no reference suite]'}`;
+    return modules.map(mod => {
+        const header = `${mod.name}${mod.exercises.length ? '' : ' (no exercises)'}`;
+        return [header, ...mod.exercises.map(row), ...(mod.checks || []).map(row)].join('\n');
+    }).join('\n\n');
+}
+
+function formatReport(report) {
+    const lines = [`${report.module}${report.solution ? ` (solution: ${report.solution})` : ''}`];
+    if (report.exercises.length === 0) {
+        lines.push('  no exercises');
+        return lines.join('\n');
+    }
+
+    for (const exercise of report.exercises) {
+        if (exercise.skipped) {
+            lines.push(`  - ${exercise.name}: skipped (${exercise.skipped})`);
+            continue;
+        }
+        lines.push(`  ${exercise.failed ? '✗' : '✓'} ${exercise.name} (${exercise.passed}/${exercise.tests.length})`);
+        for (const test of exercise.tests) {
+            lines.push(test.passed
+                ? `      ✓ ${test.name}`
+                : `      ✗ ${test.name}\n          ${test.error}`);
+        }
+    }
+
+    lines.push(`  ${report.passed} passed, ${report.failed} failed`);
+    return lines.join('\n');
+}
+
+if (!isMainThread && workerData && workerData.gradeTask) {
+    runTestsInWorker(workerData.gradeTask).catch(error => {
+        parentPort.postMessage({ type: 'fatal', message: error.message });
+    });
+}
+
+module.exports = {
+    DEFAULT_TEST_TIMEOUT,
+    listModules,
+    resolveModule,
+    discoverExercises,
+    discoverChecks,
+    describeModule,
+    loadSuite,
+    gradeModule,
+    formatModuleList,
+    formatReport
+};
@@ -0,0 +1,95 @@
+// Reference suite for 01_JS_Introduction.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    helloWorld: {
+        'returns the classic greeting': ({ helloWorld }) => {
+            Assertions.assertEquals(helloWorld(), 'Hello, World!');
+        }
+    },
+
+    detectEnvironment: {
+        'returns a known environment name': ({ detectEnvironment }) => {
+            Assertions.assertTruthy(['browser', 'node', 'unknown'].includes(detectEnvironment()));
+        },
+        'reports node when running under Node.js': ({ detectEnvironment }) => {
+            Assertions.assertEquals(detectEnvironment(), 'node');
+        }
+    },
+
+    safeOperation: {
+        'returns the operation result': ({ safeOperation }) => {
+            Assertions.assertEquals(safeOperation(() => 42), 42);
+        },
+        'returns null when the operation throws': ({ safeOperation }) => {
+            Assertions.assertEquals(safeOperation(() => { throw new Error('boom'); }), null);
+        }
+    },
+
+    Result: {
+        'wraps a return value or a thrown error': ({ Result }) => {
+            const ok = Result.try(JSON.parse, '{"items":[1]}');
+            Assertions.assertTruthy(ok.isOk());
+            Assertions.assertDeepEquals(ok.map(data => data.items).unwrap(), [1]);
+            const err = Result.try(JSON.parse, '{');
+            Assertions.assertTruthy(err.isErr());
+            Assertions.assertEquals(err.error.name, 'SyntaxError');
+            Assertions.assertTruthy(err.map(() => 'never') === err);
+            Assertions.assertEquals(err.unwrapOr('fallback'), 'fallback');
+            Assertions.assertEquals(err.unwrapOrElse(error => error.name), 'SyntaxError');
+            Assertions.assertEquals(Assertions.assertThrows(() => err.unwrap()).name, 'SyntaxError');
+        },
+        'tells a null result apart from a failure': ({ Result }) => {
+            Assertions.assertTruthy(Result.try(() => null).isOk());
+            Assertions.assertEquals(Result.try(() => null).unwrapOr('fallback'), null);
+            Assertions.assertEquals(Assertions.assertThrows(() => Result.err('nope').unwrap()).message, 'Called unwrap on Err: nope');
+        },
+        'chains with flatMap and match': ({ Result }) => {
+            const half = n => (n % 2 === 0 ? Result.ok(n / 2) : Result.err(new RangeError(`${n} is odd`)));
+            const describe = result => result.match({ ok: value => `ok ${value}`, err: error => `err ${error.message}` });
+            Assertions.assertEquals(describe(Result.ok(8).flatMap(half).flatMap(half)), 'ok 2');
+            Assertions.assertEquals(describe(Result.ok(6).flatMap(half).flatMap(half)), 'err 3 is odd');
+            Assertions.assertEquals(Result.err('x').mapErr(error => error.toUpperCase()).error, 'X');
+            Assertions.assertThrows(() => Result.ok(1).flatMap(value => value));
+        },
+        'turns async rejections into Err': async ({ Result }) => {
+            const rejected = await Result.tryAsync(async () => { throw new TypeError('offline'); });
+            Assertions.assertTruthy(rejected.isErr());
+            Assertions.assertEquals(rejected.error.message, 'offline');
+            Assertions.assertEquals((await Result.fromPromise(Promise.resolve(3))).unwrap(), 3);
+            Assertions.assertEquals((await Result.fromPromise(Promise.reject(new Error('down')))).error.message, 'down');
+            const fetchUser = Result.fromAsync(async id => ({ id }));
+            Assertions.assertEquals((await fetchUser(4)).value.id, 4);
+        },
+        'collects with all and picks the first success with any': ({ Result }) => {
+            const failure = Result.err('second');
+            Assertions.assertDeepEquals(Result.all([Result.ok(1), Result.ok(2)]).value, [1, 2]);
+            Assertions.assertTruthy(Result.all([Result.ok(1), failure, Result.err('third')]) === failure);
+            Assertions.assertEquals(Result.any([Result.err('a'), Result.ok(2), Result.ok(3)]).value, 2);
+            Assertions.assertDeepEquals(Result.any([Result.err('a'), Result.err('b')]).error, ['a', 'b']);
+        },
+        'serializes errors by message': ({ Result }) => {
+            Assertions.assertEquals(JSON.stringify(Result.ok(1)), '{"ok":true,"value":1}');
+            Assertions.assertEquals(JSON.stringify(Result.err(new Error('boom'))), '{"ok":false,"error":"boom"}');
+        }
+    },
+
+    getCapabilities: {
+        'probes a global once and reuses the report': ({ getCapabilities }) => {
+            let probes = 0;
+            const fakeGlobal = { get fetch() { probes++; return () => {}; } };
+            const first = getCapabilities(fakeGlobal);
+            Assertions.assertEquals(getCapabilities(fakeGlobal), first);
+            Assertions.assertEquals(probes, 1);
+            Assertions.assertTruthy(first.has('fetch'));
+        },
+        'probes again on refresh': ({ getCapabilities }) => {
+            const fakeGlobal = {};
+            const before = getCapabilities(fakeGlobal);
+            fakeGlobal.fetch = () => {};
+            Assertions.assertFalsy(getCapabilities(fakeGlobal).has('fetch'));
+            Assertions.assertTruthy(getCapabilities(fakeGlobal, { refresh: true }).has('fetch'));
+            Assertions.assertTruthy(before !== getCapabilities(fakeGlobal));
+        }
+    }
+};
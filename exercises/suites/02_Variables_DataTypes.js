@@ -0,0 +1,289 @@
+// Reference suite for 02_Variables_DataTypes.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    identifyType: {
+        'reports typeof for primitives': ({ identifyType }) => {
+            Assertions.assertEquals(identifyType(42).type, 'number');
+            Assertions.assertEquals(identifyType('a').type, 'string');
+            Assertions.assertTruthy(identifyType(42).isPrimitive);
+        },
+        'flags null and undefined': ({ identifyType }) => {
+            Assertions.assertTruthy(identifyType(null).isNull);
+            Assertions.assertTruthy(identifyType(undefined).isUndefined);
+            Assertions.assertFalsy(identifyType(0).isNull);
+        },
+        'treats objects as non-primitive': ({ identifyType }) => {
+            Assertions.assertFalsy(identifyType({}).isPrimitive);
+            Assertions.assertFalsy(identifyType([]).isPrimitive);
+        }
+    },
+
+    safeTypeConversion: {
+        'converts numeric strings to numbers': ({ safeTypeConversion }) => {
+            Assertions.assertEquals(safeTypeConversion('42', 'number'), 42);
+        },
+        'returns null for non-numeric input': ({ safeTypeConversion }) => {
+            Assertions.assertEquals(safeTypeConversion('abc', 'number'), null);
+        },
+        'converts to string and boolean': ({ safeTypeConversion }) => {
+            Assertions.assertEquals(safeTypeConversion(12, 'string'), '12');
+            Assertions.assertEquals(safeTypeConversion(1, 'boolean'), true);
+        },
+        'returns null for unsupported targets': ({ safeTypeConversion }) => {
+            Assertions.assertEquals(safeTypeConversion('x', 'date'), null);
+        }
+    },
+
+    deepFreeze: {
+        'freezes the object itself': ({ deepFreeze }) => {
+            Assertions.assertTruthy(Object.isFrozen(deepFreeze({ a: 1 })));
+        },
+        'freezes nested objects and arrays': ({ deepFreeze }) => {
+            const frozen = deepFreeze({ nested: { list: [1, 2] } });
+            Assertions.assertTruthy(Object.isFrozen(frozen.nested));
+            Assertions.assertTruthy(Object.isFrozen(frozen.nested.list));
+        }
+    },
+
+    TypeClassifier: {
+        'describes class instances by their prototype chain': ({ TypeClassifier }) => {
+            class Animal {}
+            class Dog extends Animal {}
+            const info = TypeClassifier.classify(new Dog());
+            Assertions.assertDeepEquals(info.prototypeChain, ['Dog', 'Animal', 'Object']);
+            Assertions.assertTruthy(info.isClassInstance);
+            Assertions.assertFalsy(info.isPlainObject);
+        },
+        'separates plain objects, boxed primitives and built-ins': ({ TypeClassifier }) => {
+            Assertions.assertTruthy(TypeClassifier.classify(Object.create(null)).isPlainObject);
+            Assertions.assertTruthy(TypeClassifier.classify(Object(1)).isBoxed);
+            Assertions.assertEquals(TypeClassifier.classify(new Map()).kind, 'map');
+            Assertions.assertFalsy(TypeClassifier.classify(new Map()).isClassInstance);
+        },
+        'does not call a proxy with a throwing getPrototypeOf plain': ({ TypeClassifier }) => {
+            const opaque = new Proxy({}, { getPrototypeOf() { throw new Error('no'); } });
+            Assertions.assertFalsy(TypeClassifier.classify(opaque).isPlainObject);
+        },
+        'recognises a proxied class as a class': ({ TypeClassifier }) => {
+            class Cart {}
+            Assertions.assertEquals(TypeClassifier.classify(new Proxy(Cart, {})).kind, 'class');
+            Assertions.assertEquals(TypeClassifier.classify(new Proxy(Map, {})).kind, 'function');
+            Assertions.assertEquals(TypeClassifier.classify(() => {}).kind, 'function');
+        },
+        'prefers registered custom types': ({ TypeClassifier }) => {
+            class Money {}
+            const classifier = new TypeClassifier()
+                .registerClass(Money)
+                .register('email', value => typeof value === 'string' && value.includes('@'));
+            Assertions.assertEquals(classifier.classify(new Money()).kind, 'Money');
+            Assertions.assertEquals(classifier.classify('a@b.c').kind, 'email');
+            Assertions.assertEquals(classifier.unregister('email').classify('a@b.c').kind, 'string');
+        }
+    },
+
+    CoercionEngine: {
+        'coerces a record and collects every error': ({ CoercionEngine }) => {
+            const result = new CoercionEngine().coerce({ age: '42', active: 'off', score: 'x' }, {
+                age: 'integer', active: 'boolean', score: 'float', role: { type: 'string', required: true }
+            });
+            Assertions.assertDeepEquals(result.errors.map(error => error.path), ['score', 'role']);
+            Assertions.assertEquals(result.value.age, 42);
+            Assertions.assertEquals(result.value.active, false);
+        },
+        'reads only own keys from URLSearchParams': ({ CoercionEngine }) => {
+            const { value } = new CoercionEngine().coerce(
+                new URLSearchParams('constructor=a&toString=b&tag=x&tag=y'),
+                { constructor: 'string', toString: 'string', tag: { type: 'array', of: 'string' } });
+            Assertions.assertEquals(value.constructor, 'a');
+            Assertions.assertEquals(value.toString, 'b');
+            Assertions.assertDeepEquals(value.tag, ['x', 'y']);
+        },
+        'rejects dates that overflow the calendar': ({ CoercionEngine }) => {
+            for (const strict of [true, false]) {
+                const result = new CoercionEngine({ strict }).coerce({ day: '2024-02-30' }, { day: 'date' });
+                Assertions.assertFalsy(result.ok);
+            }
+            const leap = new CoercionEngine({ strict: true }).coerce({ day: '2024-02-29' }, { day: 'date' });
+            Assertions.assertTruthy(leap.ok);
+        },
+        'reads a four digit string as a year in lenient mode': ({ CoercionEngine }) => {
+            const { value } = new CoercionEngine().coerce({ year: '2024', at: 1000 }, { year: 'date', at: 'date' });
+            Assertions.assertEquals(value.year.toISOString(), '2024-01-01T00:00:00.000Z');
+            Assertions.assertEquals(value.at.getTime(), 1000);
+        },
+        'does not turn arrays or booleans into numbers': ({ CoercionEngine }) => {
+            const result = new CoercionEngine().coerce({ a: [], b: true, c: ' 2.5 ' }, { a: 'float', b: 'float', c: 'float' });
+            Assertions.assertDeepEquals(result.errors.map(error => error.path), ['a', 'b']);
+            Assertions.assertEquals(result.value.c, 2.5);
+        }
+    },
+
+    ConfigLoader: {
+        'masks nested secrets when printed': ({ ConfigLoader }) => {
+            const config = new ConfigLoader({
+                db: { host: 'string', password: { type: 'string', secret: true } },
+                users: { type: 'array', of: { name: 'string', pin: { type: 'integer', secret: true } } }
+            }, { env: {}, defaults: { db: { host: 'h', password: 'p' }, users: [{ name: 'a', pin: 1 }] } }).load();
+            Assertions.assertEquals(config.db.password, 'p');
+            Assertions.assertDeepEquals(JSON.parse(JSON.stringify(config)), {
+                db: { host: 'h', password: ConfigLoader.MASK },
+                users: [{ name: 'a', pin: ConfigLoader.MASK }]
+            });
+        },
+        'masks nested secrets in errors': ({ ConfigLoader }) => {
+            const loader = new ConfigLoader({ db: { password: { type: 'integer', secret: true } } },
+                { env: {}, defaults: { db: { password: 'hunter2' } } });
+            try {
+                loader.load();
+                throw new Error('expected a ConfigError');
+            } catch (error) {
+                Assertions.assertEquals(error.errors[0].path, 'db.password');
+                Assertions.assertEquals(error.errors[0].value, ConfigLoader.MASK);
+            }
+        },
+        'does not echo malformed dotenv lines': ({ ConfigLoader }) => {
+            const { values, errors } = ConfigLoader.parseDotenv('API_KEY sk-live-123\nA=1');
+            Assertions.assertEquals(values.A, '1');
+            Assertions.assertEquals(errors[0].value, null);
+        },
+        'masks secrets inside objects taken out of the config': ({ ConfigLoader }) => {
+            const util = require('util');
+            const config = new ConfigLoader({
+                db: { host: 'string', password: { type: 'string', secret: true } }
+            }, { env: {}, defaults: { db: { host: 'h', password: 'p' } } }).load();
+            Assertions.assertEquals(JSON.stringify(config.db), '{"host":"h","password":"********"}');
+            Assertions.assertFalsy(util.inspect(config.db).includes("'p'"));
+            Assertions.assertEquals(config.db.password, 'p');
+        },
+        'fills nested fields from double underscore keys': ({ ConfigLoader }) => {
+            const config = new ConfigLoader({ db: { host: 'string', port: 'integer' } },
+                { env: { db__port: '5432' }, defaults: { db: { host: 'h', port: 1 } } }).load();
+            Assertions.assertEquals(config.db.host, 'h');
+            Assertions.assertEquals(config.db.port, 5432);
+        }
+    },
+    Immutable: {
+        'produces from cyclic state without re-walking shared branches': ({ Immutable, deepFreeze }) => {
+            const base = { list: [{ n: 1 }], shared: { deep: { value: 1 } } };
+            base.self = base;
+            deepFreeze(base);
+            const next = Immutable.produce(base, draft => { draft.list[0].n = 2; });
+            Assertions.assertEquals(next.list[0].n, 2);
+            Assertions.assertEquals(base.list[0].n, 1);
+            Assertions.assertTruthy(next.shared === base.shared);
+            Assertions.assertTruthy(next.self === base);
+        },
+        'finalizes a draft that refers to itself': ({ Immutable }) => {
+            const next = Immutable.produce({ a: 1 }, draft => { draft.me = draft; });
+            Assertions.assertTruthy(next.me === next);
+            Assertions.assertTruthy(Object.isFrozen(next));
+        },
+        'copies dates as dates': ({ Immutable }) => {
+            const next = Immutable.setIn({ at: new Date(0) }, 'at.label', 'epoch');
+            Assertions.assertTruthy(next.at instanceof Date);
+            Assertions.assertEquals(next.at.getTime(), 0);
+            Assertions.assertEquals(next.at.label, 'epoch');
+        },
+        'sets, updates and removes along a path while sharing the rest': ({ Immutable }) => {
+            const state = { users: [{ name: 'Ada', visits: 1 }], settings: { theme: 'dark' } };
+            const named = Immutable.setIn(state, ['users', 0, 'name'], 'Grace');
+            Assertions.assertEquals(named.users[0].name, 'Grace');
+            Assertions.assertEquals(state.users[0].name, 'Ada');
+            Assertions.assertTruthy(named.settings === state.settings);
+            Assertions.assertTruthy(Immutable.isDeepFrozen(named));
+
+            const visited = Immutable.updateIn(named, 'users.0.visits', visits => visits + 1);
+            Assertions.assertEquals(visited.users[0].visits, 2);
+            Assertions.assertTruthy(Immutable.updateIn(visited, 'users.0.visits', visits => visits) === visited);
+
+            const removed = Immutable.removeIn(visited, ['users', 0]);
+            Assertions.assertDeepEquals(removed.users, []);
+            Assertions.assertTruthy(Immutable.removeIn(removed, 'settings.missing') === removed);
+        },
+        'merges plain objects deeply and replaces everything else': ({ Immutable }) => {
+            const base = { a: { x: 1, y: 2 }, list: [1, 2] };
+            const next = Immutable.merge(base, { a: { y: 3 } }, { list: [3] });
+            Assertions.assertDeepEquals(next, { a: { x: 1, y: 3 }, list: [3] });
+            Assertions.assertTruthy(Immutable.merge(next, { a: { x: 1 } }) === next);
+            Assertions.assertThrows(() => Immutable.merge({}, JSON.parse('{"__proto__": {"polluted": true}}')));
+        },
+        'locks collections and reports them deep-frozen': ({ Immutable, deepFreeze }) => {
+            const state = deepFreeze({ map: new Map([['k', { n: 1 }]]), set: new Set([1]), at: new Date(0) });
+            Assertions.assertTruthy(Immutable.isDeepFrozen(state));
+            Assertions.assertThrows(() => state.map.set('j', 2));
+            Assertions.assertThrows(() => state.set.add(2));
+            Assertions.assertThrows(() => state.at.setFullYear(2000));
+            Assertions.assertFalsy(Immutable.isDeepFrozen({ map: new Map() }));
+            Assertions.assertFalsy(Immutable.isDeepFrozen(Object.freeze({ map: Object.freeze(new Map()) })));
+        },
+        'refuses collections that were frozen beforehand': ({ Immutable, deepFreeze }) => {
+            const map = Object.freeze(new Map());
+            Assertions.assertEquals(Assertions.assertThrows(() => deepFreeze({ map })).name, 'TypeError');
+            Assertions.assertFalsy(Immutable.isDeepFrozen(map));
+            map.set(1, 2);
+            Assertions.assertEquals(map.get(1), 2);
+        }
+    },
+
+    Money: {
+        'adds without float drift': ({ Money }) => {
+            const total = Money.of('0.1', 'USD').add(Money.of('0.2', 'USD'));
+            Assertions.assertTruthy(total.equals(Money.of('0.3', 'USD')));
+            Assertions.assertEquals(total.toDecimalString(), '0.30');
+        },
+        'reads exponent notation from strings and numbers': ({ Money }) => {
+            Assertions.assertEquals(Money.of('1e21', 'USD').toDecimalString(), '1000000000000000000000.00');
+            Assertions.assertEquals(Money.of(1e21, 'USD').toDecimalString(), '1000000000000000000000.00');
+            Assertions.assertEquals(Money.of('1.25E2', 'JPY').toDecimalString(), '125');
+            Assertions.assertEquals(Money.of('-2.5e-1', 'USD').toDecimalString(), '-0.25');
+            Assertions.assertEquals(Assertions.assertThrows(() => Money.of('1e', 'USD')).name, 'SyntaxError');
+        },
+        'allocates every minor unit': ({ Money }) => {
+            const parts = Money.of('100', 'USD').split(3);
+            Assertions.assertDeepEquals(parts.map(part => part.toDecimalString()), ['33.34', '33.33', '33.33']);
+        },
+        'rounds with the requested mode': ({ Money }) => {
+            const rounded = mode => ['0.125', '0.135', '-0.125'].map(amount => Money.of(amount, 'USD', { rounding: mode }).toDecimalString());
+            Assertions.assertDeepEquals(rounded('HALF_EVEN'), ['0.12', '0.14', '-0.12']);
+            Assertions.assertDeepEquals(rounded('HALF_UP'), ['0.13', '0.14', '-0.13']);
+            Assertions.assertDeepEquals(rounded('HALF_DOWN'), ['0.12', '0.13', '-0.12']);
+            Assertions.assertDeepEquals(rounded('UP'), ['0.13', '0.14', '-0.13']);
+            Assertions.assertDeepEquals(rounded('DOWN'), ['0.12', '0.13', '-0.12']);
+            Assertions.assertDeepEquals(rounded('CEILING'), ['0.13', '0.14', '-0.12']);
+            Assertions.assertDeepEquals(rounded('FLOOR'), ['0.12', '0.13', '-0.13']);
+            Assertions.assertEquals(Money.of('19.99', 'USD').multiply('0.0825').toDecimalString(), '1.65');
+            Assertions.assertEquals(Assertions.assertThrows(() => Money.of('1', 'USD', { rounding: 'NEAREST' })).name, 'RangeError');
+        },
+        'refuses to mix currencies': ({ Money, CurrencyMismatchError }) => {
+            const error = Assertions.assertThrows(() => Money.of('5', 'USD').add(Money.of('5', 'EUR')));
+            Assertions.assertTruthy(error instanceof CurrencyMismatchError);
+            Assertions.assertDeepEquals(error.currencies, ['USD', 'EUR']);
+            Assertions.assertThrows(() => Money.of('5', 'USD').compare(Money.of('5', 'EUR')));
+        },
+        'formats for a locale': ({ Money }) => {
+            Assertions.assertEquals(Money.of('-1234.5', 'USD').format('en-US'), '-$1,234.50');
+            Assertions.assertEquals(Money.of('1234', 'JPY').format('en-US'), '¥1,234');
+            Assertions.assertEquals(Money.of('1234.5', 'EUR').format('de-DE').replace(/\s/g, ' '), '1.234,50 €');
+        },
+        'parses what format produces': ({ Money }) => {
+            const amounts = [
+                [Money.of('-1234567.5', 'USD'), 'en-US'],
+                [Money.of('1234567.5', 'EUR'), 'de-DE'],
+                [Money.of('-1234.5', 'EUR'), 'fr-FR'],
+                [Money.of('1234567.5', 'INR'), 'en-IN']
+            ];
+            for (const [money, locale] of amounts) {
+                Assertions.assertTruthy(Money.parse(money.format(locale), money.currency, locale).equals(money));
+            }
+            const accounting = Money.of('-5', 'USD').format('en-US', { currencySign: 'accounting' });
+            Assertions.assertEquals(Money.parse(accounting, 'USD', 'en-US').toDecimalString(), '-5.00');
+            Assertions.assertEquals(Money.parse('USD 12.5', 'USD', 'en-US').toDecimalString(), '12.50');
+        },
+        'rejects malformed amounts when parsing': ({ Money }) => {
+            for (const text of ['1e5', '12-34', '1,23.45', '$1.2.3', '€5', '-$-5', '(-5)', '$5$', '']) {
+                Assertions.assertEquals(Assertions.assertThrows(() => Money.parse(text, 'USD', 'en-US')).name, 'SyntaxError');
+            }
+        }
+    }
+};
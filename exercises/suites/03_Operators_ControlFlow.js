@@ -0,0 +1,365 @@
+// Reference suite for 03_Operators_ControlFlow.js exercises
+const { Assertions } = require('../../17_Testing.js');
+const { ManualClock } = require('../../04_Functions_Scope.js');
+
+const uploadMachine = StateMachine => new StateMachine({
+    id: 'upload',
+    type: 'parallel',
+    states: {
+        file: { initial: 'sending', states: { sending: { on: { SENT: 'sent' } }, sent: { type: 'final' } } },
+        meta: { initial: 'saving', states: { saving: { on: { SAVED: 'saved' } }, saved: { type: 'final' } } }
+    }
+});
+
+const shippingTable = {
+    name: 'shipping',
+    rules: [
+        { id: 'free', when: { 'order.total': { '>=': 100 } }, then: { rate: 0 } },
+        { id: 'local', when: { country: 'US', weight: { between: [0, 5] } }, then: { rate: 5 } },
+        { id: 'nearby', when: { country: ['CA', 'MX'] }, then: { rate: 12 } }
+    ],
+    default: { rate: 25 }
+};
+
+module.exports = {
+    customForEach: {
+        'visits every element with its index': ({ customForEach }) => {
+            const seen = [];
+            customForEach(['a', 'b', 'c'], (value, index) => { seen.push(`${index}:${value}`); });
+            Assertions.assertDeepEquals(seen, ['0:a', '1:b', '2:c']);
+        },
+        'stops when the callback returns false': ({ customForEach }) => {
+            const seen = [];
+            customForEach([1, 2, 3, 4], value => {
+                seen.push(value);
+                return value < 2;
+            });
+            Assertions.assertDeepEquals(seen, [1, 2]);
+        }
+    },
+
+    safeNavigate: {
+        'reads nested properties': ({ safeNavigate }) => {
+            Assertions.assertEquals(safeNavigate({ a: { b: { c: 3 } } }, 'a.b.c'), 3);
+        },
+        'returns undefined for missing branches': ({ safeNavigate }) => {
+            Assertions.assertEquals(safeNavigate({ a: null }, 'a.b.c'), undefined);
+        },
+        'reads own properties of primitives': ({ safeNavigate }) => {
+            Assertions.assertEquals(safeNavigate({ s: 'abc' }, 's.length'), 3);
+        },
+        'reads inherited getters but not inherited methods': ({ safeNavigate }) => {
+            Assertions.assertEquals(safeNavigate(new Map([[1, 2]]), 'size'), 1);
+            Assertions.assertEquals(safeNavigate({ list: [] }, 'list.map'), undefined);
+            Assertions.assertEquals(safeNavigate({}, 'toString'), undefined);
+        }
+    },
+
+    patternMatch: {
+        'runs the handler of the first matching predicate': ({ patternMatch }) => {
+            const patterns = new Map([
+                [value => value < 0, () => 'negative'],
+                [value => value > 0, () => 'positive']
+            ]);
+            Assertions.assertEquals(patternMatch(5, patterns), 'positive');
+        },
+        'falls back to the default entry': ({ patternMatch }) => {
+            const patterns = new Map([
+                [value => value < 0, () => 'negative'],
+                ['default', () => 'zero']
+            ]);
+            Assertions.assertEquals(patternMatch(0, patterns), 'zero');
+        },
+        'uses options.otherwise and throws in strict mode': ({ patternMatch, NonExhaustiveMatchError }) => {
+            const patterns = new Map([[{ type: 'circle' }, () => 'circle']]);
+            Assertions.assertEquals(patternMatch({ type: 'square' }, patterns, { otherwise: () => 'other' }), 'other');
+            Assertions.assertEquals(patternMatch({ type: 'square' }, patterns), undefined);
+            const error = Assertions.assertThrows(() => patternMatch({ type: 'square' }, patterns, { strict: true }));
+            Assertions.assertTruthy(error instanceof NonExhaustiveMatchError);
+        }
+    },
+
+    match: {
+        'binds selections for the handler': ({ match, Pattern }) => {
+            const area = shape => match(shape)
+                .with({ type: 'circle', radius: Pattern.select('r') }, (value, { r }) => r * r * 3)
+                .with({ type: 'rect', w: Pattern.select('w'), h: Pattern.select('h') }, (value, { w, h }) => w * h)
+                .exhaustive();
+            Assertions.assertEquals(area({ type: 'circle', radius: 2 }), 12);
+            Assertions.assertEquals(area({ type: 'rect', w: 2, h: 5 }), 10);
+        },
+        'skips a case whose guard fails': ({ match, Pattern }) => {
+            const describe = shape => match(shape)
+                .with({ type: 'rect', w: Pattern.select('w'), h: Pattern.select('h') }, (value, { w, h }) => w === h, () => 'square')
+                .with({ type: 'rect' }, () => 'rect')
+                .run();
+            Assertions.assertEquals(describe({ type: 'rect', w: 2, h: 2 }), 'square');
+            Assertions.assertEquals(describe({ type: 'rect', w: 2, h: 3 }), 'rect');
+        },
+        'falls back to otherwise, run or an exhaustive error': ({ match, NonExhaustiveMatchError }) => {
+            Assertions.assertEquals(match(7).with(1, () => 'one').otherwise(value => `other ${value}`), 'other 7');
+            Assertions.assertEquals(match(7).with(1, () => 'one').run(), undefined);
+            const error = Assertions.assertThrows(() => match({ id: 7 }).with(1, () => 'one').exhaustive());
+            Assertions.assertTruthy(error instanceof NonExhaustiveMatchError);
+            Assertions.assertEquals(error.value.id, 7);
+            Assertions.assertTruthy(error.message.includes('{"id":7}'));
+        },
+        'matches predicates with when': ({ match }) => {
+            Assertions.assertEquals(match(-3).when(value => value < 0, () => 'negative').run(), 'negative');
+        }
+    },
+
+    Pattern: {
+        'compares literals with Object.is': ({ Pattern }) => {
+            Assertions.assertTruthy(Pattern.test(NaN, NaN, {}));
+            Assertions.assertFalsy(Pattern.test(0, -0, {}));
+            Assertions.assertTruthy(Pattern.test(/^\d+$/, '42', {}));
+            Assertions.assertFalsy(Pattern.test(/^\d+$/, 42, {}));
+        },
+        'checks ranges and types': ({ Pattern }) => {
+            Assertions.assertTruthy(Pattern.test(Pattern.range(0, 9), 9, {}));
+            Assertions.assertFalsy(Pattern.test(Pattern.range(0, 9, { inclusive: false }), 9, {}));
+            Assertions.assertFalsy(Pattern.test(Pattern.range(0, 9), '5', {}));
+            Assertions.assertTruthy(Pattern.test(Pattern.range(0n, 9n), 3n, {}));
+            Assertions.assertFalsy(Pattern.test(Pattern.number, NaN, {}));
+            Assertions.assertTruthy(Pattern.test(Pattern.instanceOf(Date), new Date(), {}));
+        },
+        'binds the rest of an array': ({ Pattern }) => {
+            const bindings = {};
+            Assertions.assertTruthy(Pattern.test([Pattern.select('first'), Pattern.rest('middle'), 9], [1, 2, 3, 9], bindings));
+            Assertions.assertDeepEquals(bindings, { first: 1, middle: [2, 3] });
+            Assertions.assertFalsy(Pattern.test([1, 2], [1, 2, 3], {}));
+            Assertions.assertFalsy(Pattern.test([1, Pattern.rest(), 9], [1], {}));
+            Assertions.assertThrows(() => Pattern.test([Pattern.rest(), Pattern.rest()], [1], {}));
+        },
+        'keeps bindings only from the branch of a union that matched': ({ Pattern }) => {
+            const bindings = {};
+            const pattern = Pattern.union({ a: Pattern.select('x'), b: 1 }, { c: Pattern.select('y') });
+            Assertions.assertTruthy(Pattern.test(pattern, { a: 5, b: 2, c: 6 }, bindings));
+            Assertions.assertDeepEquals(bindings, { y: 6 });
+        },
+        'treats optional keys as possibly missing': ({ Pattern }) => {
+            Assertions.assertTruthy(Pattern.test({ name: Pattern.string, age: Pattern.optional(Pattern.number) }, { name: 'Ada' }, {}));
+            Assertions.assertFalsy(Pattern.test({ name: Pattern.string, age: Pattern.number }, { name: 'Ada' }, {}));
+            Assertions.assertFalsy(Pattern.test(Pattern.not(Pattern.string), 'x', {}));
+            Assertions.assertTruthy(Pattern.test(Pattern.arrayOf(Pattern.number), [1, 2], {}));
+        }
+    },
+
+    PathQuery: {
+        'refuses to write an out-of-range negative index': ({ PathQuery }) => {
+            const target = { a: [] };
+            const error = Assertions.assertThrows(() => PathQuery.set(target, 'a[-1]', 1));
+            Assertions.assertEquals(error.name, 'RangeError');
+            Assertions.assertDeepEquals(Object.keys(target.a), []);
+        },
+        'accepts negative numbers in filters': ({ PathQuery }) => {
+            const orders = { orders: [{ total: -2 }, { total: 0 }, { total: 5 }] };
+            Assertions.assertDeepEquals(PathQuery.getAll(orders, 'orders[?(@.total > -1)].total'), [0, 5]);
+        },
+        'keeps the parse cache bounded': ({ PathQuery }) => {
+            for (let i = 0; i <= PathQuery.CACHE_LIMIT; i++) PathQuery.get({}, `key${i}`);
+            Assertions.assertEquals(PathQuery.cache.size, PathQuery.CACHE_LIMIT);
+            Assertions.assertFalsy(PathQuery.cache.has('key0'));
+        },
+        'overwrites only existing keys through wildcards and recursion': ({ PathQuery }) => {
+            const data = { id: 1, a: { id: 2, list: [{ id: 3 }, { x: 1 }] }, tags: [1, 2] };
+            PathQuery.set(data, '$..id', 0);
+            Assertions.assertDeepEquals(data, { id: 0, a: { id: 0, list: [{ id: 0 }, { x: 1 }] }, tags: [1, 2] });
+            const users = { users: [{ email: 'a' }, {}] };
+            PathQuery.set(users, 'users[*].email', 'x');
+            PathQuery.set(users, 'users[?(@.email == "x")].role', 'admin');
+            Assertions.assertDeepEquals(users, { users: [{ email: 'x' }, {}] });
+        },
+        'creates missing keys along a definite path': ({ PathQuery }) => {
+            Assertions.assertDeepEquals(PathQuery.set({}, 'a.list[1].name', 'x'), { a: { list: [undefined, { name: 'x' }] } });
+        }
+    },
+
+    StateMachine: {
+        'runs guarded transitions and merges action results into the context': ({ StateMachine }) => {
+            const machine = new StateMachine({
+                initial: 'cart',
+                context: { items: 0 },
+                states: {
+                    cart: { on: { ADD: { actions: ctx => ({ items: ctx.items + 1 }) }, CHECKOUT: { target: 'paid', guard: 'hasItems' } } },
+                    paid: { type: 'final' }
+                }
+            }, { guards: { hasItems: ctx => ctx.items > 0 } });
+            const service = machine.start();
+            Assertions.assertFalsy(service.send('CHECKOUT').changed);
+            service.send('ADD');
+            const state = service.send('CHECKOUT');
+            Assertions.assertEquals(state.value, 'paid');
+            Assertions.assertEquals(state.context.items, 1);
+            Assertions.assertTruthy(state.done);
+        },
+        'fires delayed transitions on the given clock': ({ StateMachine }) => {
+            const clock = new ManualClock();
+            const machine = new StateMachine({
+                initial: 'waiting',
+                states: { waiting: { after: { 100: 'expired' } }, expired: {} }
+            });
+            const service = machine.start({ clock });
+            clock.tick(99);
+            Assertions.assertEquals(service.state.value, 'waiting');
+            clock.tick(1);
+            Assertions.assertEquals(service.state.value, 'expired');
+        },
+        'finishes a parallel root once every region is final': ({ StateMachine }) => {
+            const service = uploadMachine(StateMachine).start();
+            service.send('SENT');
+            Assertions.assertEquals(service.status, 'running');
+            const state = service.send('SAVED');
+            Assertions.assertEquals(service.status, 'done');
+            Assertions.assertTruthy(state.done);
+        },
+        'restores a serialized snapshot': ({ StateMachine }) => {
+            const machine = uploadMachine(StateMachine);
+            const service = machine.start();
+            service.send('SENT');
+            const restored = machine.restore(JSON.parse(JSON.stringify(service.serialize())));
+            Assertions.assertDeepEquals(restored.state.value, { file: 'sent', meta: 'saving' });
+            restored.send('SAVED');
+            Assertions.assertEquals(restored.status, 'done');
+            Assertions.assertEquals(machine.restore({ value: { file: 'sent', meta: 'saved' }, context: {} }).status, 'done');
+        },
+        'draws Mermaid and DOT diagrams': ({ StateMachine }) => {
+            const machine = uploadMachine(StateMachine);
+            const mermaid = machine.toMermaid();
+            Assertions.assertTruthy(mermaid.startsWith('stateDiagram-v2\n    state upload {'));
+            Assertions.assertTruthy(mermaid.includes('\n        --\n'));
+            Assertions.assertTruthy(mermaid.includes('file_sending --> file_sent : SENT'));
+            const dot = machine.toDot();
+            Assertions.assertTruthy(dot.includes('subgraph "cluster_meta" {'));
+            Assertions.assertTruthy(dot.includes('"meta.saved" [label="saved", shape=doublecircle];'));
+            Assertions.assertTruthy(dot.includes('"__start" -> "file.sending";'));
+        }
+    },
+
+    CoercionExplainer: {
+        'explains [] == ![] step by step': ({ CoercionExplainer }) => {
+            const { result, steps, text } = CoercionExplainer.explain([], '==', false);
+            Assertions.assertEquals(result, true);
+            Assertions.assertDeepEquals(steps[0], {
+                type: 'operation', depth: 0, operation: 'IsLooselyEqual', detail: 'IsLooselyEqual([], false)', result: true
+            });
+            Assertions.assertTruthy(text.includes('call Array.prototype.toString() → ""'));
+            Assertions.assertTruthy(text.endsWith('Result: true'));
+        },
+        'calls valueOf and toString once each, in engine order': ({ CoercionExplainer }) => {
+            const calls = [];
+            const operand = {
+                valueOf() { calls.push('valueOf'); return {}; },
+                toString() { calls.push('toString'); return '7'; }
+            };
+            Assertions.assertEquals(CoercionExplainer.explain(operand, '+', 1).result, '71');
+            Assertions.assertDeepEquals(calls, ['valueOf', 'toString']);
+        },
+        'reports errors thrown by the operation': ({ CoercionExplainer }) => {
+            const { error, text } = CoercionExplainer.explain(Symbol('x'), '+', '');
+            Assertions.assertEquals(error.name, 'TypeError');
+            Assertions.assertTruthy(text.includes('Throws TypeError'));
+        },
+        'follows BigInt and null comparison rules': ({ CoercionExplainer }) => {
+            Assertions.assertEquals(CoercionExplainer.explain(1n, '<', '2').result, true);
+            Assertions.assertEquals(CoercionExplainer.explain(null, '==', 0).result, false);
+            Assertions.assertEquals(CoercionExplainer.explain(null, '>=', 0).result, true);
+        },
+        'rejects unknown operators': ({ CoercionExplainer }) => {
+            Assertions.assertThrows(() => CoercionExplainer.explain(1, '**', 2));
+        }
+    },
+
+    DecisionTable: {
+        'fires the first matching rule or falls back to the default': ({ DecisionTable }) => {
+            const table = new DecisionTable(shippingTable);
+            Assertions.assertDeepEquals(table.evaluate({ order: { total: 150 }, country: 'US', weight: 2 }),
+                { output: { rate: 0 }, fired: ['free'] });
+            Assertions.assertDeepEquals(table.evaluate({ country: 'MX' }), { output: { rate: 12 }, fired: ['nearby'] });
+            Assertions.assertDeepEquals(table.evaluate({ order: { total: '150' }, country: 'FR' }),
+                { output: { rate: 25 }, fired: [] });
+        },
+        'explains why each rule did or did not fire': ({ DecisionTable }) => {
+            const { text, usedDefault } = new DecisionTable(shippingTable).explain({ order: { total: 10 }, country: 'CA' });
+            Assertions.assertFalsy(usedDefault);
+            Assertions.assertTruthy(text.includes('✗ free: order.total >= 100 failed (got 10)'));
+            Assertions.assertTruthy(text.includes('✓ nearby fired'));
+        },
+        'applies the unique, priority and collect hit policies': ({ DecisionTable, DecisionTableError }) => {
+            const unique = new DecisionTable({
+                hitPolicy: 'unique',
+                rules: [{ id: 'a', when: { x: { '>': 1 } }, then: 1 }, { id: 'b', when: { x: { '<': 10 } }, then: 2 }]
+            });
+            const error = Assertions.assertThrows(() => unique.evaluate({ x: 5 }));
+            Assertions.assertTruthy(error instanceof DecisionTableError);
+            Assertions.assertDeepEquals(error.rules, ['a', 'b']);
+
+            const priority = new DecisionTable({ hitPolicy: 'priority', rules: [{ id: 'a', then: 1 }, { id: 'b', priority: 2, then: 2 }] });
+            Assertions.assertEquals(priority.evaluate({}).output, 2);
+
+            const collect = new DecisionTable({ hitPolicy: 'collect', rules: [{ id: 'a', then: 1 }, { id: 'b', when: { x: 1 }, then: 2 }] });
+            Assertions.assertDeepEquals(collect.evaluate({ x: 1 }).output, [1, 2]);
+        },
+        'reports contradictory and unreachable rules': ({ DecisionTable }) => {
+            const { valid, issues } = new DecisionTable({
+                rules: [
+                    { id: 'wide', when: { x: { '>': 1 } }, then: 1 },
+                    { id: 'narrow', when: { x: { '>': 5 } }, then: 2 },
+                    { id: 'never', when: { x: { '>': 5, '<': 2 } }, then: 3 }
+                ]
+            }).validate();
+            Assertions.assertFalsy(valid);
+            Assertions.assertDeepEquals(issues.map(issue => `${issue.type}:${issue.rules.join(',')}`),
+                ['unsatisfiable:never', 'overlap:wide,narrow', 'unreachable:narrow,wide']);
+        },
+        'rejects unknown hit policies': ({ DecisionTable, DecisionTableError }) => {
+            const error = Assertions.assertThrows(() => new DecisionTable({ hitPolicy: 'any', rules: [] }));
+            Assertions.assertTruthy(error instanceof DecisionTableError);
+        }
+    },
+
+    RuleEngine: {
+        'evaluates tables by name': ({ RuleEngine, DecisionTableError }) => {
+            const engine = new RuleEngine([shippingTable]);
+            Assertions.assertDeepEquals(engine.evaluate('shipping', { country: 'CA' }).output, { rate: 12 });
+            Assertions.assertTruthy(engine.validate().shipping.valid);
+            Assertions.assertTruthy(Assertions.assertThrows(() => engine.evaluate('tax', {})) instanceof DecisionTableError);
+        }
+    },
+
+    Iteration: {
+        'keeps the mapped result of the item that skips ahead': async ({ Iteration }) => {
+            const callback = value => (value === 2 ? Iteration.skip(2, 'two') : value * 10);
+            Assertions.assertDeepEquals(Iteration.map([1, 2, 3, 4, 5], callback), [10, 'two', 50]);
+            Assertions.assertDeepEquals(await Iteration.mapAsync([1, 2, 3, 4, 5], callback), [10, 'two', 50]);
+        },
+        'stops a pending next() when the signal aborts': async ({ Iteration }) => {
+            const controller = new AbortController();
+            async function* stalled() {
+                yield 1;
+                await new Promise(() => {});
+            }
+            const summary = Iteration.forEachAsync(stalled(), () => {
+                setTimeout(() => controller.abort(), 0);
+            }, { signal: controller.signal });
+            Assertions.assertDeepEquals(await summary, { processed: 1, skipped: 0, stopped: 'abort' });
+        },
+        'registers one abort listener for the whole loop': async ({ Iteration }) => {
+            const controller = new AbortController();
+            const { signal } = controller;
+            let listeners = 0;
+            const addEventListener = signal.addEventListener.bind(signal);
+            signal.addEventListener = (...args) => {
+                listeners++;
+                return addEventListener(...args);
+            };
+            async function* numbers() {
+                for (let i = 0; i < 100; i++) yield i;
+            }
+            const summary = await Iteration.forEachAsync(numbers(), () => {}, { signal });
+            Assertions.assertEquals(summary.processed, 100);
+            Assertions.assertEquals(listeners, 1);
+        }
+    }
+};
@@ -0,0 +1,436 @@
+// Reference suite for 04_Functions_Scope.js exercises
+const { Assertions, TestDoubles } = require('../../17_Testing.js');
+
+module.exports = {
+    pipeline: {
+        'applies functions left to right': ({ pipeline }) => {
+            const run = pipeline(x => x + 1, x => x * 10);
+            Assertions.assertEquals(run(1), 20);
+        },
+        'returns the input when empty': ({ pipeline }) => {
+            Assertions.assertEquals(pipeline()(7), 7);
+        },
+        'throws the failing step\'s own error': ({ pipeline }) => {
+            const failure = new TypeError('bad input');
+            const error = Assertions.assertThrows(() => pipeline(x => x, () => { throw failure; })(1));
+            Assertions.assertTruthy(error === failure);
+        }
+    },
+
+    AdvancedFunctions: {
+        'composes right to left and keeps errors as thrown': async ({ AdvancedFunctions }) => {
+            Assertions.assertEquals(AdvancedFunctions.compose(x => x * 10, x => x + 1)(1), 20);
+            const failure = new RangeError('too big');
+            const run = AdvancedFunctions.compose(x => x, async () => { throw failure; });
+            const error = await Assertions.assertRejects(run(1));
+            Assertions.assertTruthy(error === failure);
+        }
+    },
+
+    Pipeline: {
+        'names the failing step in a PipelineError': ({ Pipeline, PipelineError }) => {
+            const failure = new Error('no user');
+            const handle = new Pipeline('request')
+                .pipe('parse', body => body)
+                .branch('auth', () => true, new Pipeline('verified').pipe('lookup', () => { throw failure; }));
+            const error = Assertions.assertThrows(() => handle.run({}));
+            Assertions.assertTruthy(error instanceof PipelineError);
+            Assertions.assertDeepEquals(error.path, ['auth', 'lookup']);
+            Assertions.assertTruthy(error.cause === failure);
+        },
+        'throws the original error when wrapErrors is off': ({ Pipeline }) => {
+            const failure = new Error('boom');
+            const handle = new Pipeline('plain', { wrapErrors: false }).pipe('explode', () => { throw failure; });
+            Assertions.assertTruthy(Assertions.assertThrows(() => handle.run(1)) === failure);
+        },
+        'stops early with Pipeline.stop': async ({ Pipeline }) => {
+            const handle = new Pipeline()
+                .pipe('load', async x => x + 1)
+                .pipe('guard', x => (x > 1 ? Pipeline.stop('cached') : x))
+                .pipe('never', () => 'unreachable');
+            Assertions.assertEquals(await handle.run(1), 'cached');
+        }
+    },
+
+    retry: {
+        'resolves once an attempt succeeds': async ({ retry }) => {
+            let calls = 0;
+            const result = await retry(async () => {
+                if (++calls < 3) throw new Error('flaky');
+                return 'ok';
+            }, 3, 0);
+            Assertions.assertEquals(result, 'ok');
+            Assertions.assertEquals(calls, 3);
+        },
+        'rejects with the last error after all attempts': async ({ retry }) => {
+            let calls = 0;
+            const error = await Assertions.assertRejects(retry(async () => {
+                calls++;
+                throw new Error(`failure ${calls}`);
+            }, 2, 0));
+            Assertions.assertEquals(error.message, 'failure 2');
+        }
+    },
+
+    EventEmitter: {
+        'calls every listener with the payload': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const first = TestDoubles.createSpy();
+            const second = TestDoubles.createSpy();
+            emitter.on('data', first);
+            emitter.on('data', second);
+            emitter.emit('data', 'payload');
+            Assertions.assertDeepEquals(first.calls, [['payload']]);
+            Assertions.assertDeepEquals(second.calls, [['payload']]);
+        },
+        'ignores events without listeners': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            emitter.emit('nothing', 1);
+        },
+        'removes listeners and runs once listeners a single time': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const removed = TestDoubles.createSpy();
+            const single = TestDoubles.createSpy();
+            emitter.on('data', removed);
+            emitter.off('data', removed);
+            emitter.once('data', single);
+            emitter.emit('data', 1, 2);
+            emitter.emit('data', 3);
+            Assertions.assertDeepEquals(removed.calls, []);
+            Assertions.assertDeepEquals(single.calls, [[1, 2]]);
+            Assertions.assertEquals(emitter.listenerCount('data'), 0);
+        },
+        'throws unhandled error events': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const error = Assertions.assertThrows(() => emitter.emit('error', new Error('boom')));
+            Assertions.assertEquals(error.message, 'boom');
+    },
+        'runs prepended listeners first': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const order = [];
+            emitter.on('data', () => order.push('on'));
+            emitter.prependListener('data', () => order.push('prepend'));
+            emitter.prependOnceListener('data', () => order.push('prependOnce'));
+            emitter.emit('data');
+            emitter.emit('data');
+            Assertions.assertDeepEquals(order, ['prependOnce', 'prepend', 'on', 'prepend', 'on']);
+        },
+        'removes all listeners of one event or of every event': ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const removed = [];
+            const listener = () => {};
+            emitter.on('a', listener).on('a', () => {}).once('b', listener);
+            Assertions.assertDeepEquals(emitter.eventNames(), ['a', 'b']);
+            Assertions.assertEquals(emitter.listenerCount('a'), 2);
+            Assertions.assertEquals(emitter.listenerCount('b', listener), 1);
+            emitter.on('removeListener', (event, removedListener) => removed.push([event, removedListener === listener]));
+            emitter.removeAllListeners('a');
+            Assertions.assertDeepEquals(emitter.eventNames(), ['b', 'removeListener']);
+            emitter.removeAllListeners();
+            Assertions.assertDeepEquals(emitter.eventNames(), []);
+            Assertions.assertDeepEquals(removed, [['a', false], ['a', true], ['b', true]]);
+        },
+        'warns once when an event passes the listener limit': ({ EventEmitter }) => {
+            const emitter = new EventEmitter().setMaxListeners(1);
+            const warnings = [];
+            const emitWarning = process.emitWarning;
+            process.emitWarning = warning => warnings.push(warning);
+            try {
+                emitter.on('data', () => {});
+                emitter.on('data', () => {});
+                emitter.on('data', () => {});
+            } finally {
+                process.emitWarning = emitWarning;
+            }
+            Assertions.assertEquals(warnings.length, 1);
+            Assertions.assertEquals(warnings[0].name, 'MaxListenersExceededWarning');
+            Assertions.assertEquals(warnings[0].count, 2);
+            Assertions.assertThrows(() => emitter.setMaxListeners(-1));
+        },
+        'resolves once with the event arguments and rejects on error': async ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const next = EventEmitter.once(emitter, 'ready');
+            emitter.emit('ready', 1, 2);
+            Assertions.assertDeepEquals(await next, [1, 2]);
+
+            const failed = EventEmitter.once(emitter, 'ready');
+            emitter.emit('error', new Error('boom'));
+            Assertions.assertEquals((await Assertions.assertRejects(failed)).message, 'boom');
+            Assertions.assertDeepEquals(emitter.eventNames(), []);
+
+            const controller = new AbortController();
+            const aborted = EventEmitter.once(emitter, 'ready', { signal: controller.signal });
+            controller.abort();
+            Assertions.assertEquals((await Assertions.assertRejects(aborted)).name, 'AbortError');
+        },
+        'iterates events with on and cleans up on break': async ({ EventEmitter }) => {
+            const emitter = new EventEmitter();
+            const seen = [];
+            const reading = (async () => {
+                for await (const [value] of EventEmitter.on(emitter, 'data')) {
+                    seen.push(value);
+                    if (value === 3) break;
+                }
+            })();
+            emitter.emit('data', 1);
+            emitter.emit('data', 2);
+            emitter.emit('data', 3);
+            await reading;
+            Assertions.assertDeepEquals(seen, [1, 2, 3]);
+            Assertions.assertDeepEquals(emitter.eventNames(), []);
+
+            const failing = (async () => {
+                for await (const args of EventEmitter.on(emitter, 'data')) seen.push(args);
+            })();
+            emitter.emit('error', new Error('closed'));
+            Assertions.assertEquals((await Assertions.assertRejects(failing)).message, 'closed');
+            Assertions.assertDeepEquals(emitter.eventNames(), []);
+        }
+    },
+
+    curry: {
+        'collects arguments across calls': ({ curry }) => {
+            const add = curry((a, b, c) => a + b + c);
+            Assertions.assertEquals(add(1)(2)(3), 6);
+            Assertions.assertEquals(add(1, 2)(3), 6);
+            Assertions.assertEquals(add(1).length, 2);
+        },
+        'fills placeholders first': ({ curry, _ }) => {
+            const divide = curry((a, b) => a / b);
+            Assertions.assertEquals(divide(_, 2)(10), 5);
+        },
+        'honours an explicit arity and this': ({ curry }) => {
+            const greet = curry((greeting, name = 'you') => `${greeting}, ${name}`, 2);
+            Assertions.assertEquals(greet('Hi')('Ada'), 'Hi, Ada');
+            const counter = { step: 2, times: curry(function (n) { return this.step * n; }) };
+            Assertions.assertEquals(counter.times(3), 6);
+        },
+        'rejects bad input': ({ curry }) => {
+            Assertions.assertEquals(Assertions.assertThrows(() => curry(1)).name, 'TypeError');
+            Assertions.assertEquals(Assertions.assertThrows(() => curry(() => 1, -1)).name, 'RangeError');
+        }
+    },
+
+    curryRight: {
+        'fills argument groups from the right': ({ curryRight }) => {
+            const divide = curryRight((a, b) => a / b);
+            Assertions.assertEquals(divide(2)(10), 5);
+        }
+    },
+
+    partial: {
+        'presets leading arguments and placeholders': ({ partial, _ }) => {
+            const divide = (a, b) => a / b;
+            Assertions.assertEquals(partial(divide, 8)(4), 2);
+            Assertions.assertEquals(partial(divide, _, 4)(8), 2);
+        }
+    },
+
+    partialRight: {
+        'presets trailing arguments': ({ partialRight, _ }) => {
+            const describe = (a, b, c) => `${a}-${b}-${c}`;
+            Assertions.assertEquals(partialRight((a, b) => a / b, 4)(8), 2);
+            Assertions.assertEquals(partialRight(describe, _, 'c')('a', 'b'), 'a-b-c');
+        }
+    },
+
+    fp: {
+        'builds point-free pipelines': ({ fp, pipeline }) => {
+            const users = [
+                { name: 'b', score: 2, active: true },
+                { name: 'a', score: 1, active: true },
+                { name: 'c', score: 0, active: false },
+                { name: 'd', active: true }
+            ];
+            const topNames = pipeline(fp.filter(user => user.active), fp.sortBy('score'), fp.map(fp.pick(['name', 'score'])));
+            Assertions.assertDeepEquals(topNames(users), [{ name: 'a', score: 1 }, { name: 'b', score: 2 }, { name: 'd' }]);
+        },
+        'curries every helper and accepts iterables': ({ fp }) => {
+            Assertions.assertEquals(fp.reduce((sum, n) => sum + n)(0)([1, 2, 3]), 6);
+            Assertions.assertDeepEquals(fp.map(n => n * 2, new Set([1, 2])), [2, 4]);
+            Assertions.assertDeepEquals(fp.omit(['a'])({ a: 1, b: 2 }), { b: 2 });
+            Assertions.assertEquals(fp.prop('x')(null), undefined);
+        }
+    },
+
+    debounce: {
+        'runs once after calls stop, with the latest arguments': ({ debounce, ManualClock }) => {
+            const clock = new ManualClock();
+            const calls = [];
+            const save = debounce(value => calls.push([value, clock.now()]), 100, { clock });
+            save(1);
+            clock.tick(50);
+            save(2);
+            clock.tick(99);
+            Assertions.assertDeepEquals(calls, []);
+            clock.tick(1);
+            Assertions.assertDeepEquals(calls, [[2, 150]]);
+        },
+        'runs on the leading edge only when asked': ({ debounce, ManualClock }) => {
+            const clock = new ManualClock();
+            const calls = [];
+            const press = debounce(value => calls.push(value), 100, { clock, leading: true, trailing: false });
+            press('a');
+            press('b');
+            clock.tick(200);
+            press('c');
+            Assertions.assertDeepEquals(calls, ['a', 'c']);
+        },
+        'never defers longer than maxWait': ({ debounce, ManualClock }) => {
+            const clock = new ManualClock();
+            const times = [];
+            const save = debounce(() => times.push(clock.now()), 100, { clock, maxWait: 250 });
+            for (let i = 0; i < 10; i++) {
+                save();
+                clock.tick(50);
+            }
+            clock.tick(200);
+            Assertions.assertDeepEquals(times, [250, 500]);
+        },
+        'flushes and cancels pending calls': ({ debounce, ManualClock }) => {
+            const clock = new ManualClock();
+            const calls = [];
+            const save = debounce(value => calls.push(value) && value * 2, 100, { clock });
+            save(3);
+            Assertions.assertTruthy(save.pending());
+            Assertions.assertEquals(save.flush(), 6);
+            Assertions.assertFalsy(save.pending());
+            save(4);
+            save.cancel();
+            clock.tick(200);
+            Assertions.assertDeepEquals(calls, [3]);
+        }
+    },
+
+    throttle: {
+        'runs at most once per wait, on both edges': ({ throttle, ManualClock }) => {
+            const clock = new ManualClock();
+            const calls = [];
+            const onScroll = throttle(value => calls.push([value, clock.now()]), 100, { clock });
+            for (let i = 0; i < 10; i++) {
+                onScroll(i);
+                clock.tick(30);
+            }
+            clock.tick(200);
+            Assertions.assertDeepEquals(calls, [[0, 0], [3, 100], [7, 210], [9, 310]]);
+        }
+    },
+
+    frameThrottle: {
+        'runs once per frame with the latest arguments': ({ frameThrottle, ManualClock }) => {
+            const clock = new ManualClock();
+            const drawn = [];
+            const draw = frameThrottle(value => drawn.push(value), { clock });
+            draw(1);
+            draw(2);
+            clock.frame();
+            draw(3);
+            clock.frame();
+            Assertions.assertDeepEquals(drawn, [2, 3]);
+        }
+    },
+
+    CallTracer: {
+        'records nested calls with their this binding': ({ CallTracer }) => {
+            class Cart {
+                constructor() {
+                    this.items = [];
+                }
+                add(item) {
+                    this.items.push(item);
+                    return this.items.length;
+                }
+                static create() {
+                    return new this();
+                }
+            }
+            const tracer = new CallTracer({ now: () => 0 });
+            const TracedCart = tracer.wrapClass(Cart);
+            TracedCart.create().add('book');
+            tracer.restore();
+            Assertions.assertDeepEquals(tracer.toText().split('\n'), [
+                'Cart.create() [this: class Cart] → Cart { items: [] }  0.00ms',
+                '  new Cart() [this: new instance] → Cart { items: [] }  0.00ms',
+                'Cart#add("book") [this: Cart] → 1  0.00ms'
+            ]);
+        },
+        'leaves unhandled rejections unhandled': async ({ CallTracer }) => {
+            const tracer = new CallTracer();
+            const failure = new Error('offline');
+            const load = tracer.wrap(async function load() { throw failure; });
+            const unhandled = [];
+            const listener = reason => unhandled.push(reason);
+            process.on('unhandledRejection', listener);
+            try {
+                load();
+                await new Promise(resolve => setTimeout(resolve, 10));
+            } finally {
+                process.off('unhandledRejection', listener);
+            }
+            Assertions.assertTruthy(unhandled[0] === failure);
+            Assertions.assertEquals(tracer.toJSON().calls[0].status, 'rejected');
+        },
+        'passes results and errors through to the caller': async ({ CallTracer }) => {
+            const tracer = new CallTracer();
+            const fetchUser = tracer.wrap(async id => ({ id }));
+            Assertions.assertDeepEquals(await fetchUser(7), { id: 7 });
+            const fail = tracer.wrap(() => { throw new TypeError('bad'); });
+            Assertions.assertEquals(Assertions.assertThrows(() => fail()).name, 'TypeError');
+            Assertions.assertDeepEquals(tracer.toJSON().calls.map(call => call.status), ['resolved', 'threw']);
+        }
+    },
+
+    memoize: {
+        'keys primitives by value and objects by identity': ({ memoize }) => {
+            let calls = 0;
+            const fn = memoize((...args) => ++calls);
+            const config = {};
+            Assertions.assertEquals(fn(1, config), fn(1, config));
+            Assertions.assertFalsy(fn(1, config) === fn(1, {}));
+            Assertions.assertFalsy(fn(0) === fn(-0));
+            Assertions.assertFalsy(fn(1) === fn(1, undefined));
+            Assertions.assertFalsy(fn(Symbol('a')) === fn(Symbol('a')));
+            Assertions.assertEquals(fn(Symbol.for('a')), fn(Symbol.for('a')));
+        },
+        'evicts the least recently used entry': ({ memoize }) => {
+            const double = memoize(x => x * 2, { maxSize: 2 });
+            double(1);
+            double(2);
+            double(1);
+            double(3);
+            Assertions.assertTruthy(double.has(1));
+            Assertions.assertFalsy(double.has(2));
+            Assertions.assertEquals(double.stats().evictions, 1);
+            Assertions.assertEquals(double.stats().size, 2);
+        },
+        'forgets invalidated and expired entries': ({ memoize }) => {
+            let time = 0;
+            const identity = memoize(x => x, { ttl: 10, now: () => time });
+            const item = {};
+            identity(item);
+            Assertions.assertTruthy(identity.invalidate(item));
+            Assertions.assertFalsy(identity.has(item));
+            identity(1);
+            time = 10;
+            Assertions.assertFalsy(identity.has(1));
+            Assertions.assertEquals(identity.stats().size, 0);
+        },
+        'retries after a rejection': async ({ memoize }) => {
+            let calls = 0;
+            const load = memoize(async () => {
+                calls++;
+                throw new Error('offline');
+            });
+            await load().catch(() => {});
+            await load().catch(() => {});
+            Assertions.assertEquals(calls, 2);
+        },
+        'uses a custom key resolver': ({ memoize }) => {
+            let calls = 0;
+            const fn = memoize(() => ++calls, { key: id => String(id) });
+            fn(1);
+            fn('1');
+            Assertions.assertEquals(calls, 1);
+        }
+    }
+};
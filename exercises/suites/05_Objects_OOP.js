@@ -0,0 +1,358 @@
+// Reference suite for 05_Objects_OOP.js exercises
+const { Assertions } = require('../../17_Testing.js');
+const { ManualClock } = require('../../04_Functions_Scope.js');
+
+// Lets promise chains inside the pool settle
+const settle = async (rounds = 5) => {
+    for (let i = 0; i < rounds; i++) await Promise.resolve();
+};
+
+module.exports = {
+    ObjectPool: {
+        'hands out created objects': async ({ ObjectPool }) => {
+            let created = 0;
+            const pool = new ObjectPool(() => ({ id: ++created }), 2);
+            Assertions.assertTruthy((await pool.acquire()).id);
+        },
+        'reuses released objects': async ({ ObjectPool }) => {
+            const pool = new ObjectPool(() => ({}), 0);
+            const item = await pool.acquire();
+            pool.release(item);
+            Assertions.assertEquals(await pool.acquire(), item);
+        },
+        'refuses to release an object twice': async ({ ObjectPool }) => {
+            const pool = new ObjectPool(() => ({}), 1);
+            const item = await pool.acquire();
+            pool.release(item);
+            Assertions.assertThrows(() => pool.release(item));
+        },
+        'waits for a release once max objects are out': async ({ ObjectPool }) => {
+            const pool = new ObjectPool(() => ({}), 1, { max: 1 });
+            const item = await pool.acquire();
+            Assertions.assertEquals(pool.tryAcquire(), null);
+            const waiting = pool.acquire();
+            pool.release(item);
+            Assertions.assertEquals(await waiting, item);
+        },
+        'rejects a wait that times out': async ({ ObjectPool }) => {
+            const pool = new ObjectPool(() => ({}), 1, { max: 1, acquireTimeout: 10 });
+            await pool.acquire();
+            const error = await Assertions.assertRejects(pool.acquire());
+            Assertions.assertEquals(error.code, 'POOL_TIMEOUT');
+        }
+    },
+
+    ResourcePool: {
+        'treats max 0 as a pool that is always empty': async ({ ResourcePool }) => {
+            const pool = new ResourcePool({ create: () => ({}), max: 0 });
+            Assertions.assertEquals(pool.tryAcquire(), null);
+            const error = await Assertions.assertRejects(pool.acquire());
+            Assertions.assertEquals(error.code, 'POOL_EMPTY');
+        },
+        'validates before reuse, resets on release and destroys broken resources': async ({ ResourcePool }) => {
+            let created = 0;
+            const destroyed = [];
+            const pool = new ResourcePool({
+                create: () => ({ id: ++created, alive: true, dirty: false }),
+                validate: conn => conn.alive,
+                reset: conn => { conn.dirty = false; },
+                destroy: conn => { destroyed.push(conn.id); },
+                max: 2,
+                clock: new ManualClock()
+            });
+            const first = await pool.acquire();
+            first.dirty = true;
+            await pool.release(first);
+            Assertions.assertFalsy(first.dirty);
+
+            first.alive = false;
+            const second = await pool.acquire();
+            Assertions.assertEquals(second.id, 2);
+            await settle();
+            Assertions.assertDeepEquals(destroyed, [1]);
+
+            await pool.destroy(second);
+            Assertions.assertDeepEquals(destroyed, [1, 2]);
+            Assertions.assertEquals(pool.size, 0);
+        },
+        'evicts idle resources above min': async ({ ResourcePool }) => {
+            const clock = new ManualClock();
+            const pool = new ResourcePool({ create: () => ({}), min: 1, max: 3, idleTimeout: 1000, clock });
+            const borrowed = [await pool.acquire(), await pool.acquire(), await pool.acquire()];
+            await Promise.all(borrowed.map(item => pool.release(item)));
+            Assertions.assertEquals(pool.size, 3);
+            clock.tick(999);
+            Assertions.assertEquals(pool.size, 3);
+            clock.tick(1);
+            Assertions.assertEquals(pool.size, 1);
+            Assertions.assertEquals(pool.stats().evicted, 2);
+        },
+        'drains once borrowed resources come back': async ({ ResourcePool }) => {
+            const destroyed = [];
+            const pool = new ResourcePool({ create: () => ({}), destroy: item => destroyed.push(item), min: 1, clock: new ManualClock() });
+            const item = await pool.acquire();
+            let drained = false;
+            const draining = pool.drain().then(() => { drained = true; });
+            await settle();
+            Assertions.assertFalsy(drained);
+            Assertions.assertEquals((await Assertions.assertRejects(pool.acquire())).code, 'POOL_DRAINING');
+            await pool.release(item);
+            await draining;
+            Assertions.assertDeepEquals(destroyed, [item]);
+            Assertions.assertEquals(pool.size, 0);
+        },
+        'lets a waiter leave when its signal aborts': async ({ ResourcePool }) => {
+            const pool = new ResourcePool({ create: () => ({}), max: 1, clock: new ManualClock() });
+            const item = await pool.acquire();
+            const controller = new AbortController();
+            const waiting = pool.acquire({ signal: controller.signal });
+            Assertions.assertEquals(pool.stats().pending, 1);
+            controller.abort(new Error('gave up'));
+            Assertions.assertEquals((await Assertions.assertRejects(waiting)).message, 'gave up');
+            Assertions.assertEquals(pool.stats().pending, 0);
+            await pool.release(item);
+            Assertions.assertEquals(pool.stats().available, 1);
+        },
+        'times out waiters on the injected clock and reports stats': async ({ ResourcePool }) => {
+            const clock = new ManualClock();
+            const pool = new ResourcePool({ create: () => ({}), max: 2, acquireTimeout: 500, clock });
+            await pool.acquire();
+            await pool.acquire();
+            const waiting = pool.acquire();
+            clock.tick(500);
+            Assertions.assertEquals((await Assertions.assertRejects(waiting)).code, 'POOL_TIMEOUT');
+            const stats = pool.stats();
+            Assertions.assertEquals(stats.size, 2);
+            Assertions.assertEquals(stats.borrowed, 2);
+            Assertions.assertEquals(stats.utilization, 1);
+            Assertions.assertEquals(stats.timedOut, 1);
+            Assertions.assertEquals(stats.created, 2);
+        },
+        'retries a failed create to stay at min': async ({ ResourcePool }) => {
+            const clock = new ManualClock();
+            let attempts = 0;
+            const pool = new ResourcePool({
+                create: async () => {
+                    attempts++;
+                    if (attempts === 1) throw new Error('connection refused');
+                    return { attempt: attempts };
+                },
+                min: 1,
+                retryDelay: 200,
+                clock
+            });
+            await settle();
+            Assertions.assertEquals(pool.size, 0);
+            Assertions.assertEquals(pool.stats().createErrors, 1);
+            clock.tick(200);
+            await settle();
+            Assertions.assertEquals(pool.size, 1);
+            Assertions.assertEquals(pool.stats().available, 1);
+        }
+    },
+
+    Calculator: {
+        'supports method chaining': ({ Calculator }) => {
+            Assertions.assertEquals(new Calculator().add(5).subtract(2).add(1).getResult(), 4);
+        }
+    },
+
+    createValidatedObject: {
+        'accepts values that pass the schema': ({ createValidatedObject }) => {
+            const user = createValidatedObject({ age: value => Number.isInteger(value) });
+            user.age = 30;
+            Assertions.assertEquals(user.age, 30);
+        },
+        'throws for invalid values': ({ createValidatedObject }) => {
+            const user = createValidatedObject({ age: value => Number.isInteger(value) });
+            Assertions.assertThrows(() => { user.age = 'old'; });
+        },
+        'throws for unknown properties': ({ createValidatedObject }) => {
+            const user = createValidatedObject({ age: value => Number.isInteger(value) });
+            Assertions.assertThrows(() => { user.nickname = 'Ada'; });
+        }
+    },
+
+    DeepClone: {
+        'copies built-ins, cycles and shared references': ({ DeepClone }) => {
+            const shared = { n: 1 };
+            const source = { at: new Date(0), tags: new Set(['a']), map: new Map([['k', shared]]), shared };
+            source.self = source;
+            const copy = DeepClone.clone(source);
+            Assertions.assertFalsy(copy === source);
+            Assertions.assertTruthy(copy.self === copy);
+            Assertions.assertTruthy(copy.map.get('k') === copy.shared);
+            Assertions.assertFalsy(copy.shared === shared);
+            Assertions.assertEquals(copy.at.getTime(), 0);
+            Assertions.assertTruthy(copy.tags.has('a'));
+        },
+        'copies String wrappers': ({ DeepClone }) => {
+            const text = new String('abc');
+            text.note = 'kept';
+            const copy = DeepClone.clone({ text }, { descriptors: true }).text;
+            Assertions.assertTruthy(copy instanceof String);
+            Assertions.assertEquals(String(copy), 'abc');
+            Assertions.assertEquals(copy.note, 'kept');
+            Assertions.assertEquals(String(DeepClone.clone(text)), 'abc');
+        },
+        'resolves cycles through a clone hook to one copy': ({ DeepClone }) => {
+            class Account {
+                #balance;
+                constructor(owner, balance) {
+                    this.owner = owner;
+                    this.#balance = balance;
+                }
+                get balance() {
+                    return this.#balance;
+                }
+                [Symbol.for('clone')](clone, adopt) {
+                    const copy = adopt(new Account(null, this.#balance));
+                    copy.owner = clone(this.owner);
+                    return copy;
+                }
+            }
+            const owner = { name: 'Ada' };
+            owner.account = new Account(owner, 5);
+            const copy = DeepClone.clone({ owner, account: owner.account });
+            Assertions.assertTruthy(copy.account.owner === copy.owner);
+            Assertions.assertTruthy(copy.owner.account === copy.account);
+            Assertions.assertEquals(copy.account.balance, 5);
+        },
+        'keeps one copy when a hook clones back into itself': ({ DeepClone }) => {
+            let hookRuns = 0;
+            const node = {
+                [Symbol.for('clone')](clone) {
+                    hookRuns++;
+                    return { peer: clone(this.peer) };
+                }
+            };
+            node.peer = { node };
+            const copy = DeepClone.clone({ node, peer: node.peer });
+            Assertions.assertTruthy(copy.peer.node === copy.node);
+            Assertions.assertTruthy(copy.node.peer === copy.peer);
+            Assertions.assertEquals(hookRuns, 2);
+        },
+        'throws DataCloneError for weak collections': ({ DeepClone, DataCloneError }) => {
+            Assertions.assertTruthy(Assertions.assertThrows(() => DeepClone.clone({ cache: new WeakMap() })) instanceof DataCloneError);
+        }
+    },
+
+    JsonPatch: {
+        'round-trips a diff and its inverse': ({ JsonPatch }) => {
+            const before = { name: 'Ada', tags: ['a', 'b', 'c'], meta: { v: 1 } };
+            const after = { name: 'Ada L.', tags: ['c', 'a', 'b'], meta: { v: 2, draft: true } };
+            const patch = JsonPatch.diff(before, after);
+            Assertions.assertDeepEquals(JsonPatch.applyPatch(before, patch), after);
+            Assertions.assertEquals(before.name, 'Ada');
+            Assertions.assertDeepEquals(JsonPatch.applyPatch(after, JsonPatch.inverse(before, patch)), before);
+        },
+        'compares dates by their JSON form': ({ JsonPatch }) => {
+            Assertions.assertDeepEquals(JsonPatch.diff({ at: new Date(0) }, { at: new Date(0) }), []);
+            const patch = JsonPatch.diff({ at: new Date(0) }, { at: new Date(1000) });
+            Assertions.assertEquals(patch.length, 1);
+            Assertions.assertEquals(patch[0].op, 'replace');
+            Assertions.assertEquals(JSON.stringify(patch[0].value), JSON.stringify(new Date(1000)));
+        },
+        'writes undefined array slots as null': ({ JsonPatch }) => {
+            Assertions.assertDeepEquals(JsonPatch.diff([1], [1, undefined]), [{ op: 'add', path: '/1', value: null }]);
+            Assertions.assertDeepEquals(JsonPatch.diff([1, 2], [1, undefined]), [{ op: 'replace', path: '/1', value: null }]);
+        },
+        'pairs an edited item that moved to another gap': ({ JsonPatch }) => {
+            const before = [{ id: 1 }, { id: 2 }, { id: 3 }];
+            const after = [{ id: 3 }, { id: 1 }, { id: 2, x: 1 }];
+            const patch = JsonPatch.diff(before, after);
+            Assertions.assertFalsy(patch.some(operation => operation.op === 'remove'));
+            Assertions.assertTruthy(patch.some(operation => operation.op === 'add' && operation.path === '/2/x'));
+            Assertions.assertDeepEquals(JsonPatch.applyPatch(before, patch), after);
+        },
+        'fails test operations with TEST_FAILED': ({ JsonPatch, JsonPatchError }) => {
+            const error = Assertions.assertThrows(() => JsonPatch.applyPatch({ name: 'Ada' }, [{ op: 'test', path: '/name', value: 'Bob' }]));
+            Assertions.assertTruthy(error instanceof JsonPatchError);
+            Assertions.assertEquals(error.code, 'TEST_FAILED');
+        }
+    },
+
+    Model: {
+        'reports field errors and rejects unknown fields': ({ Model }) => {
+            const User = Model.define({ name: { type: 'string', required: true }, age: 'integer' });
+            const user = User.create({ name: 'Ada', age: 36 });
+            user.age = 1.5;
+            user.name = '';
+            Assertions.assertDeepEquals(Object.keys(user.$errors).sort(), ['age', 'name']);
+            Assertions.assertFalsy(user.$valid);
+            Assertions.assertThrows(() => { user.nickname = 'A'; });
+        },
+        'throws ModelValidationError in strict mode': ({ Model, ModelValidationError }) => {
+            const User = Model.define({ age: 'integer' }, { strict: true });
+            const user = User.create({ age: 1 });
+            Assertions.assertTruthy(Assertions.assertThrows(() => { user.age = 'old'; }) instanceof ModelValidationError);
+            Assertions.assertEquals(user.age, 1);
+        },
+        'batches changes with plain previous values': async ({ Model }) => {
+            const User = Model.define({ address: Model.define({ city: 'string' }), tags: ['string'] });
+            const user = User.create({ address: { city: 'London' }, tags: ['a'] });
+            const batches = [];
+            user.$subscribe(changes => batches.push(changes));
+            const before = user.address;
+            user.address = { city: 'Paris' };
+            user.tags.push('b');
+            user.tags.push('c');
+            await Promise.resolve();
+            Assertions.assertEquals(batches.length, 1);
+            const [address, tags] = batches[0];
+            Assertions.assertEquals(address.path, 'address');
+            Assertions.assertFalsy(address.previous === before);
+            Assertions.assertDeepEquals(address.previous, { city: 'London' });
+            Assertions.assertEquals(tags.path, 'tags');
+            Assertions.assertDeepEquals(tags.previous, ['a']);
+        },
+        'resets in place without no-op events': async ({ Model }) => {
+            const Address = Model.define({ city: 'string' });
+            const User = Model.define({ name: 'string', address: Address, homes: { arrayOf: Address }, tags: ['string'] });
+            const user = User.create({ name: 'Ada', address: { city: 'London' }, homes: [{ city: 'A' }], tags: ['a'] });
+            const { address, homes, tags } = user;
+            const home = homes[0];
+            address.city = 'Paris';
+            home.city = 'B';
+            tags.push('b');
+            homes.push({ city: 'C' });
+            Assertions.assertTruthy(user.$dirty);
+
+            const changes = [];
+            user.$subscribe(batch => changes.push(...batch));
+            user.$reset();
+            await Promise.resolve();
+            Assertions.assertDeepEquals(changes.map(change => change.path).sort(), ['address.city', 'homes', 'homes.0.city', 'tags']);
+            Assertions.assertTruthy(user.address === address);
+            Assertions.assertTruthy(user.homes === homes && homes[0] === home);
+            Assertions.assertTruthy(user.tags === tags);
+            Assertions.assertEquals(address.city, 'London');
+            Assertions.assertDeepEquals(user.toJSON(), { name: 'Ada', address: { city: 'London' }, homes: [{ city: 'A' }], tags: ['a'] });
+            Assertions.assertFalsy(user.$dirty);
+        },
+        'tracks changes against the last commit': ({ Model }) => {
+            const User = Model.define({ name: 'string', age: 'integer' });
+            const user = User.create({ name: 'Ada', age: 36 });
+            user.age = 37;
+            Assertions.assertTruthy(user.$isDirty('age'));
+            Assertions.assertFalsy(user.$isDirty('name'));
+            Assertions.assertDeepEquals(user.$commit(), [{ op: 'replace', path: '/age', value: 37 }]);
+            Assertions.assertFalsy(user.$dirty);
+        },
+        'reports array items that are not models': ({ Model, ModelValidationError }) => {
+            const Address = Model.define({ city: 'string' });
+            const user = Model.define({ homes: { arrayOf: Address } }).create({ homes: [5] });
+            user.homes.push('x');
+            user.homes.push({ city: 'Oslo' });
+            Assertions.assertDeepEquals(user.$errors, { 'homes.0': 'homes.0 must be an object', 'homes.1': 'homes.1 must be an object' });
+            Assertions.assertFalsy(user.$valid);
+
+            const Strict = Model.define({ homes: { arrayOf: Address } }, { strict: true });
+            Assertions.assertTruthy(Assertions.assertThrows(() => Strict.create({ homes: [5] })) instanceof ModelValidationError);
+            const strict = Strict.create({ homes: [] });
+            Assertions.assertTruthy(Assertions.assertThrows(() => strict.homes.push('x')) instanceof ModelValidationError);
+            strict.homes.push({ city: 'Oslo' });
+            Assertions.assertEquals(strict.homes.length, 1);
+        }
+    }
+};
@@ -0,0 +1,58 @@
+// Reference suite for 06_Arrays_Methods.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    CircularBuffer: {
+        'reads values in insertion order': ({ CircularBuffer }) => {
+            const buffer = new CircularBuffer(3);
+            buffer.write(1);
+            buffer.write(2);
+            Assertions.assertEquals(buffer.read(), 1);
+            Assertions.assertEquals(buffer.read(), 2);
+        },
+        'returns null when empty': ({ CircularBuffer }) => {
+            Assertions.assertEquals(new CircularBuffer(2).read(), null);
+        },
+        'wraps around its capacity': ({ CircularBuffer }) => {
+            const buffer = new CircularBuffer(2);
+            buffer.write('a');
+            buffer.write('b');
+            buffer.read();
+            buffer.write('c');
+            Assertions.assertEquals(buffer.read(), 'b');
+            Assertions.assertEquals(buffer.read(), 'c');
+        }
+    },
+
+    SparseArray: {
+        'stores values at arbitrary indices': ({ SparseArray }) => {
+            const array = new SparseArray();
+            array.set(1000, 'x');
+            Assertions.assertEquals(array.get(1000), 'x');
+            Assertions.assertEquals(array.get(5), undefined);
+        },
+        'tracks length like a real array': ({ SparseArray }) => {
+            const array = new SparseArray();
+            array.set(9, true);
+            Assertions.assertEquals(array.length, 10);
+        }
+    },
+
+    ArrayPool: {
+        'reuses released arrays after clearing them': ({ ArrayPool }) => {
+            const pool = new ArrayPool();
+            const array = pool.acquire(3);
+            array.push(1);
+            pool.release(array);
+            const reused = pool.acquire(3);
+            Assertions.assertEquals(reused, array);
+            Assertions.assertEquals(reused.length, 0);
+        },
+        'does not grow past its maximum size': ({ ArrayPool }) => {
+            const pool = new ArrayPool(1);
+            pool.release([]);
+            pool.release([]);
+            Assertions.assertEquals(pool.pool.length, 1);
+        }
+    }
+};
@@ -0,0 +1,39 @@
+// Reference suite for 07_Strings_RegExp.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    StringBuilder: {
+        'appends and prepends fluently': ({ StringBuilder }) => {
+            const text = new StringBuilder().append('world').prepend('hello ').append('!').toString();
+            Assertions.assertEquals(text, 'hello world!');
+        }
+    },
+
+    TemplateEngine: {
+        'interpolates nested values': ({ TemplateEngine }) => {
+            const output = TemplateEngine.render('Hi ${user.name}, you have ${count} items', {
+                user: { name: 'Ada' },
+                count: 3
+            });
+            Assertions.assertEquals(output, 'Hi Ada, you have 3 items');
+        }
+    },
+
+    SimpleParser: {
+        'splits text into typed tokens': ({ SimpleParser }) => {
+            const tokens = SimpleParser.parse('12+x', {
+                number: /\d+/,
+                operator: /[+\-]/,
+                identifier: /[a-z]+/
+            });
+            Assertions.assertDeepEquals(tokens, [
+                { type: 'number', value: '12' },
+                { type: 'operator', value: '+' },
+                { type: 'identifier', value: 'x' }
+            ]);
+        },
+        'throws on unknown input': ({ SimpleParser }) => {
+            Assertions.assertThrows(() => SimpleParser.parse('?', { number: /\d+/ }));
+        }
+    }
+};
@@ -0,0 +1,63 @@
+// Reference suite for 08_Error_Handling.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+async function withFetch(fakeFetch, fn) {
+    const original = globalThis.fetch;
+    globalThis.fetch = fakeFetch;
+    try {
+        return await fn();
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+module.exports = {
+    ApiCaller: {
+        'returns parsed JSON from the endpoint': async ({ ApiCaller }) => {
+            const data = await withFetch(
+                async url => ({ ok: true, status: 200, json: async () => ({ url }) }),
+                () => new ApiCaller('https://api.test').call('/users')
+            );
+            Assertions.assertEquals(data.url, 'https://api.test/users');
+        },
+        'rejects on HTTP errors': async ({ ApiCaller }) => {
+            const error = await withFetch(
+                async () => ({ ok: false, status: 500, json: async () => ({}) }),
+                () => Assertions.assertRejects(new ApiCaller('https://api.test').call('/users'))
+            );
+            Assertions.assertTruthy(error.message.includes('500'));
+        }
+    },
+
+    withErrorBoundary: {
+        'passes results through': async ({ withErrorBoundary }) => {
+            const safe = withErrorBoundary(async x => x * 2, null);
+            Assertions.assertEquals(await safe(4), 8);
+        },
+        'returns the fallback value on error': async ({ withErrorBoundary }) => {
+            const safe = withErrorBoundary(async () => { throw new Error('boom'); }, 'fallback');
+            Assertions.assertEquals(await safe(), 'fallback');
+        },
+        'calls a fallback function with the error': async ({ withErrorBoundary }) => {
+            const safe = withErrorBoundary(async () => { throw new Error('boom'); }, error => error.message);
+            Assertions.assertEquals(await safe(), 'boom');
+        }
+    },
+
+    DebugUtility: {
+        'stays silent until enabled': ({ DebugUtility }) => {
+            const debug = new DebugUtility('app');
+            const original = console.log;
+            const lines = [];
+            console.log = (...args) => lines.push(args);
+            try {
+                debug.log('hidden');
+                debug.enable();
+                debug.log('shown');
+            } finally {
+                console.log = original;
+            }
+            Assertions.assertDeepEquals(lines, [['[app]', 'shown']]);
+        }
+    }
+};
@@ -0,0 +1,40 @@
+// Reference suite for 09_Dates_Time.js practical applications
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    DateUtility: {
+        'detects leap years': ({ DateUtility }) => {
+            Assertions.assertTruthy(DateUtility.isLeapYear(2024));
+            Assertions.assertTruthy(DateUtility.isLeapYear(2000));
+            Assertions.assertFalsy(DateUtility.isLeapYear(1900));
+        },
+        'counts days in a month': ({ DateUtility }) => {
+            Assertions.assertEquals(DateUtility.getDaysInMonth(2024, 1), 29);
+            Assertions.assertEquals(DateUtility.getDaysInMonth(2023, 1), 28);
+        },
+        'finds the quarter': ({ DateUtility }) => {
+            Assertions.assertEquals(DateUtility.getQuarter(new Date(2024, 4, 1)), 2);
+        }
+    },
+
+    DateRange: {
+        'checks containment': ({ DateRange }) => {
+            const range = new DateRange(new Date(2024, 0, 1), new Date(2024, 0, 10));
+            Assertions.assertTruthy(range.contains(new Date(2024, 0, 5)));
+            Assertions.assertFalsy(range.contains(new Date(2024, 0, 11)));
+        },
+        'counts and iterates days inclusively': ({ DateRange }) => {
+            const range = new DateRange(new Date(2024, 0, 1), new Date(2024, 0, 10));
+            Assertions.assertEquals(range.getDays(), 10);
+            Assertions.assertEquals([...range].length, 10);
+        }
+    },
+
+    CalendarBuilder: {
+        'lays out full weeks starting on Sunday': ({ CalendarBuilder }) => {
+            const calendar = CalendarBuilder.buildMonthCalendar(2024, 1);
+            Assertions.assertDeepEquals(calendar[0], [null, null, null, null, 1, 2, 3]);
+            Assertions.assertTruthy(calendar.every(week => week.length === 7));
+        }
+    }
+};
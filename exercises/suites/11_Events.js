@@ -0,0 +1,30 @@
+// Reference suite for 11_Events.js exercises (DOM-free ones only)
+const { Assertions, TestDoubles } = require('../../17_Testing.js');
+
+module.exports = {
+    EventSystem: {
+        'delivers events to listeners': ({ EventSystem }) => {
+            const events = new EventSystem();
+            const spy = TestDoubles.createSpy();
+            events.on('save', spy);
+            events.emit('save', { id: 1 });
+            Assertions.assertDeepEquals(spy.calls, [[{ id: 1 }]]);
+        },
+        'removes listeners with off': ({ EventSystem }) => {
+            const events = new EventSystem();
+            const spy = TestDoubles.createSpy();
+            events.on('save', spy);
+            events.off('save', spy);
+            events.emit('save');
+            Assertions.assertEquals(spy.calls.length, 0);
+        },
+        'runs once listeners a single time': ({ EventSystem }) => {
+            const events = new EventSystem();
+            const spy = TestDoubles.createSpy();
+            events.on('save', spy, { once: true });
+            events.emit('save');
+            events.emit('save');
+            Assertions.assertEquals(spy.calls.length, 1);
+        }
+    }
+};
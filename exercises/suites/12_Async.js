@@ -0,0 +1,63 @@
+// Reference suite for 12_Async.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    RetryMechanism: {
+        'retries until the operation succeeds': async ({ RetryMechanism }) => {
+            let calls = 0;
+            const result = await RetryMechanism.retry(async () => {
+                if (++calls < 2) throw new Error('flaky');
+                return calls;
+            }, 3, 0);
+            Assertions.assertEquals(result, 2);
+        },
+        'rethrows after the last attempt': async ({ RetryMechanism }) => {
+            const error = await Assertions.assertRejects(
+                RetryMechanism.retry(async () => { throw new Error('down'); }, 2, 0)
+            );
+            Assertions.assertEquals(error.message, 'down');
+        }
+    },
+
+    RateLimiter: {
+        'runs calls within the limit immediately': async ({ RateLimiter }) => {
+            const limiter = new RateLimiter(2, 1000);
+            const started = Date.now();
+            await limiter.throttle(() => 1);
+            await limiter.throttle(() => 2);
+            Assertions.assertTruthy(Date.now() - started < 100);
+        },
+        'delays calls over the limit': async ({ RateLimiter }) => {
+            const limiter = new RateLimiter(1, 50);
+            const started = Date.now();
+            await limiter.throttle(() => 1);
+            const result = await limiter.throttle(() => 2);
+            Assertions.assertEquals(result, 2);
+            Assertions.assertTruthy(Date.now() - started >= 40);
+        }
+    },
+
+    AsyncQueue: {
+        'runs tasks one at a time in order': async ({ AsyncQueue }) => {
+            const queue = new AsyncQueue();
+            const order = [];
+            const task = (name, ms) => () => new Promise(resolve => setTimeout(() => {
+                order.push(name);
+                resolve(name);
+            }, ms));
+            const results = await Promise.all([
+                queue.enqueue(task('slow', 20)),
+                queue.enqueue(task('fast', 0))
+            ]);
+            Assertions.assertDeepEquals(order, ['slow', 'fast']);
+            Assertions.assertDeepEquals(results, ['slow', 'fast']);
+        },
+        'rejects only the failing task': async ({ AsyncQueue }) => {
+            const queue = new AsyncQueue();
+            const failing = queue.enqueue(async () => { throw new Error('bad'); });
+            const passing = queue.enqueue(async () => 'good');
+            await Assertions.assertRejects(failing);
+            Assertions.assertEquals(await passing, 'good');
+        }
+    }
+};
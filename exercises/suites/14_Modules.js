@@ -0,0 +1,42 @@
+// Reference suite for 14_Modules.js practical implementations
+const { Assertions, TestDoubles } = require('../../17_Testing.js');
+
+module.exports = {
+    FeatureModule: {
+        'exposes activate and deactivate after init': ({ FeatureModule }) => {
+            const feature = FeatureModule.init({});
+            Assertions.assertEquals(typeof feature.activate, 'function');
+            Assertions.assertEquals(typeof feature.deactivate, 'function');
+        }
+    },
+
+    ServiceModule: {
+        'fetches JSON from the configured URL': async ({ ServiceModule }) => {
+            const original = globalThis.fetch;
+            globalThis.fetch = async url => ({ json: async () => ({ url }) });
+            try {
+                const data = await new ServiceModule({ apiUrl: 'https://api.test/data' }).getData();
+                Assertions.assertEquals(data.url, 'https://api.test/data');
+            } finally {
+                globalThis.fetch = original;
+            }
+        }
+    },
+
+    createStateModule: {
+        'merges state updates': ({ createStateModule }) => {
+            const store = createStateModule({ a: 1 });
+            store.setState({ b: 2 });
+            Assertions.assertDeepEquals(store.getState(), { a: 1, b: 2 });
+        },
+        'notifies and unsubscribes listeners': ({ createStateModule }) => {
+            const store = createStateModule();
+            const spy = TestDoubles.createSpy();
+            const unsubscribe = store.subscribe(spy);
+            store.setState({ a: 1 });
+            unsubscribe();
+            store.setState({ a: 2 });
+            Assertions.assertEquals(spy.calls.length, 1);
+        }
+    }
+};
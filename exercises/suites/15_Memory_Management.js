@@ -0,0 +1,71 @@
+// Reference suite for 15_Memory_Management.js exercises
+const { Assertions, TestDoubles } = require('../../17_Testing.js');
+
+module.exports = {
+    LRUCache: {
+        'returns -1 for missing keys': ({ LRUCache }) => {
+            Assertions.assertEquals(new LRUCache(1).get('x'), -1);
+        },
+        'evicts the least recently used entry': ({ LRUCache }) => {
+            const cache = new LRUCache(2);
+            cache.put('a', 1);
+            cache.put('b', 2);
+            cache.get('a');
+            cache.put('c', 3);
+            Assertions.assertEquals(cache.get('b'), -1);
+            Assertions.assertEquals(cache.get('a'), 1);
+            Assertions.assertEquals(cache.get('c'), 3);
+        }
+    },
+
+    MemoryEfficientEmitter: {
+        'passes every argument to listeners': ({ MemoryEfficientEmitter }) => {
+            const emitter = new MemoryEfficientEmitter();
+            const spy = TestDoubles.createSpy();
+            emitter.on('tick', spy);
+            emitter.emit('tick', 1, 2);
+            Assertions.assertDeepEquals(spy.calls, [[1, 2]]);
+        },
+        'drops empty event entries on unsubscribe': ({ MemoryEfficientEmitter }) => {
+            const emitter = new MemoryEfficientEmitter();
+            const unsubscribe = emitter.on('tick', () => {});
+            unsubscribe();
+            Assertions.assertFalsy(emitter.events.has('tick'));
+        }
+    },
+
+    MemoryMonitor: {
+        'records a warning above the threshold': ({ MemoryMonitor }) => {
+            const monitor = new MemoryMonitor(0);
+            monitor.monitor();
+            Assertions.assertEquals(monitor.getWarnings().length, 1);
+        },
+        'stays quiet below the threshold': ({ MemoryMonitor }) => {
+            const monitor = new MemoryMonitor(1);
+            monitor.monitor();
+            Assertions.assertEquals(monitor.getWarnings().length, 0);
+        },
+        'measures against the heap size limit, not the allocated heap': ({ MemoryMonitor }) => {
+            const monitor = new MemoryMonitor(0.9);
+            const { used, total } = monitor.readUsage();
+            Assertions.assertTruthy(total > process.memoryUsage().heapTotal);
+            Assertions.assertTruthy(used / total < 0.9);
+        }
+    },
+
+    MemoryOptimization: {
+        'waits for a released object': async ({ MemoryOptimization }) => {
+            const pool = MemoryOptimization.createObjectPool(1, { acquireTimeout: 10 });
+            const object = await pool.acquire();
+            Assertions.assertTruthy(object.inUse);
+            Assertions.assertEquals(pool.tryAcquire(), null);
+            Assertions.assertEquals((await Assertions.assertRejects(pool.acquire())).code, 'POOL_TIMEOUT');
+            const waiting = pool.acquire();
+            pool.release(object);
+            Assertions.assertEquals(await waiting, object);
+        },
+        'gives nothing from an empty pool': ({ MemoryOptimization }) => {
+            Assertions.assertEquals(MemoryOptimization.createObjectPool(0).tryAcquire(), null);
+        }
+    }
+};
@@ -0,0 +1,36 @@
+// Reference suite for 16_Security.js exercises (DOM-free ones only)
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    SecureAPIClient: {
+        'sends a CSRF token with each request': async ({ SecureAPIClient }) => {
+            const original = globalThis.fetch;
+            let sent = null;
+            globalThis.fetch = async (url, options) => {
+                sent = options;
+                return { ok: true, json: async () => ({ url }) };
+            };
+            try {
+                const data = await new SecureAPIClient('https://api.test').request('/me');
+                Assertions.assertEquals(data.url, 'https://api.test/me');
+                Assertions.assertEquals(sent.headers['X-CSRF-Token'].length, 64);
+            } finally {
+                globalThis.fetch = original;
+            }
+        }
+    },
+
+    SecureStorageManager: {
+        'stores values encrypted': async ({ SecureStorageManager }) => {
+            const storage = new SecureStorageManager('0123456789abcdef');
+            Assertions.assertTruthy(await storage.set('token', { value: 'secret' }));
+            const stored = await storage.get('token');
+            Assertions.assertTruthy(Array.isArray(stored.data));
+            Assertions.assertFalsy(JSON.stringify(stored).includes('secret'));
+            storage.clear();
+        },
+        'returns null for unknown keys': async ({ SecureStorageManager }) => {
+            Assertions.assertEquals(await new SecureStorageManager('0123456789abcdef').get('missing'), null);
+        }
+    }
+};
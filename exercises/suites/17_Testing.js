@@ -0,0 +1,15 @@
+// Reference suite for 17_Testing.js practical examples
+const { Assertions, MockFactory } = require('../../17_Testing.js');
+
+module.exports = {
+    UserService: {
+        'loads a user through the injected api': async ({ UserService }) => {
+            const api = MockFactory.createMock({
+                get: async () => ({ data: { id: 7, name: 'Grace' } })
+            });
+            const user = await new UserService(api).getUser(7);
+            Assertions.assertEquals(user.name, 'Grace');
+            Assertions.assertDeepEquals(api.getCallArgs('get'), ['/users/7']);
+        }
+    }
+};
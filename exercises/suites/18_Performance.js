@@ -0,0 +1,33 @@
+// Reference suite for 18_Performance.js exercises
+const { Assertions } = require('../../17_Testing.js');
+
+module.exports = {
+    MemoryOptimization: {
+        'waits for a released object': async ({ MemoryOptimization }) => {
+            let created = 0;
+            const pool = MemoryOptimization.createObjectPool(() => ({ id: ++created }), 1, { acquireTimeout: 10 });
+            const object = await pool.acquire();
+            Assertions.assertEquals(pool.tryAcquire(), null);
+            Assertions.assertEquals((await Assertions.assertRejects(pool.acquire())).code, 'POOL_TIMEOUT');
+            const waiting = pool.acquire();
+            pool.release(object);
+            Assertions.assertEquals(await waiting, object);
+            Assertions.assertEquals(created, 1);
+        },
+        'gives nothing from an empty pool': async ({ MemoryOptimization }) => {
+            const pool = MemoryOptimization.createObjectPool(() => ({}), 0);
+            Assertions.assertEquals(pool.tryAcquire(), null);
+            Assertions.assertEquals((await Assertions.assertRejects(pool.acquire())).code, 'POOL_EMPTY');
+        },
+        'pools primitives and repeated objects': ({ MemoryOptimization }) => {
+            const pool = MemoryOptimization.createObjectPool(() => 0, 3);
+            Assertions.assertEquals(pool.stats().size, 3);
+            Assertions.assertDeepEquals([pool.tryAcquire(), pool.tryAcquire(), pool.tryAcquire(), pool.tryAcquire()], [0, 0, 0, null]);
+            pool.release(0);
+            pool.release(0);
+            Assertions.assertEquals(pool.stats().available, 2);
+            const shared = {};
+            Assertions.assertEquals(MemoryOptimization.createObjectPool(() => shared, 2).stats().size, 2);
+        }
+    }
+};
@@ -0,0 +1,35 @@
+// ******************** PACKAGE ENTRY POINT (COMMONJS) ********************
+
+/*
+Every numbered module is exposed under a topic namespace:
+
+    const { errors, dates } = require('javascript-in-depth-with-notes');
+    new errors.ApiCaller(...);
+    new dates.DateRange(...);
+
+ES module consumers get the same namespaces from index.mjs.
+*/
+
+module.exports = {
+    intro: require('./01_JS_Introduction.js'),
+    variables: require('./02_Variables_DataTypes.js'),
+    operators: require('./03_Operators_ControlFlow.js'),
+    functions: require('./04_Functions_Scope.js'),
+    objects: require('./05_Objects_OOP.js'),
+    arrays: require('./06_Arrays_Methods.js'),
+    strings: require('./07_Strings_RegExp.js'),
+    errors: require('./08_Error_Handling.js'),
+    dates: require('./09_Dates_Time.js'),
+    dom: require('./10_DOM_Manipulation.js'),
+    events: require('./11_Events.js'),
+    async: require('./12_Async.js'),
+    es6: require('./13_ES6_Features.js'),
+    modules: require('./14_Modules.js'),
+    memory: require('./15_Memory_Management.js'),
+    security: require('./16_Security.js'),
+    testing: require('./17_Testing.js'),
+    performance: require('./18_Performance.js'),
+    browser: require('./19_Browser_APIs.js'),
+    workers: require('./20_Web_Workers.js'),
+    pwa: require('./21_PWA.js')
+};
@@ -0,0 +1,36 @@
+// ******************** PACKAGE ENTRY POINT (ES MODULES) ********************
+
+/*
+ESM wrapper around index.js, so `import` and `require()` share one
+set of module instances:
+
+    import { errors, dates } from 'javascript-in-depth-with-notes';
+*/
+
+import library from './index.js';
+
+export const {
+    intro,
+    variables,
+    operators,
+    functions,
+    objects,
+    arrays,
+    strings,
+    errors,
+    dates,
+    dom,
+    events,
+    async,
+    es6,
+    modules,
+    memory,
+    security,
+    testing,
+    performance,
+    browser,
+    workers,
+    pwa
+} = library;
+
+export default library;